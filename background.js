@@ -1,85 +1,399 @@
 // Bobby Chrome Extension - Background Service Worker
 // Handles API requests and message passing between content scripts and APIs
 
+// Message protocol shared with BackgroundClient (MessageTypes / MessageProtocol)
+importScripts('components/modules/MessageTypes.js');
+// Claim and verdict schemas for structured output (OutputSchemas)
+importScripts('components/modules/OutputSchemas.js');
+// Source tiers for fact-check credibility, to check SOURCE_TIERS (SourceCredibility)
+importScripts('components/modules/SourceCredibility.js');
+
 // Import configuration
 let CONFIG = null;
 let LAST_CONFIG_LOAD = 0;
 
+// Config schema
+// Every setting Bobby reads, where its value may come from and which feature reads it.
+// `sources` are listed highest precedence first:
+//   vault      - keys decrypted from the key vault while it is unlocked
+//   options    - apiConfig saved by the options page
+//   preference - a top-level options-page preference, named by `preference`
+//   file       - config.js
+// The first source holding a valid value wins, otherwise `default` applies. Blank
+// strings and the config.example.js key placeholders count as unset. Invalid values
+// are skipped and reported (see CONFIG_REPORT). `public` settings are part of the
+// redacted config content scripts receive. `readBy: null` marks settings config.js
+// accepts that nothing reads yet.
+const KEY_SOURCES = ['vault', 'options', 'file'];
+const SETTING_SOURCES = ['options', 'file'];
+const PROVIDER_IDS = ['anthropic', 'openai', 'openaiCompatible'];
+// Everything PROVIDER_RATE_LIMITS can throttle: the LLM providers plus the search services
+const RATE_LIMITED_SERVICES = [...PROVIDER_IDS, 'exa', 'perplexity'];
+
+// Exa search profiles: named retrieval filters, picked per search mode
+const SEARCH_PROFILE_MODES = ['factcheck', 'followup', 'search'];
+const EXA_CATEGORIES = ['company', 'research paper', 'news', 'pdf', 'github', 'tweet', 'personal site', 'linkedin profile', 'financial report'];
+const EXA_SEARCH_TYPES = ['auto', 'neural', 'keyword'];
+const SEARCH_PROFILE_FIELDS = ['includeDomains', 'excludeDomains', 'startPublishedDate', 'endPublishedDate', 'maxAgeDays', 'category', 'type'];
+
+function checkSearchProfiles(profiles) {
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) return `profile "${name}" must be an object`;
+    const unknown = Object.keys(profile).filter(field => !SEARCH_PROFILE_FIELDS.includes(field));
+    if (unknown.length > 0) return `profile "${name}" has unknown fields: ${unknown.join(', ')}`;
+    for (const field of ['includeDomains', 'excludeDomains']) {
+      const domains = profile[field];
+      if (domains !== undefined && (!Array.isArray(domains) || domains.some(d => typeof d !== 'string'))) {
+        return `profile "${name}": ${field} must be a list of domains`;
+      }
+    }
+    if (profile.includeDomains?.length && profile.excludeDomains?.length) {
+      return `profile "${name}" can include or exclude domains, not both`;
+    }
+    for (const field of ['startPublishedDate', 'endPublishedDate']) {
+      if (profile[field] !== undefined && (typeof profile[field] !== 'string' || isNaN(Date.parse(profile[field])))) {
+        return `profile "${name}": ${field} must be a date (YYYY-MM-DD)`;
+      }
+    }
+    if (profile.maxAgeDays !== undefined && (!Number.isInteger(profile.maxAgeDays) || profile.maxAgeDays < 1)) {
+      return `profile "${name}": maxAgeDays must be a whole number of days`;
+    }
+    if (profile.category !== undefined && !EXA_CATEGORIES.includes(profile.category)) {
+      return `profile "${name}": category must be one of ${EXA_CATEGORIES.join(', ')}`;
+    }
+    if (profile.type !== undefined && !EXA_SEARCH_TYPES.includes(profile.type)) {
+      return `profile "${name}": type must be one of ${EXA_SEARCH_TYPES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+const CONFIG_SCHEMA = {
+  // Providers
+  LLM_PROVIDER: { type: 'enum', values: PROVIDER_IDS, sources: SETTING_SOURCES, readBy: 'Provider selection' },
+  USE_ANTHROPIC: { type: 'boolean', default: false, sources: SETTING_SOURCES, readBy: 'Provider selection when LLM_PROVIDER is unset (legacy)' },
+  ANTHROPIC_API_KEY: { type: 'secret', default: '', sources: KEY_SOURCES, readBy: 'Anthropic provider, key health' },
+  ANTHROPIC_MODEL: { type: 'string', default: 'claude-3-5-sonnet-20240620', sources: SETTING_SOURCES, readBy: 'Anthropic provider' },
+  OPENAI_API_KEY: { type: 'secret', default: '', sources: KEY_SOURCES, readBy: 'OpenAI provider, key health' },
+  OPENAI_MODEL: { type: 'string', default: 'gpt-4-turbo-preview', sources: SETTING_SOURCES, readBy: 'OpenAI provider' },
+  OPENAI_COMPATIBLE_BASE_URL: { type: 'url', default: '', sources: SETTING_SOURCES, readBy: 'OpenAI-compatible provider' },
+  OPENAI_COMPATIBLE_MODEL: { type: 'string', default: '', sources: SETTING_SOURCES, readBy: 'OpenAI-compatible provider' },
+  OPENAI_COMPATIBLE_API_KEY: { type: 'secret', default: '', sources: KEY_SOURCES, readBy: 'OpenAI-compatible provider, key health' },
+
+  // Failover
+  PROVIDER_CHAIN: { type: 'list', values: PROVIDER_IDS, default: PROVIDER_IDS, sources: SETTING_SOURCES, readBy: 'Failover order' },
+  FAILOVER_RETRIES: { type: 'integer', min: 0, max: 5, default: 2, sources: SETTING_SOURCES, readBy: 'Failover retries per provider' },
+  FAILOVER_DISABLED_MODES: { type: 'list', default: ['extractClaims'], sources: SETTING_SOURCES, readBy: 'Failover (modes pinned to the selected provider)' },
+
+  // Rate limits (requests per minute, 0 = unlimited); entries left out keep their default
+  PROVIDER_RATE_LIMITS: {
+    type: 'object',
+    default: { anthropic: 50, openai: 60, openaiCompatible: 0, exa: 300, perplexity: 50 },
+    check: (limits) => {
+      const unknown = Object.keys(limits).filter(id => !RATE_LIMITED_SERVICES.includes(id));
+      if (unknown.length > 0) return `unknown services: ${unknown.join(', ')}`;
+      return Object.values(limits).every(limit => Number.isFinite(limit) && limit >= 0) ? null : 'limits must be requests per minute (0 or more)';
+    },
+    sources: SETTING_SOURCES,
+    readBy: 'Request pacing per provider'
+  },
+
+  // Search and follow-ups
+  EXA_API_KEY: { type: 'secret', default: '', sources: KEY_SOURCES, readBy: 'Exa search, answers and fact-check sources' },
+  PERPLEXITY_API_KEY: { type: 'secret', default: '', sources: KEY_SOURCES, readBy: 'Perplexity follow-ups and verification' },
+  PERPLEXITY_MODEL: { type: 'string', default: 'sonar', sources: SETTING_SOURCES, readBy: 'Perplexity follow-ups and verification' },
+  FOLLOW_UP_ENGINE: { type: 'enum', values: ['conversation', 'research', 'exa', 'perplexity'], default: 'conversation', sources: SETTING_SOURCES, public: true, readBy: 'Follow-up questions' },
+  FOLLOW_UP_GROUNDING: { type: 'boolean', default: true, sources: SETTING_SOURCES, readBy: 'Conversational follow-ups (Exa search per turn)' },
+  PERPLEXITY_VERIFY: { type: 'boolean', default: false, sources: SETTING_SOURCES, public: true, readBy: 'Fact-check second opinion' },
+  FACTCHECK_CONCURRENCY: { type: 'integer', min: 1, max: 8, default: 3, sources: SETTING_SOURCES, public: true, readBy: 'Fact-check scheduler (claims verified at once)' },
+  PAGE_FACTCHECK_MAX_CLAIMS: { type: 'integer', min: 1, max: 25, default: 8, sources: SETTING_SOURCES, public: true, readBy: 'Whole-page fact-check (claims verified per page)' },
+  SOURCE_TIERS: {
+    type: 'object',
+    default: {},
+    check: (tiers) => {
+      const bad = Object.entries(tiers).filter(([, tier]) => !SourceCredibility.TIER_IDS.includes(tier)).map(([domain]) => domain);
+      return bad.length > 0 ? `tiers must be one of ${SourceCredibility.TIER_IDS.join(', ')} (check ${bad.join(', ')})` : null;
+    },
+    sources: SETTING_SOURCES,
+    public: true,
+    readBy: 'Fact-check source credibility (domain tier overrides)'
+  },
+  EXA_SEARCH_PROFILES: { type: 'object', default: {}, check: checkSearchProfiles, sources: SETTING_SOURCES, readBy: 'Exa search filters' },
+  EXA_PROFILE_BY_MODE: {
+    type: 'object',
+    default: {},
+    check: (modes) => {
+      const unknown = Object.keys(modes).filter(mode => !SEARCH_PROFILE_MODES.includes(mode));
+      if (unknown.length > 0) return `unknown search modes: ${unknown.join(', ')}`;
+      return Object.values(modes).every(name => typeof name === 'string') ? null : 'expected profile names';
+    },
+    sources: SETTING_SOURCES,
+    readBy: 'Exa search filters (fact-check, follow-ups, other searches)'
+  },
+
+  // Spending caps (estimated USD, 0 = no cap)
+  USAGE_DAILY_CAP: { type: 'number', min: 0, default: 0, sources: SETTING_SOURCES, readBy: 'Usage budget' },
+  USAGE_MONTHLY_CAP: { type: 'number', min: 0, default: 0, sources: SETTING_SOURCES, readBy: 'Usage budget' },
+  USAGE_CAP_ACTION: { type: 'enum', values: ['warn', 'block'], default: 'warn', sources: SETTING_SOURCES, readBy: 'Usage budget' },
+
+  // Response cache
+  ENABLE_CACHE: { type: 'boolean', default: true, sources: ['preference', 'file'], preference: 'enableCache', readBy: 'Response cache' },
+  CACHE_MAX_BYTES: { type: 'integer', min: 1, default: 2 * 1024 * 1024, sources: SETTING_SOURCES, readBy: 'Response cache eviction' },
+  CACHE_DURATION: { type: 'integer', min: 0, default: 3600000, sources: ['file'], public: true, readBy: 'Response cache (modes without a CACHE_TTLS entry), content-side request cache' },
+  CACHE_TTLS: {
+    type: 'object',
+    default: {
+      explain: 24 * 60 * 60 * 1000,
+      summarize: 24 * 60 * 60 * 1000,
+      extractClaims: 24 * 60 * 60 * 1000,
+      factcheck: 60 * 60 * 1000 // verdicts are built from search results that go stale
+    },
+    check: (ttls) => Object.values(ttls).every(ttl => Number.isInteger(ttl) && ttl >= 0) ? null : 'lifetimes must be whole milliseconds (0 or more)',
+    sources: ['file'],
+    readBy: 'Response cache'
+  },
+
+  // Text selection and popup
+  MAX_TEXT_LENGTH: { type: 'integer', min: 1, default: 5000, sources: ['preference', 'file'], preference: 'maxTextLength', public: true, readBy: 'Selection length limit' },
+  DEFAULT_THEME: { type: 'enum', values: ['auto', 'light', 'dark'], default: 'auto', sources: ['preference', 'file'], preference: 'theme', public: true, readBy: 'Popup color scheme' },
+  POPUP_WIDTH: { type: 'integer', min: 1, default: 480, sources: ['file'], public: true, readBy: null },
+  ANIMATION_SPEED: { type: 'integer', min: 0, default: 200, sources: ['file'], public: true, readBy: null },
+
+  // History and features
+  ENABLE_HISTORY: { type: 'boolean', default: true, sources: ['preference', 'file'], preference: 'enableHistory', public: true, readBy: 'History' },
+  MAX_HISTORY_ITEMS: { type: 'integer', min: 1, default: 100, sources: ['file'], public: true, readBy: 'History' },
+  ENABLE_FACT_CHECK: { type: 'boolean', default: true, sources: ['file'], public: true, readBy: null },
+  ENABLE_FOLLOW_UP: { type: 'boolean', default: true, sources: ['file'], public: true, readBy: null },
+  FEATURE_FLAGS: { type: 'object', default: {}, sources: ['file'], public: true, readBy: 'UI variants, web search, streaming (content scripts and providers)' },
+
+  // Debugging
+  DEBUG_MODE: { type: 'boolean', default: false, sources: ['file'], public: true, readBy: 'Verbose logging' },
+  LOG_API_CALLS: { type: 'boolean', default: false, sources: ['file'], readBy: 'API call logging' }
+};
+
+// Preferences the options page stores outside apiConfig
+const PREFERENCE_KEYS = Object.values(CONFIG_SCHEMA).map(spec => spec.preference).filter(Boolean);
+
+// Check one raw value against its schema entry: { unset } | { error } | { value }
+function checkSetting(spec, raw) {
+  if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+    return { unset: true };
+  }
+  switch (spec.type) {
+    case 'secret':
+      if (typeof raw !== 'string') return { error: 'expected a string' };
+      // config.example.js placeholders mean "not configured", not "invalid"
+      return isUsableKey(raw) ? { value: raw.trim() } : { unset: true };
+    case 'string':
+      return typeof raw === 'string' ? { value: raw.trim() } : { error: 'expected a string' };
+    case 'url': {
+      if (typeof raw !== 'string') return { error: 'expected a URL' };
+      const url = raw.trim().replace(/\/+$/, '');
+      try {
+        const protocol = new URL(url).protocol;
+        if (protocol !== 'http:' && protocol !== 'https:') return { error: 'expected an http(s) URL' };
+      } catch (_) {
+        return { error: `"${url}" is not a valid URL` };
+      }
+      return { value: url };
+    }
+    case 'boolean':
+      return typeof raw === 'boolean' ? { value: raw } : { error: 'expected true or false' };
+    case 'integer':
+    case 'number': {
+      const valid = spec.type === 'integer' ? Number.isInteger(raw) : Number.isFinite(raw);
+      if (!valid) return { error: `expected ${spec.type === 'integer' ? 'a whole number' : 'a number'}` };
+      if (spec.min !== undefined && raw < spec.min) return { error: `must be at least ${spec.min}` };
+      if (spec.max !== undefined && raw > spec.max) return { error: `must be at most ${spec.max}` };
+      return { value: raw };
+    }
+    case 'enum':
+      return spec.values.includes(raw) ? { value: raw } : { error: `expected one of ${spec.values.join(', ')}` };
+    case 'list': {
+      if (!Array.isArray(raw) || raw.some(item => typeof item !== 'string')) return { error: 'expected a list of names' };
+      const unknown = spec.values ? raw.filter(item => !spec.values.includes(item)) : [];
+      return unknown.length > 0 ? { error: `unknown entries: ${unknown.join(', ')}` } : { value: [...raw] };
+    }
+    case 'object': {
+      if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'expected an object' };
+      const problem = spec.check ? spec.check(raw) : null;
+      return problem ? { error: problem } : { value: JSON.parse(JSON.stringify(raw)) };
+    }
+    default:
+      return { error: `unknown setting type ${spec.type}` };
+  }
+}
+
+// Build the effective config from each source following the schema's precedence.
+// Returns { config, origins, errors }; origins maps each setting to the source it came from.
+function resolveConfig(sources) {
+  const config = {};
+  const origins = {};
+  const errors = [];
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    for (const source of spec.sources) {
+      const raw = source === 'preference' ? sources.preference?.[spec.preference] : sources[source]?.[key];
+      const result = checkSetting(spec, raw);
+      if (result.unset) continue;
+      if (result.error) {
+        errors.push({ key, source, message: result.error });
+        continue;
+      }
+      config[key] = result.value;
+      origins[key] = source;
+      break;
+    }
+    if (!origins[key] && spec.default !== undefined) {
+      config[key] = JSON.parse(JSON.stringify(spec.default));
+      origins[key] = 'default';
+    }
+  }
+
+  // Unknown config.js settings are kept for older builds but flagged; usually a typo
+  Object.keys(sources.file || {}).forEach((key) => {
+    if (CONFIG_SCHEMA[key]) return;
+    config[key] = sources.file[key];
+    errors.push({ key, source: 'file', message: 'not a Bobby setting' });
+  });
+
+  return { config, origins, errors };
+}
+
+// Evaluate config.js. It is optional: without it every setting comes from the options page.
+async function loadFileConfig(errors) {
+  let configText;
+  try {
+    const response = await fetch(chrome.runtime.getURL('config.js'));
+    if (!response.ok) return {};
+    configText = await response.text();
+  } catch (_) {
+    return {};
+  }
+  try {
+    // Execute config in a safe context; older config.js files still assign
+    // window.BOBBY_CONFIG, so give them a throwaway window
+    const fileConfig = new Function('window', configText + '; return CONFIG;')({});
+    if (fileConfig && typeof fileConfig === 'object') return fileConfig;
+    errors.push({ key: 'CONFIG', source: 'file', message: 'config.js must define a CONFIG object' });
+  } catch (error) {
+    errors.push({ key: 'CONFIG', source: 'file', message: `config.js could not be evaluated: ${error.message}` });
+  }
+  return {};
+}
+
+// Stored settings migrations. Each one upgrades the stored shape written by older
+// versions of the options page, in order; bobby_config_version records the last
+// one applied. Migrations must be safe to re-run.
+const CONFIG_VERSION_KEY = 'bobby_config_version';
+const CONFIG_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'record the selected provider explicitly instead of USE_ANTHROPIC',
+    migrate(stored) {
+      const api = stored.apiConfig;
+      if (!api || api.LLM_PROVIDER || api.USE_ANTHROPIC === undefined) return;
+      if (!api.USE_ANTHROPIC) {
+        api.LLM_PROVIDER = 'openai';
+      } else if (isUsableKey(api.ANTHROPIC_API_KEY)) {
+        api.LLM_PROVIDER = 'anthropic';
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'clear placeholder keys and store numeric settings as numbers',
+    migrate(stored) {
+      const numeric = (spec) => spec.type === 'integer' || spec.type === 'number';
+      const toNumber = (spec, value) => {
+        if (typeof value !== 'string') return value;
+        const parsed = spec.type === 'integer' ? parseInt(value, 10) : parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : undefined;
+      };
+      Object.entries(CONFIG_SCHEMA).forEach(([key, spec]) => {
+        const api = stored.apiConfig;
+        if (api && spec.type === 'secret' && typeof api[key] === 'string' && !isUsableKey(api[key])) {
+          api[key] = '';
+        }
+        if (api && numeric(spec) && key in api) {
+          api[key] = toNumber(spec, api[key]);
+        }
+        if (spec.preference && numeric(spec) && spec.preference in stored) {
+          stored[spec.preference] = toNumber(spec, stored[spec.preference]);
+        }
+      });
+    }
+  }
+];
+const CONFIG_VERSION = CONFIG_MIGRATIONS[CONFIG_MIGRATIONS.length - 1].version;
+
+let configMigrated = false;
+
+async function migrateStoredConfig() {
+  if (configMigrated) return;
+  const stored = await chrome.storage.local.get([CONFIG_VERSION_KEY, 'apiConfig', ...PREFERENCE_KEYS]);
+  const from = stored[CONFIG_VERSION_KEY] || 0;
+  if (from < CONFIG_VERSION) {
+    const before = Object.keys(stored);
+    CONFIG_MIGRATIONS.filter(migration => migration.version > from).forEach((migration) => {
+      migration.migrate(stored);
+      console.log(`Bobby: Settings migrated to v${migration.version} (${migration.description})`);
+    });
+    stored[CONFIG_VERSION_KEY] = CONFIG_VERSION;
+    
+    const removed = before.filter(key => stored[key] === undefined);
+    Object.keys(stored).forEach((key) => { if (stored[key] === undefined) delete stored[key]; });
+    await chrome.storage.local.set(stored);
+    if (removed.length > 0) await chrome.storage.local.remove(removed);
+  }
+  configMigrated = true;
+}
+
+// Outcome of the last loadConfig: schema version, validation errors and where each setting came from
+let CONFIG_REPORT = { version: CONFIG_VERSION, errors: [], origins: {} };
+
 // Load configuration
 async function loadConfig(force = false) {
   try {
     if (!force && CONFIG && Date.now() - LAST_CONFIG_LOAD < 60000) {
       return; // use cached config (<=60s)
     }
-    // First try to load from config.js
-    const response = await fetch(chrome.runtime.getURL('config.js'));
-    const configText = await response.text();
-    // Execute config in a safe context
-    const fileConfig = new Function(configText + '; return CONFIG;')();
+    await migrateStoredConfig();
     
-    // Then check if there's stored config from options
-    const stored = await chrome.storage.local.get('apiConfig');
+    const fileErrors = [];
+    const fileConfig = await loadFileConfig(fileErrors);
+    const stored = await chrome.storage.local.get(['apiConfig', ...PREFERENCE_KEYS]);
+    const { apiConfig, ...preference } = stored;
+    // Keys kept in the encrypted vault are only available while it is unlocked
+    const vault = await readVault();
     
-    // Smart merge: use stored config for keys that are set, but preserve file config for others
-    if (stored.apiConfig) {
-      CONFIG = { ...fileConfig };
-      
-      // Only override specific keys if they're actually set in storage
-      if (stored.apiConfig.OPENAI_API_KEY && 
-          stored.apiConfig.OPENAI_API_KEY !== 'YOUR_OPENAI_API_KEY_HERE' &&
-          stored.apiConfig.OPENAI_API_KEY !== '') {
-        CONFIG.OPENAI_API_KEY = stored.apiConfig.OPENAI_API_KEY;
-      }
-      if (stored.apiConfig.OPENAI_MODEL) {
-        CONFIG.OPENAI_MODEL = stored.apiConfig.OPENAI_MODEL;
-      }
-      if (stored.apiConfig.EXA_API_KEY && stored.apiConfig.EXA_API_KEY !== '') {
-        CONFIG.EXA_API_KEY = stored.apiConfig.EXA_API_KEY;
-      }
-      if (stored.apiConfig.PERPLEXITY_API_KEY && stored.apiConfig.PERPLEXITY_API_KEY !== '') {
-        CONFIG.PERPLEXITY_API_KEY = stored.apiConfig.PERPLEXITY_API_KEY;
-      }
-      
-      // Handle Anthropic settings from storage if available
-      if (stored.apiConfig.ANTHROPIC_API_KEY && 
-          stored.apiConfig.ANTHROPIC_API_KEY !== 'sk-ant-REDACTED' &&
-          stored.apiConfig.ANTHROPIC_API_KEY !== '') {
-        CONFIG.ANTHROPIC_API_KEY = stored.apiConfig.ANTHROPIC_API_KEY;
-      }
-      if (stored.apiConfig.ANTHROPIC_MODEL) {
-        CONFIG.ANTHROPIC_MODEL = stored.apiConfig.ANTHROPIC_MODEL;
-      }
-      if (stored.apiConfig.USE_ANTHROPIC !== undefined) {
-        CONFIG.USE_ANTHROPIC = stored.apiConfig.USE_ANTHROPIC;
-      }
-      
-      console.log('Bobby: Merged config from file and extension options');
-    } else {
-      CONFIG = fileConfig;
-      console.log('Bobby: Using config from config.js only');
-    }
+    const { config, origins, errors } = resolveConfig({
+      vault: vault.secrets,
+      options: apiConfig,
+      preference,
+      file: fileConfig
+    });
+    CONFIG = config;
+    CONFIG.VAULT_STATE = vault.state;
+    CONFIG_REPORT = { version: CONFIG_VERSION, errors: [...fileErrors, ...errors], origins };
     
+    CONFIG_REPORT.errors.forEach(({ key, source, message }) => {
+      console.warn(`Bobby: Ignoring ${key} from ${source}: ${message}`);
+    });
     console.log('Bobby: Config loaded', {
-      hasOpenAI: !!CONFIG.OPENAI_API_KEY && CONFIG.OPENAI_API_KEY !== 'YOUR_OPENAI_API_KEY_HERE',
-      hasAnthropic: !!CONFIG.ANTHROPIC_API_KEY && CONFIG.ANTHROPIC_API_KEY !== 'sk-ant-REDACTED',
-      useAnthropic: CONFIG.USE_ANTHROPIC
+      hasOpenAI: PROVIDERS.openai.isConfigured(CONFIG),
+      hasAnthropic: PROVIDERS.anthropic.isConfigured(CONFIG),
+      hasOpenAICompatible: PROVIDERS.openaiCompatible.isConfigured(CONFIG),
+      provider: resolveProviderId(CONFIG)
     });
     LAST_CONFIG_LOAD = Date.now();
     
-    // Validate API keys on load
-    if (CONFIG.USE_ANTHROPIC && CONFIG.ANTHROPIC_API_KEY && 
-        CONFIG.ANTHROPIC_API_KEY !== 'sk-ant-REDACTED') {
-      const validation = await validateAnthropicKey(CONFIG.ANTHROPIC_API_KEY);
-      if (!validation.valid) {
-        console.error('Bobby: Anthropic API key validation failed:', validation.error);
-      } else {
-        console.log('Bobby: Anthropic API key validated successfully', validation.warning || '');
-      }
-    }
+    // Validate keys that changed since their last check (verdicts are cached per key)
+    refreshKeyHealth();
   } catch (error) {
     console.error('Failed to load config:', error);
     // Fallback to stored config if available
-    const stored = await chrome.storage.local.get('apiConfig');
+    const stored = await chrome.storage.local.get(['apiConfig']);
     if (stored.apiConfig) {
       CONFIG = stored.apiConfig;
       console.log('Bobby: Using fallback config from storage');
@@ -87,55 +401,208 @@ async function loadConfig(force = false) {
   }
 }
 
+// Settings report for the options page
+async function handleGetConfigReport(request, sendResponse) {
+  const settings = Object.entries(CONFIG_SCHEMA).map(([key, spec]) => ({
+    key,
+    type: spec.type,
+    source: CONFIG_REPORT.origins[key] || null,
+    sources: spec.sources,
+    readBy: spec.readBy
+  }));
+  sendResponse({ success: true, version: CONFIG_REPORT.version, errors: CONFIG_REPORT.errors, settings });
+}
+
+// Toolbar popup's "Fact-check this page": hand the active tab a whole-page check
+async function handleFactCheckActiveTab(request, sendResponse) {
+  const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+  if (!tab || tab.id === undefined) {
+    sendResponse({ success: false, error: 'No page to fact-check' });
+    return;
+  }
+  try {
+    await startPageFactCheck(tab.id);
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 // Initialize on installation
 chrome.runtime.onInstalled.addListener(async () => {
   await loadConfig(true);
   console.log('Bobby Extension installed successfully');
 
-  // Create context menu item safely (avoid duplicate id errors on reloads)
-  try {
-    chrome.contextMenus.remove('bobby-analyze');
-  } catch (_) {
-    // ignore if not present
-  }
-  try {
-    chrome.contextMenus.create({
-      id: 'bobby-analyze',
-      title: 'Analyze with Bobby',
-      contexts: ['selection']
-    }, () => {
-      if (chrome.runtime.lastError) {
-        console.warn('Bobby: context menu create warning:', chrome.runtime.lastError.message);
-      }
-    });
-  } catch (e) {
-    console.warn('Bobby: context menu create failed:', e?.message || e);
-  }
+  // Create context menu items safely (avoid duplicate id errors on reloads)
+  const menuItems = [
+    { id: 'bobby-analyze', title: 'Analyze with Bobby', contexts: ['selection'] },
+    { id: 'bobby-factcheck-page', title: 'Fact-check this page with Bobby', contexts: ['page'] }
+  ];
+  menuItems.forEach((item) => {
+    try {
+      chrome.contextMenus.remove(item.id, () => void chrome.runtime.lastError);
+    } catch (_) {
+      // ignore if not present
+    }
+    try {
+      chrome.contextMenus.create(item, () => {
+        if (chrome.runtime.lastError) {
+          console.warn('Bobby: context menu create warning:', chrome.runtime.lastError.message);
+        }
+      });
+    } catch (e) {
+      console.warn('Bobby: context menu create failed:', e?.message || e);
+    }
+  });
 });
 
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener((info, tab) => {
   if (info.menuItemId === 'bobby-analyze' && info.selectionText) {
     chrome.tabs.sendMessage(tab.id, {
-      action: 'analyzeSelection',
+      action: MessageTypes.ANALYZE_SELECTION,
+      requestId: `menu-${Date.now().toString(36)}`,
+      protocol: MessageProtocol.VERSION,
       text: info.selectionText
     });
+  } else if (info.menuItemId === 'bobby-factcheck-page' && tab?.id !== undefined) {
+    startPageFactCheck(tab.id).catch(error => console.warn('Bobby:', error.message));
   }
 });
 
+// Ask a tab's top frame to fact-check the whole page. Rejects when no Bobby
+// content script answers (browser pages, tabs opened before Bobby was installed).
+function startPageFactCheck(tabId) {
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(tabId, {
+      action: MessageTypes.FACT_CHECK_PAGE,
+      requestId: `page-${Date.now().toString(36)}`,
+      protocol: MessageProtocol.VERSION
+    }, { frameId: 0 }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error('Bobby is not running on this page. Reload it and try again; browser pages cannot be checked.'));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+// In-flight requests keyed by tab + frame + requestId, so content scripts can
+// cancel them (each frame numbers its requests on its own)
+const inFlightRequests = new Map();
+
+function inFlightKey(sender, requestId) {
+  return `${sender.tab?.id ?? 'ext'}:${sender.frameId ?? 0}:${requestId}`;
+}
+
+// Actions that read or change keys and stored data; only extension pages
+// (options, usage, popup) may send them, never a content script
+const EXTENSION_PAGE_ACTIONS = new Set(
+  Object.keys(MessageProtocol.Messages).filter(action => MessageProtocol.Messages[action].pageOnly)
+);
+
+function isExtensionPage(sender) {
+  return !sender.tab && typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+// Settings content scripts may see. Keys, endpoints and models never leave the
+// service worker; content gets feature flags plus which services are available.
+const PUBLIC_CONFIG_KEYS = Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].public);
+
+function publicConfig(config = CONFIG) {
+  const view = {};
+  PUBLIC_CONFIG_KEYS.forEach((key) => {
+    if (config[key] !== undefined) view[key] = JSON.parse(JSON.stringify(config[key]));
+  });
+  view.CAPABILITIES = {
+    provider: resolveProviderId(config),
+    llm: getProvider(resolveProviderId(config)).isConfigured(config),
+    exa: isUsableKey(config.EXA_API_KEY, 'YOUR_EXA_API_KEY_HERE'),
+    perplexity: isPerplexityConfigured(config)
+  };
+  return view;
+}
+
 // Message handler
+// Every message is checked against its MessageProtocol shape first; replies echo
+// the requestId and protocol version, and failures always carry a code.
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  const reply = (response) => {
+    sendResponse({ ...response, requestId: request?.requestId, protocol: MessageProtocol.VERSION });
+  };
+  
+  const invalid = MessageProtocol.validateRequest(request);
+  const spec = invalid ? null : MessageProtocol.Messages[request.action];
+  if (invalid || spec.target === 'content' || spec.stream) {
+    const error = invalid || {
+      code: MessageProtocol.ErrorCodes.UNKNOWN_ACTION,
+      error: spec.stream ? `${request.action} is only available over a bobby-stream port` : `Unknown action: ${request.action}`
+    };
+    console.warn(`Bobby: Rejected message: ${error.error}`);
+    reply({ success: false, ...error });
+    return false;
+  }
+  
+  if (request.action === MessageTypes.CANCEL_REQUEST) {
+    const controller = inFlightRequests.get(inFlightKey(sender, request.requestId));
+    if (controller) controller.abort();
+    reply({ success: true, cancelled: !!controller });
+    return false;
+  }
+  
+  if (spec.pageOnly && !isExtensionPage(sender)) {
+    console.warn(`Bobby: Rejected ${request.action} from a content script`);
+    reply({ success: false, code: MessageProtocol.ErrorCodes.FORBIDDEN, error: 'Not allowed from content scripts' });
+    return false;
+  }
+  
   // Handle async messages properly
   (async () => {
+    const controller = new AbortController();
+    const key = inFlightKey(sender, request.requestId);
+    inFlightRequests.set(key, controller);
+    
+    let budgetWarning = null;
+    
+    // Never deliver a payload for a request the sender already gave up on
+    const respond = (response) => {
+      if (controller.signal.aborted) {
+        reply({ success: false, cancelled: true, code: MessageProtocol.ErrorCodes.CANCELLED, error: 'Request cancelled' });
+      } else if (!response.success) {
+        reply({ ...response, code: response.code || MessageProtocol.ErrorCodes.REQUEST_FAILED });
+      } else {
+        reply(budgetWarning ? { ...response, budgetWarning } : response);
+      }
+    };
+    
     try {
       // Always reload config to ensure we have the latest API keys
       await loadConfig(false);
       
+      // Spending caps are enforced before anything billable is sent
+      if (spec.billable) {
+        if (CONFIG?.VAULT_STATE === 'locked') {
+          const error = vaultLockedError();
+          respond({ success: false, code: error.code, error: error.message });
+          return;
+        }
+        await touchVault();
+        const budget = await checkUsageBudget();
+        if (budget.blocked) {
+          respond({ success: false, code: MessageProtocol.ErrorCodes.BUDGET_EXCEEDED, error: budget.message });
+          return;
+        }
+        budgetWarning = budget.warning;
+      }
+      
       // Handle the message
-      await handleMessageAsync(request, sender, sendResponse);
+      await handleMessageAsync(request, sender, respond, controller.signal);
     } catch (error) {
       console.error('Error handling message:', error);
-      sendResponse({ success: false, error: error.message });
+      respond({ success: false, error: error.message });
+    } finally {
+      inFlightRequests.delete(key);
     }
   })();
   
@@ -144,46 +611,122 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 // Main message handler (async version)
-async function handleMessageAsync(request, sender, sendResponse) {
+async function handleMessageAsync(request, sender, sendResponse, signal) {
   switch (request.action) {
-    case 'analyzeText':
-      await handleAnalyzeText(request, sendResponse);
+    case MessageTypes.ANALYZE_TEXT:
+      await handleAnalyzeText(request, sendResponse, signal);
+      break;
+      
+    case MessageTypes.FACT_CHECK:
+      await handleFactCheck(request, sendResponse, signal);
+      break;
+      
+    case MessageTypes.EXA_ANSWER:
+      await handleExaAnswer(request, sendResponse, signal);
+      break;
+      
+    case MessageTypes.FIND_SIMILAR:
+      await handleFindSimilar(request, sendResponse, signal);
       break;
       
-    case 'factCheck':
-      await handleFactCheck(request, sendResponse);
+    case MessageTypes.EXA_CONTENTS:
+      await handleExaContents(request, sendResponse, signal);
       break;
       
-    case 'exaAnswer':
-      await handleExaAnswer(request, sendResponse);
+    case MessageTypes.RESEARCH:
+      await handleResearch(request, sendResponse, signal);
       break;
       
-    case 'perplexityQuery':
-      await handlePerplexityQuery(request, sendResponse);
+    case MessageTypes.PERPLEXITY_QUERY:
+      await handlePerplexityQuery(request, sendResponse, signal);
       break;
       
-    case 'exaSearch':
-      await handleExaSearch(request, sendResponse);
+    case MessageTypes.FOLLOW_UP_ANSWER:
+      await handleFollowUpAnswer(request, sendResponse, signal);
       break;
       
-    case 'saveApiKeys':
+    case MessageTypes.PERPLEXITY_VERIFY:
+      await handlePerplexityVerify(request, sendResponse, signal);
+      break;
+      
+    case MessageTypes.EXA_SEARCH:
+      await handleExaSearch(request, sendResponse, signal);
+      break;
+      
+    case MessageTypes.SAVE_API_KEYS:
       await handleSaveApiKeys(request, sendResponse);
       break;
       
-    case 'getConfig':
-      sendResponse({ success: true, config: CONFIG });
+    case MessageTypes.GET_CONFIG:
+      sendResponse({ success: true, config: publicConfig() });
+      break;
+      
+    case MessageTypes.GET_CONFIG_REPORT:
+      await handleGetConfigReport(request, sendResponse);
+      break;
+      
+    case MessageTypes.FACT_CHECK_ACTIVE_TAB:
+      await handleFactCheckActiveTab(request, sendResponse);
       break;
       
-    case 'validateApiKey':
+    case MessageTypes.VALIDATE_API_KEY:
       await handleValidateApiKey(request, sendResponse);
       break;
+      
+    case MessageTypes.GET_VAULT_STATUS:
+      await handleGetVaultStatus(request, sendResponse);
+      break;
+      
+    case MessageTypes.ENABLE_VAULT:
+      await handleEnableVault(request, sendResponse);
+      break;
+      
+    case MessageTypes.UNLOCK_VAULT:
+      await handleUnlockVault(request, sendResponse);
+      break;
+      
+    case MessageTypes.LOCK_VAULT:
+      await handleLockVault(request, sendResponse);
+      break;
+      
+    case MessageTypes.DISABLE_VAULT:
+      await handleDisableVault(request, sendResponse);
+      break;
+      
+    case MessageTypes.SET_VAULT_IDLE:
+      await handleSetVaultIdle(request, sendResponse);
+      break;
+      
+    case MessageTypes.GET_KEY_HEALTH:
+      await handleGetKeyHealth(request, sendResponse);
+      break;
+      
+    case MessageTypes.GET_USAGE:
+      await handleGetUsage(request, sendResponse);
+      break;
+      
+    case MessageTypes.CLEAR_USAGE:
+      await handleClearUsage(request, sendResponse);
+      break;
     
-    case 'loadOptionalModules':
+    case MessageTypes.GET_CACHE_ENTRIES:
+      await handleGetCacheEntries(request, sendResponse);
+      break;
+      
+    case MessageTypes.GET_CACHE_ENTRY:
+      await handleGetCacheEntry(request, sendResponse);
+      break;
+      
+    case MessageTypes.PURGE_CACHE:
+      await handlePurgeCache(request, sendResponse);
+      break;
+      
+    case MessageTypes.LOAD_OPTIONAL_MODULES:
       await handleLoadOptionalModules(request, sender, sendResponse);
       break;
       
     default:
-      sendResponse({ success: false, error: 'Unknown action' });
+      sendResponse({ success: false, code: MessageProtocol.ErrorCodes.UNKNOWN_ACTION, error: `Unknown action: ${request.action}` });
       break;
   }
 }
@@ -212,542 +755,2456 @@ async function handleLoadOptionalModules(request, sender, sendResponse) {
   }
 }
 
-// AI API handler - supports both Anthropic and OpenAI
-async function handleAnalyzeText(request, sendResponse) {
-  const { text, mode, systemPrompt, userPrompt } = request;
-  
-  // Check if config is loaded
-  if (!CONFIG) {
-    await loadConfig();
-  }
-  
-  // Determine which API to use
-  const useAnthropic = CONFIG.USE_ANTHROPIC && CONFIG.ANTHROPIC_API_KEY && 
-                      CONFIG.ANTHROPIC_API_KEY !== 'sk-ant-REDACTED';
-  
-  console.log('Bobby: API Selection:', useAnthropic ? 'Using Anthropic Claude 3.5 Sonnet' : 'Using OpenAI (fallback)');
-  
-  if (useAnthropic) {
-    await handleAnthropicRequest(text, mode, systemPrompt, userPrompt, sendResponse);
-  } else {
-    await handleOpenAIRequest(text, mode, systemPrompt, userPrompt, sendResponse);
-  }
-}
+// LLM provider registry
+// Each provider declares how to build requests, parse (streamed) responses,
+// validate keys and report errors. Analysis and synthesis dispatch through it,
+// so adding a provider means adding one entry here.
+const ANTHROPIC_KEY_PLACEHOLDER = 'sk-ant-REDACTED';
+const OPENAI_KEY_PLACEHOLDER = 'YOUR_OPENAI_API_KEY_HERE';
 
-// Anthropic API handler
-async function handleAnthropicRequest(text, mode, systemPrompt, userPrompt, sendResponse) {
-  try {
-    console.log('Bobby: Using Anthropic API with Claude 3.5 Sonnet');
-    console.log('Bobby: API Key present:', !!CONFIG.ANTHROPIC_API_KEY);
-    console.log('Bobby: API Key starts with:', CONFIG.ANTHROPIC_API_KEY ? CONFIG.ANTHROPIC_API_KEY.substring(0, 15) + '...' : 'No key');
-    
-    // Validate API key before making request
-    const validation = await validateAnthropicKey(CONFIG.ANTHROPIC_API_KEY);
-    if (!validation.valid) {
-      throw new Error(`API key validation failed: ${validation.error}`);
-    }
-    if (validation.warning) {
-      console.warn('Bobby: API key warning:', validation.warning);
-    }
-    
-    // Check cache first
-    const cacheKey = `anthropic_${text.substring(0, 50)}_${mode}`;
-    const cached = await getCachedResponse(cacheKey);
-    if (cached) {
-      sendResponse({ success: true, result: cached, fromCache: true });
-      return;
-    }
-    
-    // Use provided userPrompt or generate based on mode
-    const prompt = userPrompt || generatePrompt(text, mode);
-    
-    // Use custom system prompt if provided, otherwise use default
-    const systemMessage = systemPrompt || 'You are Bobby, a helpful AI assistant. Be concise and direct. Avoid lengthy explanations. Get straight to the point.';
-    
-    // Decide if we should enable Anthropic Web Search tool
-    const featureFlags = CONFIG?.FEATURE_FLAGS || {};
-    const webSearchEligibleModes = new Set(['explain', 'summarize', 'keyPoints', 'proscons', 'technical']);
-    const enableWebSearch = !!featureFlags.USE_WEB_SEARCH && webSearchEligibleModes.has(String(mode || '').trim());
+// Treat empty strings and config.example.js placeholders as "not set"
+function isUsableKey(value, placeholder) {
+  return typeof value === 'string' && value.trim() !== '' && value !== placeholder && !/YOUR[-_]/.test(value);
+}
 
-    // Prepare request body with proper Anthropic message structure
-    const requestBody = {
-      model: CONFIG.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20240620',
-      system: systemMessage,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: mode === 'eli5' ? 400 : (mode === 'summarize' ? 300 : 600),
-      temperature: mode === 'extractClaims' || mode === 'factcheck' ? 0.1 : 0.7
-    };
+// Base URL of an OpenAI-compatible server without trailing slash, e.g. http://localhost:11434/v1
+function compatibleBaseUrl(config) {
+  return String(config.OPENAI_COMPATIBLE_BASE_URL || '').trim().replace(/\/+$/, '');
+}
 
-    if (enableWebSearch) {
-      // Enable Anthropic's web search tool for better grounded answers
-      requestBody.tools = [{ type: 'web_search' }];
-      requestBody.tool_choice = 'auto';
-    }
-    
-    console.log('Bobby: Sending request to Anthropic API');
-    console.log('Bobby: Request model:', requestBody.model);
-    
-    // Call Anthropic API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': CONFIG.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify(requestBody)
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('Bobby: Anthropic API error response:', {
-        status: response.status,
-        statusText: response.statusText,
-        error: errorData,
-        headers: Object.fromEntries([...response.headers.entries()])
+// Web-search citations
+// Anthropic's web search returns the answer as several text blocks between
+// server_tool_use / web_search_tool_result blocks; a cited sentence is its own text
+// block carrying a `citations` array. Cited pages are numbered in order of first
+// use and shaped like follow-up sources so the popup renders them the same way.
+function createCitationList() {
+  const sources = [];
+  const pageAges = new Map();
+  let pending = [];
+  
+  return {
+    sources,
+    // Remember when each search result was published, for the source's date badge
+    addResults(results) {
+      (Array.isArray(results) ? results : []).forEach((r) => {
+        if (r?.url && r.page_age && !isNaN(Date.parse(r.page_age))) pageAges.set(r.url, r.page_age);
       });
-      
-      if (response.status === 401) {
-        throw new Error(`Authentication failed (401). This usually means:\n- Your API key is invalid or revoked\n- Your API key doesn't have the necessary permissions\n- There's an issue with your Anthropic account\n\nPlease verify your API key at https://console.anthropic.com/account/keys`);
-      } else if (response.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      } else if (response.status === 400) {
-        const errorMessage = errorData.error?.message || 'Invalid request';
-        throw new Error(`Bad request (400): ${errorMessage}`);
-      } else {
-        throw new Error(`API error (${response.status}): ${errorData.error?.message || response.statusText || 'Unknown error'}`);
+    },
+    // Number a citation of the current block; non-web citations are ignored
+    mark(citation) {
+      if (citation?.type !== 'web_search_result_location' || !citation.url) return;
+      let source = sources.find(s => s.url === citation.url);
+      if (!source) {
+        source = {
+          number: sources.length + 1,
+          title: citation.title || citation.url,
+          url: citation.url,
+          snippet: citation.cited_text || '',
+          publishedDate: pageAges.get(citation.url) || null,
+          score: null
+        };
+        sources.push(source);
       }
+      if (!pending.includes(source.number)) pending.push(source.number);
+    },
+    // "[1][3]" for the block just finished
+    flush() {
+      const markers = pending.map(n => `[${n}]`).join('');
+      pending = [];
+      return markers;
     }
-    
-    const data = await response.json();
-    const result = data.content && data.content[0] && data.content[0].text ? data.content[0].text : (data.output_text || '');
-    
-    // Cache the response
-    await cacheResponse(cacheKey, result);
-    
-    sendResponse({ success: true, result });
+  };
+}
+
+function parseAnthropicContent(data) {
+  const citations = createCitationList();
+  let text = '';
+  (Array.isArray(data?.content) ? data.content : []).forEach((block) => {
+    if (block.type === 'web_search_tool_result') {
+      citations.addResults(block.content);
+    } else if (block.type === 'text') {
+      (block.citations || []).forEach(c => citations.mark(c));
+      text += (block.text || '') + citations.flush();
+    }
+  });
+  return { text, sources: citations.sources };
+}
+
+const PROVIDERS = {
+  anthropic: {
+    id: 'anthropic',
+    label: 'Anthropic',
+    isConfigured: (config) => isUsableKey(config.ANTHROPIC_API_KEY, ANTHROPIC_KEY_PLACEHOLDER),
+    apiKey: (config) => config.ANTHROPIC_API_KEY,
+    model: (config) => config.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20240620',
+    endpoint: () => 'https://api.anthropic.com/v1/messages',
+    headers: (config) => ({
+      'Content-Type': 'application/json',
+      'x-api-key': config.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }),
+    buildRequest(chat, config) {
+      const body = {
+        model: this.model(config),
+        system: chat.system,
+        messages: chat.messages,
+        max_tokens: chat.maxTokens || (chat.mode === 'eli5' ? 400 : (chat.mode === 'summarize' ? 300 : 600)),
+        temperature: chat.temperature ?? (chat.mode === 'extractClaims' || chat.mode === 'factcheck' ? 0.1 : 0.7)
+      };
+      if (chat.output) {
+        // Structured output: a single forced tool whose input is the schema
+        body.tools = [{ name: chat.output.name, description: chat.output.description, input_schema: OutputSchemas.providerSchema(chat.output.schema) }];
+        body.tool_choice = { type: 'tool', name: chat.output.name };
+      } else if (chat.webSearch) {
+        // Enable Anthropic's web search tool for better grounded answers
+        body.tools = [{ type: 'web_search_20250305', name: 'web_search', max_uses: 3 }];
+        body.tool_choice = { type: 'auto' };
+      }
+      return body;
+    },
+    // Web-search answers interleave text with tool blocks; keep every text block
+    parseResponse: (data) => parseAnthropicContent(data).text || data.output_text || '',
+    parseSources: (data) => parseAnthropicContent(data).sources,
+    // Every Claude model this extension targets supports tool use
+    supportsStructuredOutput: () => true,
+    parseStructured: (data, output) => {
+      const block = (data.content || []).find(b => b.type === 'tool_use' && b.name === output.name);
+      return block ? block.input : undefined;
+    },
+    parseUsage: (data) => ({
+      inputTokens: data.usage?.input_tokens || 0,
+      outputTokens: data.usage?.output_tokens || 0,
+      webSearches: data.usage?.server_tool_use?.web_search_requests || 0
+    }),
+    // usage is filled from message_start (input) and message_delta (output) events;
+    // citations collects web-search sources, whose [n] markers close each cited block
+    parseStreamEvent(data, usage = {}, citations = createCitationList()) {
+      const event = JSON.parse(data);
+      if (event.type === 'message_start' && event.message?.usage) {
+        usage.inputTokens = event.message.usage.input_tokens || 0;
+      } else if (event.type === 'message_delta' && event.usage) {
+        usage.outputTokens = event.usage.output_tokens || 0;
+        usage.webSearches = event.usage.server_tool_use?.web_search_requests || usage.webSearches || 0;
+      }
+      if (event.type === 'error') {
+        const error = new Error(`API error: ${event.error?.message || 'Stream interrupted'}`);
+        error.retryable = ['overloaded_error', 'rate_limit_error', 'api_error'].includes(event.error?.type);
+        throw error;
+      }
+      if (event.type === 'content_block_start' && event.content_block?.type === 'web_search_tool_result') {
+        citations.addResults(event.content_block.content);
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'citations_delta') {
+        citations.mark(event.delta.citation);
+      } else if (event.type === 'content_block_stop') {
+        return citations.flush();
+      }
+      return event.type === 'content_block_delta' && event.delta?.type === 'text_delta' ? event.delta.text : '';
+    },
+    validateKey: (apiKey) => validateAnthropicKey(apiKey),
+    missingKeyError: () => new Error('Anthropic API key not configured. Please add your API key in the extension options or config.js file.'),
+    describeError(response, errorData = {}) {
+      if (response.status === 401) {
+        return new Error(`Authentication failed (401). This usually means:\n- Your API key is invalid or revoked\n- Your API key doesn't have the necessary permissions\n- There's an issue with your Anthropic account\n\nPlease verify your API key at https://console.anthropic.com/account/keys`);
+      } else if (response.status === 429) {
+        return new Error('Rate limit exceeded. Please try again later.');
+      } else if (response.status === 400) {
+        const errorMessage = errorData.error?.message || 'Invalid request';
+        return new Error(`Bad request (400): ${errorMessage}`);
+      }
+      return new Error(`API error (${response.status}): ${errorData.error?.message || response.statusText || 'Unknown error'}`);
+    }
+  },
+
+  openai: {
+    id: 'openai',
+    label: 'OpenAI',
+    isConfigured: (config) => isUsableKey(config.OPENAI_API_KEY, OPENAI_KEY_PLACEHOLDER),
+    apiKey: (config) => config.OPENAI_API_KEY,
+    model: (config) => config.OPENAI_MODEL || 'gpt-4-turbo-preview',
+    endpoint: () => 'https://api.openai.com/v1/chat/completions',
+    headers: (config) => ({
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${config.OPENAI_API_KEY}`
+    }),
+    // Claim extraction runs on the cheaper model to reduce costs and rate limits
+    modelFor(chat, config) {
+      return chat.mode === 'extractClaims' ? 'gpt-4o-mini' : this.model(config);
+    },
+    buildRequest(chat, config) {
+      const body = {
+        model: this.modelFor(chat, config),
+        messages: [{ role: 'system', content: chat.system }, ...chat.messages],
+        temperature: chat.temperature ?? (chat.mode === 'extractClaims' ? 0.3 : 0.7),
+        max_tokens: chat.maxTokens || 1000
+      };
+      if (chat.output && this.supportsStructuredOutput(chat, config)) {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: chat.output.name, schema: OutputSchemas.providerSchema(chat.output.schema), strict: true }
+        };
+      }
+      return body;
+    },
+    parseResponse: (data) => data.choices[0].message.content,
+    // json_schema response formats need gpt-4o (2024-08) or later
+    supportsStructuredOutput(chat, config) {
+      return /^(gpt-4o|gpt-4\.1|gpt-5|o[134])/.test(this.modelFor(chat, config));
+    },
+    parseStructured: (data) => {
+      const message = data.choices?.[0]?.message;
+      if (!message || message.refusal) return undefined;
+      try {
+        return JSON.parse(message.content);
+      } catch (_) {
+        return undefined;
+      }
+    },
+    parseUsage: parseOpenAIUsage,
+    parseStreamEvent: parseOpenAIStreamEvent,
+    // Ask for a final usage chunk when streaming
+    streamOptions: { stream_options: { include_usage: true } },
+    validateKey: (apiKey) => validateOpenAIKey(apiKey),
+    missingKeyError: () => new Error('OpenAI API key not configured. Please add your API key in the extension options or config.js file.'),
+    describeError(response, errorData = {}) {
+      if (response.status === 401) {
+        return new Error('Invalid API key. Please check your OpenAI API key in the extension options or config.js file.');
+      } else if (response.status === 429) {
+        return new Error('Rate limit exceeded. Please try again later.');
+      } else if (response.status === 400) {
+        return new Error('Invalid request. The API key may be malformed or expired.');
+      }
+      return new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+    }
+  },
+
+  // Any server speaking the OpenAI chat-completions dialect: self-hosted
+  // gateways, vLLM, LM Studio, Ollama (/v1), etc. The key is optional.
+  openaiCompatible: {
+    id: 'openaiCompatible',
+    label: 'OpenAI-compatible',
+    isConfigured: (config) => compatibleBaseUrl(config) !== '',
+    apiKey: (config) => config.OPENAI_COMPATIBLE_API_KEY || '',
+    model: (config) => config.OPENAI_COMPATIBLE_MODEL || 'default',
+    endpoint: (config) => `${compatibleBaseUrl(config)}/chat/completions`,
+    headers(config) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey(config)) headers['Authorization'] = `Bearer ${this.apiKey(config)}`;
+      return headers;
+    },
+    buildRequest(chat, config) {
+      return {
+        model: this.model(config),
+        messages: [{ role: 'system', content: chat.system }, ...chat.messages],
+        temperature: chat.temperature ?? (chat.mode === 'extractClaims' || chat.mode === 'factcheck' ? 0.1 : 0.7),
+        max_tokens: chat.maxTokens || 1000
+      };
+    },
+    parseResponse: (data) => data.choices?.[0]?.message?.content || '',
+    parseUsage: parseOpenAIUsage,
+    parseStreamEvent: parseOpenAIStreamEvent,
+    validateKey: (apiKey) => validateCompatibleEndpoint(apiKey),
+    missingKeyError: () => new Error('OpenAI-compatible base URL not configured. Set it in the extension options (for example http://localhost:11434/v1).'),
+    describeNetworkError: (error, config) => new Error(`Could not reach ${compatibleBaseUrl(config)} (${error.message}). Check that the server is running and that Bobby was granted access to it in the options page.`),
+    describeError(response, errorData = {}) {
+      if (response.status === 401 || response.status === 403) {
+        return new Error(`The OpenAI-compatible server rejected the request (${response.status}). Check the API key in the extension options.`);
+      } else if (response.status === 404) {
+        return new Error(`No chat-completions endpoint at ${response.url}. The base URL usually ends in /v1.`);
+      } else if (response.status === 429) {
+        return new Error('Rate limit exceeded. Please try again later.');
+      }
+      return new Error(`OpenAI-compatible API error: ${response.status} - ${errorData.error?.message || errorData.message || response.statusText || 'Unknown error'}`);
+    }
+  }
+};
+
+function parseOpenAIUsage(data) {
+  return {
+    inputTokens: data.usage?.prompt_tokens || 0,
+    outputTokens: data.usage?.completion_tokens || 0
+  };
+}
+
+// OpenAI-dialect streaming chunk -> text delta (the final chunk may carry usage)
+function parseOpenAIStreamEvent(data, usage = {}) {
+  if (data === '[DONE]') return '';
+  const chunk = JSON.parse(data);
+  if (chunk.error) {
+    throw new Error(`API error: ${chunk.error.message || 'Stream interrupted'}`);
+  }
+  if (chunk.usage) {
+    Object.assign(usage, parseOpenAIUsage(chunk));
+  }
+  return chunk.choices?.[0]?.delta?.content || '';
+}
+
+// Pick the provider for analysis: explicit LLM_PROVIDER wins, otherwise the
+// legacy USE_ANTHROPIC switch with OpenAI as fallback
+function resolveProviderId(config = CONFIG) {
+  if (config?.LLM_PROVIDER && PROVIDERS[config.LLM_PROVIDER]) {
+    return config.LLM_PROVIDER;
+  }
+  return config?.USE_ANTHROPIC && PROVIDERS.anthropic.isConfigured(config) ? 'anthropic' : 'openai';
+}
+
+function getProvider(providerId = resolveProviderId()) {
+  const provider = PROVIDERS[providerId];
+  if (!provider) {
+    throw new Error(`Unknown provider: ${providerId}`);
+  }
+  return provider;
+}
+
+// Provider-neutral chat request for an analysis mode. `output` names an OutputSchemas
+// schema ('claims' | 'verdict') the answer should follow.
+function buildChatRequest(text, mode, systemPrompt, userPrompt, output) {
+  // Decide if we should enable Anthropic Web Search tool (other providers ignore it)
+  const featureFlags = CONFIG?.FEATURE_FLAGS || {};
+  const webSearchEligibleModes = new Set(['explain', 'summarize', 'keyPoints', 'proscons', 'technical']);
+
+  return {
+    mode,
+    // Use custom system prompt if provided, otherwise use default
+    system: systemPrompt || 'You are Bobby, a helpful AI assistant. Be concise and direct. Avoid lengthy explanations. Get straight to the point. Format your responses with proper markdown for readability.',
+    // Use provided userPrompt or generate based on mode
+    messages: [{ role: 'user', content: userPrompt || generatePrompt(text, mode) }],
+    webSearch: !!featureFlags.USE_WEB_SEARCH && webSearchEligibleModes.has(String(mode || '').trim()),
+    output: output ? OutputSchemas.Schemas[output] : undefined
+  };
+}
+
+// Fail fast when the provider is not set up or its key is known to be bad.
+// Keys are only live-checked when they have no cached verdict (see Key health).
+// Errors marked `unready` (no key, rejected key) send failover on to the next provider.
+async function ensureProviderReady(provider) {
+  if (!provider.isConfigured(CONFIG)) {
+    const error = provider.missingKeyError();
+    error.unready = true;
+    throw error;
+  }
+  const health = await getKeyHealth(provider);
+  if (health.status === 'invalid' || health.retryable) {
+    const error = new Error(`API key validation failed: ${health.error}`);
+    // Outages during the check should fail over like any other transient error
+    error.retryable = !!health.retryable;
+    error.unready = !health.retryable;
+    throw error;
+  }
+}
+
+// POST a chat request to a provider and return the raw fetch Response
+async function sendProviderRequest(provider, chat, { stream = false, signal } = {}) {
+  const body = provider.buildRequest(chat, CONFIG);
+  if (stream) Object.assign(body, { stream: true }, provider.streamOptions);
+
+  if (CONFIG?.LOG_API_CALLS) {
+    console.log(`Bobby: ${provider.label} request`, { model: body.model, mode: chat.mode, stream });
+  }
+
+  await waitForRateSlot(provider.id, signal);
+  let response;
+  try {
+    response = await fetch(provider.endpoint(CONFIG), {
+      method: 'POST',
+      headers: provider.headers(CONFIG),
+      body: JSON.stringify(body),
+      signal
+    });
   } catch (error) {
-    console.error('Error in handleAnthropicRequest:', error);
-    sendResponse({ success: false, error: error.message });
+    if (error.name === 'AbortError') throw error;
+    const networkError = provider.describeNetworkError ? provider.describeNetworkError(error, CONFIG) : error;
+    networkError.retryable = true;
+    throw networkError;
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    console.error(`Bobby: ${provider.label} API error response:`, response.status, errorData);
+    const error = provider.describeError(response, errorData);
+    if (response.status === 401) {
+      noteKeyRejected(provider);
+    } else if (response.status === 429) {
+      noteKeyRateLimited(provider);
+    }
+    error.status = response.status;
+    error.retryable = response.status === 429 || response.status >= 500;
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+    if (!isNaN(retryAfter)) error.retryAfter = retryAfter;
+    throw error;
+  }
+  return { response, model: body.model };
+}
+
+// One-shot completion through the registry
+async function completeWithProvider(provider, chat, options = {}) {
+  return (await completeWithSources(provider, chat, options)).text;
+}
+
+// Whether `provider` can return `chat.output` natively; others get the prompt alone
+// and callers fall back to parsing the text
+function usesStructuredOutput(provider, chat) {
+  return !!(chat.output && provider.parseStructured && provider.supportsStructuredOutput(chat, CONFIG));
+}
+
+// Completion plus the numbered web sources it cites (empty unless the provider searched).
+// With chat.output on a provider that supports it, `data` is the structured answer,
+// already validated against the schema, and `text` is its JSON.
+async function completeWithSources(provider, chat, options = {}) {
+  const { response, model } = await sendProviderRequest(provider, chat, options);
+  const data = await response.json();
+  recordUsage({ provider: provider.id, model, mode: chat.mode, ...provider.parseUsage(data) });
+
+  if (usesStructuredOutput(provider, chat)) {
+    const structured = provider.parseStructured(data, chat.output);
+    const problems = structured === undefined
+      ? ['no structured output returned']
+      : OutputSchemas.validate(chat.output.schema, structured);
+    if (problems.length > 0) {
+      const error = new Error(`${provider.label} answer did not match the ${chat.output.name} schema: ${problems.slice(0, 3).join('; ')}`);
+      error.retryable = true;
+      throw error;
+    }
+    return { text: JSON.stringify(structured), sources: [], data: structured };
   }
+  return { text: provider.parseResponse(data), sources: provider.parseSources ? provider.parseSources(data) : [] };
 }
 
-// OpenAI API handler (fallback)
-async function handleOpenAIRequest(text, mode, systemPrompt, userPrompt, sendResponse) {
-  // Validate API key
-  if (!CONFIG.OPENAI_API_KEY || CONFIG.OPENAI_API_KEY === 'YOUR_OPENAI_API_KEY_HERE' || CONFIG.OPENAI_API_KEY === '') {
-    console.error('Bobby: Invalid OpenAI API key in config');
-    sendResponse({ 
-      success: false, 
-      error: 'OpenAI API key not configured. Please add your API key in the extension options or config.js file.' 
+// Streamed completion through the registry; onText receives each delta.
+// Resolves to the cited web sources, numbered as their [n] markers were streamed.
+async function streamWithProvider(provider, chat, onText, options = {}) {
+  const { response, model } = await sendProviderRequest(provider, chat, { ...options, stream: true });
+  const usage = {};
+  const citations = createCitationList();
+  try {
+    await readServerSentEvents(response, (data) => {
+      const chunk = provider.parseStreamEvent(data, usage, citations);
+      if (chunk) onText(chunk);
     });
-    return;
+    return citations.sources;
+  } finally {
+    // Stopped streams are still billed for what was generated
+    if (usage.inputTokens || usage.outputTokens) {
+      recordUsage({ provider: provider.id, model, mode: chat.mode, ...usage });
+    }
+  }
+}
+
+// Provider failover
+// Transient errors (429, 5xx, network) are retried with backoff, then the request
+// falls through to the next configured provider in PROVIDER_CHAIN. A provider with no
+// key or a rejected one is skipped without retries. Modes listed in
+// FAILOVER_DISABLED_MODES only ever use the selected provider.
+const DEFAULT_PROVIDER_CHAIN = CONFIG_SCHEMA.PROVIDER_CHAIN.default;
+const DEFAULT_FAILOVER_DISABLED_MODES = CONFIG_SCHEMA.FAILOVER_DISABLED_MODES.default;
+
+function failoverAllowed(mode, config = CONFIG) {
+  const disabled = Array.isArray(config?.FAILOVER_DISABLED_MODES) ? config.FAILOVER_DISABLED_MODES : DEFAULT_FAILOVER_DISABLED_MODES;
+  return !disabled.includes(mode);
+}
+
+// Selected provider first, then the other configured providers in chain order
+function providerChain(mode, config = CONFIG) {
+  const primary = getProvider(resolveProviderId(config));
+  if (!failoverAllowed(mode, config)) return [primary];
+  
+  const order = Array.isArray(config?.PROVIDER_CHAIN) ? config.PROVIDER_CHAIN : DEFAULT_PROVIDER_CHAIN;
+  const fallbacks = order
+    .filter(id => id !== primary.id && PROVIDERS[id] && PROVIDERS[id].isConfigured(config))
+    .map(id => PROVIDERS[id]);
+  return [primary, ...fallbacks];
+}
+
+// Exponential backoff with a little jitter; honours Retry-After when the provider sends one
+function backoffDelay(attempt, error) {
+  if (error.retryAfter) return Math.min(error.retryAfter * 1000, 10000);
+  return Math.min(1000 * 2 ** attempt, 8000) + Math.floor(Math.random() * 250);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+// Request pacing: each service gets evenly spaced slots (60s / its PROVIDER_RATE_LIMITS
+// entry) handed out first come, first served, so parallel fact-check workers and
+// other tabs queue behind one another instead of tripping the provider's 429s.
+const DEFAULT_RATE_LIMITS = CONFIG_SCHEMA.PROVIDER_RATE_LIMITS.default;
+const nextRequestSlot = new Map();
+
+function waitForRateSlot(service, signal) {
+  const limits = { ...DEFAULT_RATE_LIMITS, ...(CONFIG?.PROVIDER_RATE_LIMITS || {}) };
+  const perMinute = limits[service];
+  if (!perMinute) return Promise.resolve();
+
+  const now = Date.now();
+  const slot = Math.max(now, nextRequestSlot.get(service) || 0);
+  nextRequestSlot.set(service, slot + 60000 / perMinute);
+  return sleep(slot - now, signal);
+}
+
+// Run attempt(provider) along the failover chain for a mode.
+// Resolves with { result, provider, failover } where failover lists the providers skipped.
+async function runWithFailover(mode, attempt, { signal } = {}) {
+  const chain = providerChain(mode);
+  const retries = Number.isInteger(CONFIG?.FAILOVER_RETRIES) ? CONFIG.FAILOVER_RETRIES : 2;
+  const failover = [];
+  let lastError = null;
+  
+  for (const provider of chain) {
+    for (let i = 0; i <= retries; i++) {
+      try {
+        await ensureProviderReady(provider);
+        const result = await attempt(provider);
+        if (failover.length > 0) {
+          console.log(`Bobby: Failed over to ${provider.label}`, failover);
+        }
+        return { result, provider, failover };
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        if (error.unready) {
+          lastError = error;
+          console.warn(`Bobby: ${provider.label} skipped:`, error.message);
+          break;
+        }
+        if (!error.retryable) throw error;
+        lastError = error;
+        console.warn(`Bobby: ${provider.label} attempt ${i + 1} failed:`, error.message);
+        if (i < retries) await sleep(backoffDelay(i, error), signal);
+      }
+    }
+    failover.push({ provider: provider.id, label: provider.label, error: lastError.message });
+  }
+  
+  throw lastError;
+}
+
+// AI API handler - dispatches to the configured provider
+async function handleAnalyzeText(request, sendResponse, signal) {
+  const { text, mode, systemPrompt, userPrompt, output } = request;
+  
+  // Check if config is loaded
+  if (!CONFIG) {
+    await loadConfig();
   }
   
   try {
-    console.log('Bobby: Making OpenAI API request with key starting with:', CONFIG.OPENAI_API_KEY.substring(0, 10) + '...');
+    const primary = getProvider();
+    console.log('Bobby: API Selection:', primary.label, primary.model(CONFIG));
+    
+    if (output && !OutputSchemas.Schemas[output]) {
+      throw new Error(`Unknown structured output: ${output}`);
+    }
+    const chat = buildChatRequest(text, mode, systemPrompt, userPrompt, output);
     
     // Check cache first
-    const cacheKey = `openai_${text.substring(0, 50)}_${mode}`;
-    const cached = await getCachedResponse(cacheKey);
+    const cached = cachedAnswer(await getCachedResponse(primary, chat));
     if (cached) {
-      sendResponse({ success: true, result: cached, fromCache: true });
+      sendResponse({ success: true, ...cached, fromCache: true });
       return;
     }
     
-    // Use provided userPrompt or generate based on mode
-    const prompt = userPrompt || generatePrompt(text, mode);
+    const { result: answer, provider, failover } = await runWithFailover(mode, (p) => completeWithSources(p, chat, { signal }), { signal });
+    const { text: result, sources, data } = answer;
     
-    // Use custom system prompt if provided, otherwise use default
-    const systemMessage = systemPrompt || 'You are Bobby, a helpful AI assistant that provides clear, concise insights about text. Format your responses with proper markdown for readability.';
+    // Cache under the provider that actually answered
+    await cacheResponse(provider, chat, answerCacheData(result, sources, data), text);
     
-    // Call OpenAI API
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${CONFIG.OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: mode === 'extractClaims' ? 'gpt-3.5-turbo' : (CONFIG.OPENAI_MODEL || 'gpt-4-turbo-preview'),
-        messages: [
-          {
-            role: 'system',
-            content: systemMessage
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: mode === 'extractClaims' ? 0.3 : 0.7,
-        max_tokens: 1000
-      })
-    });
+    sendResponse({ success: true, result, sources, data, provider: provider.id, providerLabel: provider.label, failover });
+  } catch (error) {
+    console.error('Error in handleAnalyzeText:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Streaming analysis over a long-lived port
+// Content scripts connect with name 'bobby-stream', post one analyzeTextStream
+// request (a regular protocol message) and receive { type: 'delta' | 'done' |
+// 'stopped' | 'error' } events carrying the same requestId. { action: 'stop' }
+// on the port aborts the stream.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'bobby-stream') return;
+  
+  const controller = new AbortController();
+  let disconnected = false;
+  let requestId = null;
+  
+  const post = (message) => {
+    if (disconnected) return;
+    try {
+      port.postMessage({ ...message, requestId, protocol: MessageProtocol.VERSION });
+    } catch (_) {
+      // Port closed between checks; nothing left to deliver
+    }
+  };
+  
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
+  
+  port.onMessage.addListener(async (request) => {
+    if (request?.action === 'stop') {
+      controller.abort();
+      return;
+    }
+    requestId = request?.requestId ?? null;
+    const invalid = MessageProtocol.validateRequest(request);
+    if (invalid || !MessageProtocol.Messages[request.action].stream) {
+      const error = invalid || { code: MessageProtocol.ErrorCodes.UNKNOWN_ACTION, error: `${request.action} cannot be streamed` };
+      post({ type: 'error', ...error });
+      return;
+    }
     
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('Bobby: OpenAI API error:', response.status, errorData);
-      
-      if (response.status === 401) {
-        throw new Error('Invalid API key. Please check your OpenAI API key in the extension options or config.js file.');
-      } else if (response.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      } else if (response.status === 400) {
-        throw new Error('Invalid request. The API key may be malformed or expired.');
+    try {
+      await loadConfig(false);
+      if (CONFIG?.VAULT_STATE === 'locked') {
+        const error = vaultLockedError();
+        post({ type: 'error', code: error.code, error: error.message });
+        return;
+      }
+      await touchVault();
+      const budget = await checkUsageBudget();
+      if (budget.blocked) {
+        post({ type: 'error', code: MessageProtocol.ErrorCodes.BUDGET_EXCEEDED, error: budget.message });
+        return;
+      }
+      await handleAnalyzeTextStream(request, (message) => {
+        post(budget.warning && message.type === 'done' ? { ...message, budgetWarning: budget.warning } : message);
+      }, controller.signal);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        post({ type: 'stopped' });
       } else {
-        throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+        console.error('Error in streaming analysis:', error);
+        post({ type: 'error', code: error.code || MessageProtocol.ErrorCodes.REQUEST_FAILED, error: error.message });
       }
     }
-    
-    const data = await response.json();
-    const result = data.choices[0].message.content;
-    
-    // Cache the response
-    await cacheResponse(cacheKey, result);
-    
-    sendResponse({ success: true, result });
-  } catch (error) {
-    console.error('Error in handleOpenAIRequest:', error);
-    sendResponse({ success: false, error: error.message });
+  });
+});
+
+// Stream an analysis from the configured provider, forwarding text deltas
+async function handleAnalyzeTextStream(request, post, signal) {
+  const { text, mode, systemPrompt, userPrompt } = request;
+  
+  const primary = getProvider();
+  
+  const chat = buildChatRequest(text, mode, systemPrompt, userPrompt);
+  
+  // Cached answers are delivered whole; there is nothing to stream
+  const cached = cachedAnswer(await getCachedResponse(primary, chat));
+  if (cached) {
+    post({ type: 'done', ...cached, fromCache: true });
+    return;
+  }
+  
+  let result = '';
+  const { result: sources, provider, failover } = await runWithFailover(mode, async (p) => {
+    let emitted = false;
+    try {
+      return await streamWithProvider(p, chat, (chunk) => {
+        emitted = true;
+        result += chunk;
+        post({ type: 'delta', text: chunk });
+      }, { signal });
+    } catch (error) {
+      // Text already shown in the popup cannot be replaced by another provider's answer
+      if (emitted) error.retryable = false;
+      throw error;
+    }
+  }, { signal });
+  
+  await cacheResponse(provider, chat, answerCacheData(result, sources), text);
+  post({ type: 'done', result, sources, provider: provider.id, providerLabel: provider.label, failover });
+}
+
+// Analysis answers are cached as plain text, or { result, sources } when they cite the web
+function answerCacheData(result, sources, data) {
+  if (data !== undefined) return { result, sources: sources || [], data };
+  return sources && sources.length > 0 ? { result, sources } : result;
+}
+
+function cachedAnswer(data) {
+  if (!data) return null;
+  if (typeof data === 'string') return { result: data, sources: [] };
+  return data.data !== undefined
+    ? { result: data.result, sources: data.sources || [], data: data.data }
+    : { result: data.result, sources: data.sources || [] };
+}
+
+// Minimal SSE reader: invokes onData with the joined data lines of each event
+async function readServerSentEvents(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  const flushEvent = (rawEvent) => {
+    const data = rawEvent
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (data) onData(data);
+  };
+  
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      
+      let match;
+      while ((match = buffer.match(/\r?\n\r?\n/))) {
+        flushEvent(buffer.slice(0, match.index));
+        buffer = buffer.slice(match.index + match[0].length);
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) flushEvent(buffer);
+  } finally {
+    reader.releaseLock();
   }
 }
 
-// Internal: robust Exa search with header + payload fallbacks
-async function exaSearchCore(query, { numResults = 5, useAutoprompt = true, type = 'neural' } = {}) {
+// Search profile assigned to a search mode (factcheck, followup, search), or null.
+// A mode pointing at a deleted profile searches unfiltered.
+function searchProfileFor(mode, config = CONFIG) {
+  const name = config?.EXA_PROFILE_BY_MODE?.[mode];
+  if (!name) return null;
+  const profile = config.EXA_SEARCH_PROFILES?.[name];
+  if (!profile) {
+    console.warn(`Bobby: Search profile "${name}" for ${mode} not found; searching without filters`);
+    return null;
+  }
+  return profile;
+}
+
+// Exa search payload fields for a profile; maxAgeDays becomes a start date relative to now
+function searchProfileFilters(profile) {
+  if (!profile) return {};
+  const filters = {};
+  if (profile.includeDomains?.length) filters.includeDomains = profile.includeDomains;
+  if (profile.excludeDomains?.length) filters.excludeDomains = profile.excludeDomains;
+  if (profile.startPublishedDate) filters.startPublishedDate = new Date(profile.startPublishedDate).toISOString();
+  if (profile.maxAgeDays) {
+    const since = new Date(Date.now() - profile.maxAgeDays * 24 * 60 * 60 * 1000);
+    // The narrower of the two windows wins
+    if (!filters.startPublishedDate || since > new Date(filters.startPublishedDate)) {
+      filters.startPublishedDate = since.toISOString();
+    }
+  }
+  if (profile.endPublishedDate) filters.endPublishedDate = new Date(profile.endPublishedDate).toISOString();
+  if (profile.category) filters.category = profile.category;
+  if (profile.type) filters.type = profile.type;
+  return filters;
+}
+
+// Internal: robust Exa search with header + payload fallbacks.
+// The search profile assigned to `mode` adds its domain, date, category and type filters.
+async function exaSearchCore(query, { numResults = 5, useAutoprompt = true, type = 'neural', mode = 'search', signal } = {}) {
   const url = 'https://api.exa.ai/search';
   const primaryPayload = {
     query,
     numResults,
     useAutoprompt,
     type,
-    contents: { text: true }
+    contents: { text: true },
+    ...searchProfileFilters(searchProfileFor(mode))
   };
 
   // Try 1: x-api-key header + camelCase
+  await waitForRateSlot('exa', signal);
   let res = await fetch(url, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
       'x-api-key': CONFIG.EXA_API_KEY
     },
-    body: JSON.stringify(primaryPayload)
+    body: JSON.stringify(primaryPayload),
+    signal
   });
 
   // Fallback 1: Authorization: Bearer header
   if (!res.ok && (res.status === 401 || res.status === 403 || res.status === 402 || res.status === 400)) {
+    await waitForRateSlot('exa', signal);
     res = await fetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${CONFIG.EXA_API_KEY}`
       },
-      body: JSON.stringify(primaryPayload)
+      body: JSON.stringify(primaryPayload),
+      signal
     });
   }
 
   // Fallback 2: type keyword, no autoprompt (some plans restrict neural/autoprompt)
   if (!res.ok && (res.status === 402 || res.status === 400)) {
     const fallbackPayload = { ...primaryPayload, type: 'keyword', useAutoprompt: false };
+    await waitForRateSlot('exa', signal);
     res = await fetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'x-api-key': CONFIG.EXA_API_KEY
       },
-      body: JSON.stringify(fallbackPayload)
+      body: JSON.stringify(fallbackPayload),
+      signal
     });
   }
 
-  if (!res.ok) {
-    const err = await res.text().catch(() => '');
-    throw new Error(`Exa API error: ${res.status}${err ? ` - ${err}` : ''}`);
-  }
+  if (!res.ok) {
+    const err = await res.text().catch(() => '');
+    throw new Error(`Exa API error: ${res.status}${err ? ` - ${err}` : ''}`);
+  }
+
+  const data = await res.json();
+  recordUsage({ provider: 'exa', model: 'search', mode });
+  return normalizeExaResults(data);
+}
+
+// Normalize results to include text/snippet consistently
+function normalizeExaResults(data) {
+  return (data.results || []).map(r => ({
+    title: r.title || r.name || '',
+    url: r.url || r.link || '',
+    text: r.text || r.snippet || r.content || (r.contents && (r.contents.text || r.contents.snippet)) || '',
+    publishedDate: r.publishedDate || null,
+    score: typeof r.score === 'number' ? r.score : null
+  }));
+}
+
+// Characters of page text kept per related-reading result
+const RELATED_SNIPPET_LENGTH = 600;
+
+// Pages similar to `url` via Exa findSimilar, skipping the page's own site.
+// The 'search' profile applies, minus its search type (findSimilar has none).
+async function exaFindSimilarCore(url, { numResults = 8, signal } = {}) {
+  const { type, ...filters } = searchProfileFilters(searchProfileFor('search'));
+  await waitForRateSlot('exa', signal);
+  const res = await fetch('https://api.exa.ai/findSimilar', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': CONFIG.EXA_API_KEY
+    },
+    body: JSON.stringify({
+      url,
+      numResults,
+      excludeSourceDomain: true,
+      contents: { text: { maxCharacters: RELATED_SNIPPET_LENGTH } },
+      ...filters
+    }),
+    signal
+  });
+
+  if (!res.ok) {
+    const err = await res.text().catch(() => '');
+    throw new Error(`Exa findSimilar error: ${res.status}${err ? ` - ${err}` : ''}`);
+  }
+
+  const data = await res.json();
+  recordUsage({ provider: 'exa', model: 'findSimilar', mode: 'related' });
+  return normalizeExaResults(data);
+}
+
+// Related reading: pages covering the same thing as the current page (findSimilar on
+// its URL) or as the selected passage (a neural search with the passage as query).
+// Results are ranked by Exa's score and their text trimmed to a snippet.
+async function handleFindSimilar(request, sendResponse, signal) {
+  const { url, text, numResults = 8 } = request;
+
+  try {
+    let results;
+    if (url) {
+      if (!/^https?:\/\//.test(url)) {
+        throw new Error('Related reading needs a public web page; try it on the selected passage instead');
+      }
+      results = await exaFindSimilarCore(url, { numResults, signal });
+      results = results.filter(r => r.url !== url);
+    } else if (text && text.trim()) {
+      results = await exaSearchCore(text.trim(), { numResults, useAutoprompt: false, type: 'neural', mode: 'search', signal });
+    } else {
+      throw new Error('Nothing to find related reading for');
+    }
+
+    const ranked = results
+      .map(r => ({ ...r, text: r.text.replace(/\s+/g, ' ').trim().substring(0, RELATED_SNIPPET_LENGTH) }))
+      .sort((a, b) => (b.score ?? 0) - (a.score ?? 0));
+    sendResponse({ success: true, results: ranked, basis: url ? 'url' : 'text' });
+  } catch (error) {
+    console.error('Error in handleFindSimilar:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Full page text fetched per source for claim evidence, and the passage size it is cut into
+const CONTENTS_MAX_CHARACTERS = 20000;
+const PASSAGE_LENGTH = 700;
+const PASSAGES_PER_SOURCE = 3;
+
+// Full text of `urls` via Exa's contents endpoint, normalized like search results
+async function exaContentsCore(urls, { mode = 'factcheck', signal } = {}) {
+  await waitForRateSlot('exa', signal);
+  const res = await fetch('https://api.exa.ai/contents', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': CONFIG.EXA_API_KEY
+    },
+    body: JSON.stringify({ urls, text: { maxCharacters: CONTENTS_MAX_CHARACTERS } }),
+    signal
+  });
+
+  if (!res.ok) {
+    const err = await res.text().catch(() => '');
+    throw new Error(`Exa contents error: ${res.status}${err ? ` - ${err}` : ''}`);
+  }
+
+  const data = await res.json();
+  recordUsage({ provider: 'exa', model: 'contents', mode, requests: urls.length });
+  // `id` is the URL as requested; `url` may be where it redirected to
+  return normalizeExaResults(data).map((page, i) => ({ ...page, url: data.results[i].id || page.url }));
+}
+
+// Sentence-aligned pieces of one paragraph, none much longer than PASSAGE_LENGTH
+function splitParagraph(paragraph, offset) {
+  if (paragraph.length <= PASSAGE_LENGTH) return [{ text: paragraph, start: offset }];
+  const pieces = [];
+  let piece = null;
+  for (const match of paragraph.matchAll(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g)) {
+    if (piece && piece.text.length + match[0].length > PASSAGE_LENGTH) {
+      pieces.push(piece);
+      piece = null;
+    }
+    if (!piece) piece = { text: '', start: offset + match.index };
+    piece.text += match[0];
+  }
+  if (piece) pieces.push(piece);
+  return pieces;
+}
+
+// Cut page text into passages of about PASSAGE_LENGTH characters on paragraph and
+// sentence boundaries. Each passage keeps where it sits in the page: its character
+// range, the paragraph it starts in, and how far down the page that is (0..1).
+function splitPassages(text) {
+  const passages = [];
+  let passage = null;
+  let paragraph = 0;
+  for (const match of text.matchAll(/[^\n]+/g)) {
+    if (!match[0].trim()) continue;
+    paragraph++;
+    for (const piece of splitParagraph(match[0], match.index)) {
+      if (passage && passage.text.length + piece.text.length > PASSAGE_LENGTH) {
+        passages.push(passage);
+        passage = null;
+      }
+      if (!passage) passage = { text: '', start: piece.start, paragraph };
+      passage.text += (passage.text ? ' ' : '') + piece.text.trim();
+      passage.end = piece.start + piece.text.length;
+    }
+  }
+  if (passage) passages.push(passage);
+  return passages.map(p => ({
+    text: p.text,
+    location: { start: p.start, end: p.end, paragraph: p.paragraph, position: text.length ? p.start / text.length : 0 }
+  }));
+}
+
+const PASSAGE_STOPWORDS = new Set(('the and for are but not you all any can had her was one our out has his how its may new now see who did get let say she too use that with have this will your from they been than them were what when which their there about would these other into more some could only also just over such after most very said each does while where those being under since between through').split(' '));
+
+// Lowercased content words; numbers are kept whatever their length
+function passageTerms(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+(?:[.,'][\p{L}\p{N}]+)*/gu) || [])
+    .filter(t => /\d/.test(t) || (t.length > 2 && !PASSAGE_STOPWORDS.has(t)));
+}
+
+// BM25 over every passage of every page, so a term that appears everywhere counts for
+// little. Numbers in the claim weigh double: they are what a passage must confirm.
+// Returns the top `limit` passages, at most PASSAGES_PER_SOURCE from any one page.
+function rankPassages(query, pages, limit) {
+  const terms = [...new Set(passageTerms(query))];
+  const candidates = pages.flatMap((page, pageIndex) =>
+    splitPassages(page.text).map(p => ({ ...p, pageIndex, terms: passageTerms(p.text) })));
+  if (terms.length === 0 || candidates.length === 0) return [];
+
+  const k1 = 1.2;
+  const b = 0.75;
+  const averageLength = candidates.reduce((sum, c) => sum + c.terms.length, 0) / candidates.length || 1;
+  const idf = new Map(terms.map((term) => {
+    const df = candidates.filter(c => c.terms.includes(term)).length;
+    return [term, Math.log(1 + (candidates.length - df + 0.5) / (df + 0.5))];
+  }));
+
+  const scored = candidates.map((c) => {
+    const score = terms.reduce((sum, term) => {
+      const tf = c.terms.filter(t => t === term).length;
+      if (tf === 0) return sum;
+      const weight = /\d/.test(term) ? 2 : 1;
+      return sum + weight * idf.get(term) * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * c.terms.length / averageLength));
+    }, 0);
+    return { text: c.text, location: c.location, pageIndex: c.pageIndex, score };
+  }).filter(c => c.score > 0).sort((x, y) => y.score - x.score);
+
+  const perPage = new Map();
+  return scored.filter((c) => {
+    const taken = perPage.get(c.pageIndex) || 0;
+    if (taken >= PASSAGES_PER_SOURCE) return false;
+    perPage.set(c.pageIndex, taken + 1);
+    return true;
+  }).slice(0, limit);
+}
+
+// Claim evidence: fetch the full text of `urls` and return, per page, only the passages
+// that best match `query`, with their locations. Pages Exa couldn't read come back with
+// no passages so callers can fall back to the search snippet.
+async function handleExaContents(request, sendResponse, signal) {
+  const { urls, query, maxPassages = 6 } = request;
+
+  try {
+    const webUrls = urls.filter(u => typeof u === 'string' && /^https?:\/\//.test(u));
+    if (webUrls.length === 0) throw new Error('No source URLs to read');
+
+    const pages = await exaContentsCore(webUrls, { signal });
+    const ranked = rankPassages(query, pages, maxPassages);
+    const sources = pages.map((page, index) => ({
+      url: page.url,
+      title: page.title,
+      length: page.text.length,
+      passages: ranked
+        .filter(p => p.pageIndex === index)
+        .map(({ text, location, score }) => ({ text, location, score: Math.round(score * 100) / 100 }))
+    }));
+    sendResponse({ success: true, sources });
+  } catch (error) {
+    console.error('Error in handleExaContents:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Exa API handler for fact-checking (simple search wrapper)
+async function handleFactCheck(request, sendResponse, signal) {
+  const { text } = request;
+  try {
+    const results = await exaSearchCore(text, { numResults: 5, useAutoprompt: true, type: 'neural', mode: 'factcheck', signal });
+    sendResponse({ success: true, sources: results });
+  } catch (error) {
+    console.error('Error in handleFactCheck:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Exa Search API handler (used by HallucinationDetector)
+async function handleExaSearch(request, sendResponse, signal) {
+  const { query, numResults = 5, mode = 'search' } = request;
+  
+  try {
+    const results = await exaSearchCore(query, { numResults, useAutoprompt: true, type: 'neural', mode, signal });
+    sendResponse({ success: true, results });
+  } catch (error) {
+    console.error('Error in handleExaSearch:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Handle Exa Answer API for follow-up questions
+async function handleExaAnswer(request, sendResponse, signal) {
+  const { question } = request;
+
+  try {
+    // Exa Answer can't be filtered, so a follow-up search profile means searching
+    // with its filters and synthesizing the answer from those results
+    const profile = searchProfileFor('followup');
+    if (profile) {
+      const results = await exaSearchCore(question, { numResults: 5, mode: 'followup', signal });
+      if (results.length === 0) {
+        throw new Error('No sources matched the follow-up search profile');
+      }
+      const { content, sources } = await synthesizeAnswer(question, results, signal);
+      sendResponse({ success: true, answer: content || '', sources });
+      return;
+    }
+
+    // Call Exa Answer endpoint for grounded answers with structured citations
+    await waitForRateSlot('exa', signal);
+    const response = await fetch('https://api.exa.ai/answer', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${CONFIG.EXA_API_KEY}`
+      },
+      body: JSON.stringify({
+        query: question,
+        text: true
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const err = await response.text().catch(() => '');
+      throw new Error(`Exa Answer error: ${response.status}${err ? ` - ${err}` : ''}`);
+    }
+
+    const data = await response.json();
+    recordUsage({ provider: 'exa', model: 'answer', mode: 'followup' });
+
+    // Normalize citations -> sources array with number field
+    const citations = Array.isArray(data.citations) ? data.citations : [];
+    const sources = citations.map((c, idx) => ({
+      number: idx + 1,
+      title: c.title || c.name || c.url || `Source ${idx + 1}`,
+      url: c.url,
+      snippet: c.text || c.snippet || '',
+      publishedDate: c.publishedDate || c.published_date || null,
+      score: typeof c.score === 'number' ? c.score : (typeof c.confidence === 'number' ? c.confidence : null)
+    }));
+
+    sendResponse({ success: true, answer: data.answer || '', sources });
+  } catch (error) {
+    console.error('Error in handleExaAnswer:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Research: up to RESEARCH_MAX_QUERIES searches per question, merged into at most
+// RESEARCH_MAX_SOURCES sources; each source's text is clipped for the synthesis prompt
+const RESEARCH_MAX_QUERIES = 3;
+const RESEARCH_MAX_SOURCES = 6;
+const RESEARCH_SOURCES_PER_SITE = 2;
+const SYNTHESIS_SOURCE_LENGTH = 1500;
+
+// Web search queries for a question: the model rewrites it into short, specific queries,
+// resolving "it" or "this" from the context. Falls back to the question itself.
+async function rewriteSearchQueries(question, context, signal) {
+  const fallback = [question.replace(/\s+/g, ' ').trim().substring(0, 300)];
+  try {
+    const { result } = await runWithFailover('rewrite', (provider) => completeWithProvider(provider, {
+      mode: 'rewrite',
+      system: 'You turn questions into web search queries. Respond with ONLY a JSON array of strings.',
+      messages: [{
+        role: 'user',
+        content: `${context ? `Context:\n${context.substring(0, 1500)}\n\n` : ''}Question: ${question}\n\nWrite 1 to ${RESEARCH_MAX_QUERIES} short, specific web search queries that together would find sources answering the question. Resolve pronouns from the context. Output only a JSON array of strings.`
+      }],
+      maxTokens: 200,
+      temperature: 0.2
+    }, { signal }), { signal });
+
+    const match = result.match(/\[[\s\S]*\]/);
+    const queries = match ? JSON.parse(match[0]) : [];
+    const usable = [...new Set((Array.isArray(queries) ? queries : [])
+      .filter(q => typeof q === 'string' && q.trim())
+      .map(q => q.trim()))].slice(0, RESEARCH_MAX_QUERIES);
+    return usable.length > 0 ? usable : fallback;
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.warn('Bobby: Query rewriting failed, searching with the question:', error.message);
+    return fallback;
+  }
+}
+
+// URL key for deduplication: no fragment, tracking parameters, "www." or trailing slash
+function canonicalUrl(url) {
+  try {
+    const parsed = new URL(url);
+    [...parsed.searchParams.keys()]
+      .filter(key => /^(utm_|fbclid$|gclid$|ref$)/.test(key))
+      .forEach(key => parsed.searchParams.delete(key));
+    return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`.toLowerCase();
+  } catch (_) {
+    return url;
+  }
+}
+
+// Merge several searches into one ranked list: one entry per page, scored by its best
+// Exa score plus 0.1 for every other query that also found it, and no more than
+// RESEARCH_SOURCES_PER_SITE pages from one site
+function rankResearchSources(resultSets, limit = RESEARCH_MAX_SOURCES) {
+  const pages = new Map();
+  resultSets.forEach(results => results.forEach((result, rank) => {
+    if (!result.url) return;
+    const key = canonicalUrl(result.url);
+    const relevance = typeof result.score === 'number' ? result.score : 1 / (rank + 2);
+    const seen = pages.get(key);
+    if (!seen) {
+      pages.set(key, { result, relevance, hits: 1 });
+      return;
+    }
+    seen.hits++;
+    seen.relevance = Math.max(seen.relevance, relevance);
+    if (result.text.length > seen.result.text.length) seen.result = { ...result, score: seen.result.score };
+  }));
+
+  const perSite = new Map();
+  return [...pages.values()]
+    .sort((a, b) => (b.relevance + 0.1 * (b.hits - 1)) - (a.relevance + 0.1 * (a.hits - 1)))
+    .filter(({ result }) => {
+      const site = canonicalUrl(result.url).split('/')[0];
+      const taken = perSite.get(site) || 0;
+      if (taken >= RESEARCH_SOURCES_PER_SITE) return false;
+      perSite.set(site, taken + 1);
+      return true;
+    })
+    .slice(0, limit)
+    .map(({ result }) => result);
+}
+
+// How far past the last source a bracketed number still reads as a (mis)citation
+const CITATION_SLACK = 5;
+
+// Source numbers an answer cites, including grouped forms like [1, 3] and [2-4].
+// Numbers outside 1..limit (a year like [2024], an index like [0]) are plain text.
+function citedNumbers(text, limit) {
+  const numbers = new Set();
+  for (const match of String(text).matchAll(/\[(\d+(?:\s*[-–,]\s*\d+)*)\]/g)) {
+    match[1].split(/\s*,\s*/).forEach((part) => {
+      const [from, to = from] = part.split(/\s*[-–]\s*/).map(Number);
+      for (let n = Math.max(from, 1); n <= Math.min(to, from + 20, limit); n++) numbers.add(n);
+    });
+  }
+  return [...numbers];
+}
+
+// Research pipeline: rewrite the question into searches, run them, merge and rank the
+// results, then answer from the ranked sources with checked [n] citations.
+// `mode` picks the search profile ('search' for research mode, 'followup' for follow-ups).
+async function researchCore(question, { context, mode = 'search', signal } = {}) {
+  const queries = await rewriteSearchQueries(question, context, signal);
+  const searches = await Promise.allSettled(queries.map(query =>
+    exaSearchCore(query, { numResults: 5, mode, signal })));
+  const failed = searches.filter(s => s.status === 'rejected');
+  if (failed.some(s => s.reason?.name === 'AbortError') || failed.length === searches.length) {
+    throw failed[0].reason;
+  }
+
+  const ranked = rankResearchSources(searches.filter(s => s.status === 'fulfilled').map(s => s.value));
+  if (ranked.length === 0) {
+    throw new Error('No sources found for this question');
+  }
+  const { content, sources } = await synthesizeAnswer(question, ranked, signal, { context });
+  return { answer: content, sources, queries };
+}
+
+// Research mode: a sourced answer about the selection (or any question)
+async function handleResearch(request, sendResponse, signal) {
+  const { question, context } = request;
+
+  try {
+    const result = await researchCore(question, { context, mode: 'search', signal });
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    console.error('Error in handleResearch:', error);
+    sendResponse({ success: false, code: error.code, error: error.message });
+  }
+}
+
+// Synthesize an answer from numbered sources with the configured provider. Every factual
+// statement must cite [n]. An answer citing a number with no source is sent back once
+// with the problem named; if the rewrite still does, the answer is rejected.
+async function synthesizeAnswer(question, sources, signal, { context } = {}) {
+  const clipped = sources.map(s => (s.text || s.snippet || '').replace(/\s+/g, ' ').trim().substring(0, SYNTHESIS_SOURCE_LENGTH));
+  const sourcesText = sources.map((s, i) => 
+    `[${i + 1}] ${s.title}\n${clipped[i]}\n`
+  ).join('\n');
+
+  const messages = [
+    {
+      role: 'user',
+      content: `${context ? `${context}\n\n` : ''}Based on these sources, answer the question: "${question}"\n\nSources:\n${sourcesText}`
+    }
+  ];
+  const system = `You answer questions using only the numbered sources provided. Cite every factual statement inline with the number of the source it comes from, like [1] or [2][3]. Only sources 1 to ${sources.length} exist; never cite any other number. If the sources don't answer the question, say so instead of guessing.`;
+
+  try {
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const { result: content } = await runWithFailover('synthesize', (provider) => completeWithProvider(provider, {
+        mode: 'synthesize',
+        system,
+        messages,
+        maxTokens: 600,
+        temperature: 0.3
+      }, { signal }), { signal });
+
+      const invalid = citedNumbers(content, sources.length + CITATION_SLACK).filter(n => n > sources.length);
+      if (invalid.length === 0) {
+        return {
+          content: content,
+          sources: sources.map((s, i) => ({
+            number: i + 1,
+            title: s.title,
+            url: s.url,
+            snippet: clipped[i].substring(0, RELATED_SNIPPET_LENGTH),
+            publishedDate: s.publishedDate || null,
+            score: typeof s.score === 'number' ? s.score : null
+          }))
+        };
+      }
+
+      console.warn(`Bobby: Synthesized answer cites missing sources ${invalid.join(', ')}`);
+      messages.push(
+        { role: 'assistant', content },
+        { role: 'user', content: `Your answer cites ${invalid.map(n => `[${n}]`).join(', ')}, but only sources 1 to ${sources.length} exist. Rewrite the answer citing only those sources.` }
+      );
+    }
+
+    const error = new Error('The answer cited sources that do not exist, so it was discarded. Try again.');
+    error.code = 'INVALID_CITATIONS';
+    throw error;
+  } catch (error) {
+    console.error('Error synthesizing answer:', error);
+    throw error;
+  }
+}
+
+// Perplexity chat-completions (Sonar models search the web and return citations)
+const PERPLEXITY_ENDPOINT = 'https://api.perplexity.ai/chat/completions';
+
+function isPerplexityConfigured(config = CONFIG) {
+  return !!(config && config.PERPLEXITY_API_KEY && config.PERPLEXITY_API_KEY.trim() !== '');
+}
+
+// Normalize Perplexity citations into the same sources shape handleExaAnswer returns.
+// Newer responses carry `search_results` ({ title, url, date, snippet }); older ones
+// only a `citations` array of URLs, so titles fall back to the hostname.
+function normalizePerplexitySources(data) {
+  const results = Array.isArray(data.search_results) && data.search_results.length > 0
+    ? data.search_results
+    : (Array.isArray(data.citations) ? data.citations : []);
+
+  return results.map((entry, idx) => {
+    const item = typeof entry === 'string' ? { url: entry } : (entry || {});
+    let title = item.title || item.name || '';
+    if (!title && item.url) {
+      try { title = new URL(item.url).hostname.replace('www.', ''); } catch (_) { title = item.url; }
+    }
+    return {
+      number: idx + 1,
+      title: title || `Source ${idx + 1}`,
+      url: item.url,
+      snippet: item.snippet || item.text || '',
+      publishedDate: item.date || item.publishedDate || item.last_updated || null,
+      score: typeof item.score === 'number' ? item.score : null
+    };
+  }).filter(s => s.url);
+}
+
+async function perplexityChat({ system, messages, maxTokens = 800, temperature = 0.2, mode = 'followup', signal } = {}) {
+  if (!isPerplexityConfigured()) {
+    throw new Error('Perplexity API key not configured. Please add it in the extension options.');
+  }
+
+  const body = {
+    model: CONFIG.PERPLEXITY_MODEL || 'sonar',
+    messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+    max_tokens: maxTokens,
+    temperature
+  };
+
+  if (CONFIG.LOG_API_CALLS) {
+    console.log('Bobby: Perplexity request', { model: body.model });
+  }
+
+  await waitForRateSlot('perplexity', signal);
+  const response = await fetch(PERPLEXITY_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${CONFIG.PERPLEXITY_API_KEY}`
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      throw new Error('Invalid Perplexity API key. Please check your configuration.');
+    }
+    if (response.status === 429) {
+      throw new Error('Rate limit exceeded. Please wait a moment and try again.');
+    }
+    throw new Error(`Perplexity API error: ${response.status} - ${errorData.error?.message || errorData.detail || 'Unknown error'}`);
+  }
+
+  const data = await response.json();
+  recordUsage({ provider: 'perplexity', model: body.model, mode, ...parseOpenAIUsage(data) });
+  return {
+    answer: data.choices?.[0]?.message?.content || '',
+    sources: normalizePerplexitySources(data)
+  };
+}
+
+// Perplexity API handler
+async function handlePerplexityQuery(request, sendResponse, signal) {
+  const { query, question, context } = request;
+
+  try {
+    const result = await perplexityChat({
+      system: 'You are a research assistant. Answer concisely and cite sources inline using [1], [2], etc.',
+      messages: [
+        {
+          role: 'user',
+          content: context ? `${context}\n\nQuestion: ${question || query}` : (question || query)
+        }
+      ],
+      signal
+    });
+    sendResponse({ success: true, answer: result.answer, sources: result.sources });
+  } catch (error) {
+    console.error('Error in handlePerplexityQuery:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Bounds on what a conversational follow-up sends back to the model
+const FOLLOW_UP_MAX_TURNS = 6;
+const FOLLOW_UP_SELECTION_LENGTH = 4000;
+const FOLLOW_UP_ANSWER_LENGTH = 2000;
+
+const CONVERSATION_SYSTEM_PROMPT = 'You are Bobby, a helpful AI assistant. The user selected a passage on a web page and is asking follow-up questions about it. Answer the latest question in the context of that passage and the conversation so far. Be concise and use markdown. When web sources are provided, base factual statements on them and cite them inline as [1], [2], etc.; never cite a number that is not listed.';
+
+// Chat messages for a follow-up: the selection, then the prior turns (oldest dropped
+// past FOLLOW_UP_MAX_TURNS), then the question with this turn's sources. Earlier
+// answers lose their [n] markers, which pointed at that turn's own sources.
+function conversationMessages({ question, selection, url, turns = [] }, sources = []) {
+  const clip = (text, max) => (text.length > max ? `${text.substring(0, max)}…` : text);
+  const messages = [];
+  const push = (role, content) => {
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) last.content += `\n\n${content}`;
+    else messages.push({ role, content });
+  };
+
+  push('user', `I selected this passage${url ? ` on ${url}` : ''}:\n\n"${clip(selection || '', FOLLOW_UP_SELECTION_LENGTH)}"`);
+  turns.slice(-FOLLOW_UP_MAX_TURNS).forEach((turn) => {
+    if (turn.question) push('user', turn.question);
+    else if (turn.mode) push('user', `Analyze it (${turn.mode}).`);
+    if (turn.answer) push('assistant', clip(String(turn.answer).replace(/\s*\[\d+\]/g, ''), FOLLOW_UP_ANSWER_LENGTH));
+  });
+
+  const sourcesText = sources.map(s => `[${s.number}] ${s.title}\n${s.url}\n${s.snippet}`).join('\n\n');
+  push('user', sourcesText ? `${question}\n\nWeb sources for this question:\n${sourcesText}` : question);
+  return messages;
+}
+
+// Exa results for one follow-up turn, searched with the question plus the start of the
+// selection so "when did he say that?" still finds pages about the passage
+async function groundFollowUp(question, selection, signal) {
+  const query = selection ? `${question} ${selection.replace(/\s+/g, ' ').substring(0, 200)}` : question;
+  try {
+    const results = await exaSearchCore(query, { numResults: 5, mode: 'followup', signal });
+    return results.map((r, i) => ({
+      number: i + 1,
+      title: r.title || r.url,
+      url: r.url,
+      snippet: r.text.replace(/\s+/g, ' ').trim().substring(0, 800),
+      publishedDate: r.publishedDate,
+      score: r.score
+    }));
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.warn('Bobby: Follow-up grounding unavailable, answering from the conversation:', error.message);
+    return [];
+  }
+}
+
+// Conversational follow-up: the configured LLM answers with the selection and prior
+// turns in view, grounded by an Exa search for this turn when FOLLOW_UP_GROUNDING is
+// on and Exa is configured. Sources are numbered per turn.
+async function handleConversationFollowUp(request, sendResponse, signal) {
+  try {
+    const grounded = CONFIG.FOLLOW_UP_GROUNDING && !!CONFIG.EXA_API_KEY;
+    const sources = grounded ? await groundFollowUp(request.question, request.selection, signal) : [];
+    const chat = {
+      mode: 'followup',
+      system: CONVERSATION_SYSTEM_PROMPT,
+      messages: conversationMessages(request, sources),
+      maxTokens: 700,
+      temperature: 0.3
+    };
+    const { result, provider, failover } = await runWithFailover('followup', (p) => completeWithSources(p, chat, { signal }), { signal });
+    // Without Exa sources, the provider's own web-search citations (Anthropic) number the answer
+    sendResponse({
+      success: true,
+      answer: result.text,
+      sources: sources.length > 0 ? sources : result.sources,
+      provider: provider.id,
+      failover
+    });
+  } catch (error) {
+    console.error('Error in handleConversationFollowUp:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Research follow-up: search, rank and synthesize with the selection as context
+async function handleResearchFollowUp(request, sendResponse, signal) {
+  try {
+    const result = await researchCore(request.question, { context: request.context, mode: 'followup', signal });
+    sendResponse({ success: true, ...result });
+  } catch (error) {
+    console.error('Error in handleResearchFollowUp:', error);
+    sendResponse({ success: false, code: error.code, error: error.message });
+  }
+}
+
+// Follow-up questions go to the engine picked in options: the conversational engine
+// by default, the research pipeline, or a standalone web answer from Exa Answer or Perplexity
+async function handleFollowUpAnswer(request, sendResponse, signal) {
+  const configured = CONFIG.FOLLOW_UP_ENGINE || 'conversation';
+  const engine = configured === 'perplexity' && !isPerplexityConfigured() ? 'exa' : configured;
+  const respond = (response) => sendResponse(response.success ? { ...response, engine } : response);
+
+  if (engine === 'conversation') {
+    await handleConversationFollowUp(request, respond, signal);
+  } else if (engine === 'research') {
+    await handleResearchFollowUp(request, respond, signal);
+  } else if (engine === 'perplexity') {
+    await handlePerplexityQuery(request, respond, signal);
+  } else {
+    await handleExaAnswer(request, respond, signal);
+  }
+}
+
+// Second-opinion verdict for a claim, used by the fact-check view when enabled in options
+async function handlePerplexityVerify(request, sendResponse, signal) {
+  const { claim } = request;
+
+  if (!CONFIG.PERPLEXITY_VERIFY || !isPerplexityConfigured()) {
+    sendResponse({ success: true, enabled: false });
+    return;
+  }
+
+  try {
+    const result = await perplexityChat({
+      system: `You are a fact-checker. Search the web, then respond with ONLY a JSON object:
+{"assessment": "true|false|partially_true|unverifiable|needs_context", "confidence": 0-100, "summary": "One sentence citing sources as [n]"}`,
+      messages: [{ role: 'user', content: `Claim to verify: "${claim}"` }],
+      maxTokens: 300,
+      temperature: 0.1,
+      mode: 'factcheck',
+      signal
+    });
+
+    const match = result.answer.match(/\{[\s\S]*\}/);
+    let verdict = {};
+    try { verdict = match ? JSON.parse(match[0]) : {}; } catch (_) { verdict = {}; }
+
+    const allowed = ['true', 'false', 'partially_true', 'unverifiable', 'needs_context'];
+    sendResponse({
+      success: true,
+      enabled: true,
+      verdict: {
+        assessment: allowed.includes(verdict.assessment) ? verdict.assessment : 'unverifiable',
+        confidence: typeof verdict.confidence === 'number' ? verdict.confidence : 0,
+        summary: verdict.summary || ''
+      },
+      sources: result.sources
+    });
+  } catch (error) {
+    console.error('Error in handlePerplexityVerify:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Save API keys handler
+async function handleSaveApiKeys(request, sendResponse) {
+  const { keys } = request;
+  
+  try {
+    await storeApiConfig(keys);
+    // Reload so vault secrets and preferences stored alongside apiConfig apply;
+    // this also checks any new keys (see refreshKeyHealth)
+    await loadConfig(true);
+    sendResponse({ success: true });
+  } catch (error) {
+    console.error('Error saving API keys:', error);
+    sendResponse({ success: false, code: error.code, error: error.message });
+  }
+}
+
+// Validate API key handler
+async function handleValidateApiKey(request, sendResponse) {
+  const { provider: providerId, apiKey } = request;
+  
+  try {
+    const provider = PROVIDERS[providerId];
+    if (!provider) {
+      throw new Error('Invalid provider specified');
+    }
+    
+    // Checking the saved key refreshes its cached verdict; other keys are just tested
+    if (!apiKey || apiKey === provider.apiKey(CONFIG)) {
+      if (!provider.isConfigured(CONFIG)) {
+        throw provider.missingKeyError();
+      }
+      const health = await checkKeyHealth(provider);
+      sendResponse({
+        success: true,
+        valid: health.status === 'valid' || health.status === 'rate_limited',
+        status: health.status,
+        error: health.error,
+        warning: health.warning
+      });
+      return;
+    }
+    
+    const validation = await provider.validateKey(apiKey);
+    sendResponse({ success: true, ...validation });
+  } catch (error) {
+    console.error('Error validating API key:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Generate prompt based on analysis mode
+function generatePrompt(text, mode) {
+  // Check if we're using Anthropic for more direct prompts
+  const useAnthropic = resolveProviderId() === 'anthropic';
+  
+  const prompts = {
+    explain: `Explain in 2-3 short sentences (<=50 words). Start with "It's like ..." then say what it does; optionally give one everyday example. Use only common words a 10-year-old knows.\n\n"${text}"`,
+    summarize: `${useAnthropic ? 'Summarize: ' : 'Provide a concise summary of the following text:\n\n'}"${text}"`,
+    keyPoints: `${useAnthropic ? 'Key points from: ' : 'Extract and list the key points from the following text:\n\n'}"${text}"`,
+    eli5: `${useAnthropic ? 'Using only simple words a 5-year-old would understand, explain: ' : 'Explain the following text as if I\'m 5 years old:\n\n'}"${text}"`,
+    technical: `${useAnthropic ? 'Technical analysis of: ' : 'Provide a detailed technical analysis of the following text:\n\n'}"${text}"`,
+    examples: `${useAnthropic ? 'Examples illustrating: ' : 'Provide relevant examples that illustrate the concepts in the following text:\n\n'}"${text}"`,
+    proscons: `${useAnthropic ? 'Pros and cons in: ' : 'List the pros and cons or advantages and disadvantages discussed in the following text:\n\n'}"${text}"`,
+    factcheck: `${useAnthropic ? 'Factual claims to verify in: ' : 'Identify any factual claims in the following text that should be verified:\n\n'}"${text}"`,
+    extractClaims: `You are a claim extraction system. Your response must be ONLY a JSON array with no other text.
+
+Extract verifiable factual claims from this text: "${text}"
+
+Rules:
+- Each claim must be a complete sentence with subject, verb, and object
+- Include names, numbers, and specific details in the claim
+- Each claim should stand alone without needing external context
+- Focus on statements that can be fact-checked
+
+Required JSON structure:
+[{"claim": "complete sentence here.", "original_text": "source text", "type": "category"}]
+
+Valid types: statistical, historical, scientific, technological, general
+
+Example input: "Ford CEO Jim Farley said AI will eliminate 50% of white-collar jobs by 2030."
+Example output: [{"claim": "Ford CEO Jim Farley said AI will eliminate 50% of white-collar jobs by 2030.", "original_text": "Ford CEO Jim Farley said AI will eliminate 50% of white-collar jobs by 2030.", "type": "statistical"}]
+
+CRITICAL: Output ONLY the JSON array. No explanations, no markdown, just the array.`
+  };
+  
+  return prompts[mode] || prompts.explain;
+}
+
+// Response cache
+// Answers are stored under `cache_<sha256>`, where the hash covers provider, model
+// and the full prompt, so two selections can only share an entry if everything
+// sent to the model was identical. CACHE_INDEX_KEY keeps per-entry metadata so TTL
+// checks, LRU eviction and the options-page inspector never load the answers themselves.
+const CACHE_PREFIX = 'cache_';
+const CACHE_INDEX_KEY = 'bobby_cache_index';
+const DEFAULT_CACHE_MAX_BYTES = CONFIG_SCHEMA.CACHE_MAX_BYTES.default;
+const CACHE_PREVIEW_LENGTH = 120;
+
+// Per-mode lifetimes; modes not listed fall back to CONFIG.CACHE_DURATION, 0 disables caching
+const DEFAULT_CACHE_TTLS = CONFIG_SCHEMA.CACHE_TTLS.default;
+
+let cacheWriteQueue = Promise.resolve();
+
+function cacheEnabled() {
+  return CONFIG?.ENABLE_CACHE !== false;
+}
+
+function cacheTtl(mode) {
+  const ttls = { ...DEFAULT_CACHE_TTLS, ...(CONFIG?.CACHE_TTLS || {}) };
+  const ttl = ttls[mode] ?? CONFIG?.CACHE_DURATION ?? 3600000;
+  return Math.max(0, Number(ttl) || 0);
+}
+
+function cacheMaxBytes() {
+  const configured = Number(CONFIG?.CACHE_MAX_BYTES);
+  return configured > 0 ? configured : DEFAULT_CACHE_MAX_BYTES;
+}
+
+async function responseCacheKey(provider, chat) {
+  const material = JSON.stringify([
+    provider.id,
+    provider.model(CONFIG),
+    chat.mode,
+    chat.system,
+    chat.messages,
+    !!chat.webSearch,
+    chat.maxTokens ?? null,
+    chat.temperature ?? null,
+    // Only structured requests add the schema name, so other keys stay as they were
+    ...(chat.output ? [chat.output.name] : [])
+  ]);
+  return sha256Hex(material);
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Serialize index read-modify-write cycles; mutate() returns keys whose answers should
+// be dropped, and `writes` are stored together with the updated index
+function updateCacheIndex(mutate, writes = {}) {
+  cacheWriteQueue = cacheWriteQueue.then(async () => {
+    const stored = await chrome.storage.local.get(CACHE_INDEX_KEY);
+    const index = stored[CACHE_INDEX_KEY] || await removeUnindexedCacheEntries();
+    const removed = mutate(index) || [];
+    await chrome.storage.local.set({ ...writes, [CACHE_INDEX_KEY]: index });
+    if (removed.length > 0) {
+      await chrome.storage.local.remove(removed.map(key => CACHE_PREFIX + key));
+    }
+  }).catch(error => {
+    console.error('Bobby: Failed to update response cache index:', error);
+  });
+  return cacheWriteQueue;
+}
+
+// Entries written before the index existed (or after it was cleared) can never be
+// looked up or evicted, so drop them the first time the index is created
+async function removeUnindexedCacheEntries() {
+  const all = await chrome.storage.local.get(null);
+  const orphans = Object.keys(all).filter(key => key.startsWith(CACHE_PREFIX));
+  if (orphans.length > 0) {
+    await chrome.storage.local.remove(orphans);
+    console.log(`Bobby: Removed ${orphans.length} unindexed cache entries`);
+  }
+  return {};
+}
+
+// Drop expired entries, then least recently used ones until the index fits the budget
+function evictCacheEntries(index, maxBytes) {
+  const now = Date.now();
+  const removed = [];
+  
+  for (const [key, meta] of Object.entries(index)) {
+    if (now >= meta.expiresAt) {
+      delete index[key];
+      removed.push(key);
+    }
+  }
+  
+  let total = Object.values(index).reduce((sum, meta) => sum + (meta.size || 0), 0);
+  const byLastAccess = Object.entries(index).sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+  for (const [key, meta] of byLastAccess) {
+    if (total <= maxBytes) break;
+    total -= meta.size || 0;
+    delete index[key];
+    removed.push(key);
+  }
+  
+  return removed;
+}
+
+async function getCachedResponse(provider, chat) {
+  if (!cacheEnabled() || cacheTtl(chat.mode) === 0) return null;
+  
+  const key = await responseCacheKey(provider, chat);
+  const stored = await chrome.storage.local.get([CACHE_PREFIX + key, CACHE_INDEX_KEY]);
+  const entry = stored[CACHE_PREFIX + key];
+  const meta = (stored[CACHE_INDEX_KEY] || {})[key];
+  
+  if (!entry || !meta || Date.now() >= meta.expiresAt) {
+    if (entry || meta) {
+      await updateCacheIndex((index) => {
+        delete index[key];
+        return [key];
+      });
+    }
+    return null;
+  }
+  
+  updateCacheIndex((index) => {
+    if (index[key]) {
+      index[key].lastAccess = Date.now();
+      index[key].hits = (index[key].hits || 0) + 1;
+    }
+  });
+  return entry.data;
+}
+
+async function cacheResponse(provider, chat, data, text = '') {
+  const ttl = cacheTtl(chat.mode);
+  if (!cacheEnabled() || ttl === 0 || !data) return;
+  
+  const key = await responseCacheKey(provider, chat);
+  const now = Date.now();
+  const size = JSON.stringify(data).length;
+  const maxBytes = cacheMaxBytes();
+  if (size > maxBytes) return;
+  
+  await updateCacheIndex((index) => {
+    index[key] = {
+      mode: chat.mode,
+      provider: provider.id,
+      model: provider.model(CONFIG),
+      preview: String(text).replace(/\s+/g, ' ').trim().substring(0, CACHE_PREVIEW_LENGTH),
+      size,
+      hits: 0,
+      createdAt: now,
+      lastAccess: now,
+      expiresAt: now + ttl
+    };
+    return evictCacheEntries(index, maxBytes);
+  }, {
+    [CACHE_PREFIX + key]: {
+      data,
+      timestamp: now
+    }
+  });
+}
+
+// Cache inspector handlers (options page)
+async function handleGetCacheEntries(request, sendResponse) {
+  try {
+    await cacheWriteQueue;
+    const stored = await chrome.storage.local.get(CACHE_INDEX_KEY);
+    const now = Date.now();
+    const entries = Object.entries(stored[CACHE_INDEX_KEY] || {})
+      .map(([key, meta]) => ({ key, ...meta, expired: now >= meta.expiresAt }))
+      .sort((a, b) => b.lastAccess - a.lastAccess);
+    
+    sendResponse({
+      success: true,
+      enabled: cacheEnabled(),
+      entries,
+      totalBytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+      maxBytes: cacheMaxBytes()
+    });
+  } catch (error) {
+    console.error('Error reading response cache:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+async function handleGetCacheEntry(request, sendResponse) {
+  try {
+    const stored = await chrome.storage.local.get([CACHE_PREFIX + request.key, CACHE_INDEX_KEY]);
+    const entry = stored[CACHE_PREFIX + request.key];
+    if (!entry) {
+      throw new Error('Cache entry not found');
+    }
+    
+    const meta = (stored[CACHE_INDEX_KEY] || {})[request.key] || {};
+    sendResponse({ success: true, entry: { key: request.key, ...meta, data: entry.data } });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Purge one entry when `key` is given, otherwise the whole cache
+async function handlePurgeCache(request, sendResponse) {
+  try {
+    let removedCount = 0;
+    if (request.key) {
+      await updateCacheIndex((index) => {
+        delete index[request.key];
+        removedCount = 1;
+        return [request.key];
+      });
+    } else {
+      const purge = cacheWriteQueue.then(async () => {
+        const all = await chrome.storage.local.get(null);
+        const keys = Object.keys(all).filter(key => key.startsWith(CACHE_PREFIX));
+        removedCount = keys.length;
+        await chrome.storage.local.remove([...keys, CACHE_INDEX_KEY]);
+      });
+      cacheWriteQueue = purge.catch(() => {});
+      await purge;
+    }
+    
+    sendResponse({ success: true, removed: removedCount });
+  } catch (error) {
+    console.error('Error purging response cache:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+// Usage ledger
+// Every billable call appends { timestamp, provider, model, mode, inputTokens,
+// outputTokens, webSearches, requests, cost } under USAGE_STORAGE_KEY. Costs are
+// estimates from USAGE_PRICING; unknown models (e.g. local servers) are recorded at $0.
+const USAGE_STORAGE_KEY = 'bobby_usage';
+const USAGE_RETENTION_DAYS = 62;
+const USAGE_MAX_ENTRIES = 5000;
+
+// USD per million tokens (input/output) and per request; first matching model prefix wins
+const USAGE_PRICING = [
+  { provider: 'anthropic', model: 'claude-3-5-sonnet', input: 3, output: 15 },
+  { provider: 'anthropic', model: 'claude-3-opus', input: 15, output: 75 },
+  { provider: 'anthropic', model: 'claude-3-haiku', input: 0.25, output: 1.25 },
+  { provider: 'openai', model: 'gpt-4o-mini', input: 0.15, output: 0.6 },
+  { provider: 'openai', model: 'gpt-4o', input: 2.5, output: 10 },
+  { provider: 'openai', model: 'gpt-4-turbo', input: 10, output: 30 },
+  { provider: 'openai', model: 'gpt-3.5-turbo', input: 0.5, output: 1.5 },
+  { provider: 'perplexity', model: 'sonar-pro', input: 3, output: 15, request: 0.006 },
+  { provider: 'perplexity', model: 'sonar', input: 1, output: 1, request: 0.005 },
+  { provider: 'exa', model: 'search', request: 0.005 },
+  { provider: 'exa', model: 'answer', request: 0.005 },
+  { provider: 'exa', model: 'findSimilar', request: 0.005 },
+  { provider: 'exa', model: 'contents', request: 0.001 }
+];
+const WEB_SEARCH_COST = 0.01; // Anthropic web_search tool, per search
+
+let usageWriteQueue = Promise.resolve();
+
+function estimateCost(entry) {
+  const price = USAGE_PRICING.find(p => p.provider === entry.provider && String(entry.model || '').startsWith(p.model));
+  if (!price) return 0;
+  const tokens = ((entry.inputTokens || 0) * (price.input || 0) + (entry.outputTokens || 0) * (price.output || 0)) / 1e6;
+  return tokens + (entry.requests || 1) * (price.request || 0) + (entry.webSearches || 0) * WEB_SEARCH_COST;
+}
+
+// Append one call to the ledger. Writes are serialized so concurrent calls don't drop entries.
+function recordUsage({ provider, model, mode, inputTokens = 0, outputTokens = 0, webSearches = 0, requests = 1 }) {
+  const entry = { timestamp: Date.now(), provider, model, mode: mode || 'unknown', inputTokens, outputTokens, webSearches, requests };
+  entry.cost = estimateCost(entry);
+  
+  usageWriteQueue = usageWriteQueue.then(async () => {
+    const stored = await chrome.storage.local.get(USAGE_STORAGE_KEY);
+    const cutoff = Date.now() - USAGE_RETENTION_DAYS * 86400000;
+    const entries = (stored[USAGE_STORAGE_KEY] || []).filter(e => e.timestamp >= cutoff);
+    entries.push(entry);
+    await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: entries.slice(-USAGE_MAX_ENTRIES) });
+  }).catch(error => console.warn('Bobby: Could not record usage:', error));
+  return usageWriteQueue;
+}
+
+async function getUsageEntries() {
+  await usageWriteQueue;
+  const stored = await chrome.storage.local.get(USAGE_STORAGE_KEY);
+  return stored[USAGE_STORAGE_KEY] || [];
+}
+
+// Today (local midnight) and this calendar month
+function usagePeriodStarts(now = new Date()) {
+  return {
+    day: new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime(),
+    month: new Date(now.getFullYear(), now.getMonth(), 1).getTime()
+  };
+}
+
+function totalUsage(entries) {
+  return entries.reduce((acc, e) => ({
+    cost: acc.cost + (e.cost || 0),
+    inputTokens: acc.inputTokens + (e.inputTokens || 0),
+    outputTokens: acc.outputTokens + (e.outputTokens || 0),
+    requests: acc.requests + (e.requests || 1)
+  }), { cost: 0, inputTokens: 0, outputTokens: 0, requests: 0 });
+}
+
+function formatUsd(value) {
+  return `$${value.toFixed(value > 0 && value < 1 ? 3 : 2)}`;
+}
+
+function usageCaps(config = CONFIG) {
+  return {
+    daily: Number(config?.USAGE_DAILY_CAP) || 0,
+    monthly: Number(config?.USAGE_MONTHLY_CAP) || 0,
+    action: config?.USAGE_CAP_ACTION === 'block' ? 'block' : 'warn'
+  };
+}
 
-  const data = await res.json();
-  // Normalize results to include text/snippet consistently
-  const results = (data.results || []).map(r => ({
-    title: r.title || r.name || '',
-    url: r.url || r.link || '',
-    text: r.text || r.snippet || r.content || (r.contents && (r.contents.text || r.contents.snippet)) || ''
-  }));
-  return results;
+// Checked before each billable request: over a cap either blocks it or attaches a warning
+async function checkUsageBudget() {
+  const caps = usageCaps();
+  if (!caps.daily && !caps.monthly) return { blocked: false, warning: null };
+  
+  const starts = usagePeriodStarts();
+  const entries = await getUsageEntries();
+  const monthCost = totalUsage(entries.filter(e => e.timestamp >= starts.month)).cost;
+  const dayCost = totalUsage(entries.filter(e => e.timestamp >= starts.day)).cost;
+  
+  let message = null;
+  if (caps.daily && dayCost >= caps.daily) {
+    message = `Daily budget of ${formatUsd(caps.daily)} reached (${formatUsd(dayCost)} spent today).`;
+  } else if (caps.monthly && monthCost >= caps.monthly) {
+    message = `Monthly budget of ${formatUsd(caps.monthly)} reached (${formatUsd(monthCost)} spent this month).`;
+  }
+  if (!message) return { blocked: false, warning: null };
+  
+  return caps.action === 'block'
+    ? { blocked: true, warning: null, message: `${message} Raise the cap in Bobby's options to continue.` }
+    : { blocked: false, warning: message };
 }
 
-// Exa API handler for fact-checking (simple search wrapper)
-async function handleFactCheck(request, sendResponse) {
-  const { text } = request;
+// Usage page: period totals, caps and per provider/model breakdown
+async function handleGetUsage(request, sendResponse) {
   try {
-    const results = await exaSearchCore(text, { numResults: 5, useAutoprompt: true, type: 'neural' });
-    sendResponse({ success: true, sources: results });
+    const entries = await getUsageEntries();
+    const starts = usagePeriodStarts();
+    const monthEntries = entries.filter(e => e.timestamp >= starts.month);
+    
+    const breakdown = {};
+    monthEntries.forEach(e => {
+      const key = `${e.provider}|${e.model}`;
+      if (!breakdown[key]) breakdown[key] = { provider: e.provider, model: e.model, entries: [] };
+      breakdown[key].entries.push(e);
+    });
+    
+    sendResponse({
+      success: true,
+      today: totalUsage(entries.filter(e => e.timestamp >= starts.day)),
+      month: totalUsage(monthEntries),
+      caps: usageCaps(),
+      breakdown: Object.values(breakdown)
+        .map(b => ({ provider: b.provider, model: b.model, ...totalUsage(b.entries) }))
+        .sort((a, b) => b.cost - a.cost),
+      recent: entries.slice(-50).reverse()
+    });
   } catch (error) {
-    console.error('Error in handleFactCheck:', error);
+    console.error('Error in handleGetUsage:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-// Exa Search API handler (used by HallucinationDetector)
-async function handleExaSearch(request, sendResponse) {
-  const { query, num_results = 5 } = request;
-  
+async function handleClearUsage(request, sendResponse) {
   try {
-    const results = await exaSearchCore(query, { numResults: num_results, useAutoprompt: true, type: 'neural' });
-    sendResponse({ success: true, results });
+    await usageWriteQueue;
+    await chrome.storage.local.remove(USAGE_STORAGE_KEY);
+    sendResponse({ success: true });
   } catch (error) {
-    console.error('Error in handleExaSearch:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-// Handle Exa Answer API for follow-up questions
-async function handleExaAnswer(request, sendResponse) {
-  const { question } = request;
+// Key vault
+// Opt-in encryption for stored API keys. Secrets are sealed with AES-GCM under a
+// PBKDF2-derived key and kept in VAULT_STORAGE_KEY; apiConfig then holds only
+// blanks for them. Unlocking puts the secrets and the raw AES key in
+// chrome.storage.session (memory only, cleared with the browser session), and an
+// alarm locks the vault again once Bobby has been idle for the chosen time.
+const VAULT_STORAGE_KEY = 'bobby_vault';
+const VAULT_SESSION_KEY = 'bobby_vault_session';
+const VAULT_SECRET_FIELDS = [
+  'ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'OPENAI_COMPATIBLE_API_KEY', 'EXA_API_KEY', 'PERPLEXITY_API_KEY'
+];
+const VAULT_PBKDF2_ITERATIONS = 310000;
+const VAULT_DEFAULT_IDLE_MINUTES = 30;
+const VAULT_LOCK_ALARM = 'bobby-vault-lock';
+const VAULT_ACTIVITY_THROTTLE = 30000;
 
-  try {
-    // Call Exa Answer endpoint for grounded answers with structured citations
-    const response = await fetch('https://api.exa.ai/answer', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${CONFIG.EXA_API_KEY}`
-      },
-      body: JSON.stringify({
-        query: question,
-        text: true
-      })
-    });
+// Bumped by every lock, so an activity update that read the session before the
+// lock can tell and doesn't write it back
+let vaultGeneration = 0;
 
-    if (!response.ok) {
-      const err = await response.text().catch(() => '');
-      throw new Error(`Exa Answer error: ${response.status}${err ? ` - ${err}` : ''}`);
-    }
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
 
-    const data = await response.json();
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
 
-    // Normalize citations -> sources array with number field
-    const citations = Array.isArray(data.citations) ? data.citations : [];
-    const sources = citations.map((c, idx) => ({
-      number: idx + 1,
-      title: c.title || c.name || c.url || `Source ${idx + 1}`,
-      url: c.url,
-      snippet: c.text || c.snippet || '',
-      publishedDate: c.publishedDate || c.published_date || null,
-      score: typeof c.score === 'number' ? c.score : (typeof c.confidence === 'number' ? c.confidence : null)
-    }));
+async function deriveVaultKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
 
-    sendResponse({ success: true, answer: data.answer || '', sources });
+async function sealSecrets(key, secrets) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(secrets)));
+  return { iv: bytesToBase64(iv), ciphertext: bytesToBase64(new Uint8Array(ciphertext)) };
+}
+
+// Throws (OperationError) when the key is wrong or the vault was tampered with
+async function openSecrets(key, vault) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(vault.iv) },
+    key,
+    base64ToBytes(vault.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+function pickSecrets(config = {}) {
+  const secrets = {};
+  VAULT_SECRET_FIELDS.forEach((field) => {
+    if (typeof config[field] === 'string' && config[field].trim() !== '') secrets[field] = config[field].trim();
+  });
+  return secrets;
+}
+
+function stripSecrets(config = {}) {
+  const stripped = { ...config };
+  VAULT_SECRET_FIELDS.forEach((field) => { stripped[field] = ''; });
+  return stripped;
+}
+
+async function getVault() {
+  const stored = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+  return stored[VAULT_STORAGE_KEY] || null;
+}
+
+async function getVaultSession() {
+  const stored = await chrome.storage.session.get(VAULT_SESSION_KEY);
+  return stored[VAULT_SESSION_KEY] || null;
+}
+
+// 'disabled' | 'locked' | 'unlocked'
+async function vaultState() {
+  if (!await getVault()) return 'disabled';
+  return await getVaultSession() ? 'unlocked' : 'locked';
+}
+
+async function vaultSessionKey(session) {
+  return crypto.subtle.importKey('raw', base64ToBytes(session.key), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+async function startVaultSession(key, secrets, idleMinutes) {
+  const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+  await chrome.storage.session.set({
+    [VAULT_SESSION_KEY]: { key: bytesToBase64(raw), secrets, lastActivity: Date.now() }
+  });
+  if (idleMinutes > 0) {
+    chrome.alarms.create(VAULT_LOCK_ALARM, { periodInMinutes: 1 });
+  }
+  LAST_CONFIG_LOAD = 0;
+}
+
+async function lockVault() {
+  vaultGeneration++;
+  await chrome.storage.session.remove(VAULT_SESSION_KEY);
+  await chrome.alarms.clear(VAULT_LOCK_ALARM);
+  LAST_CONFIG_LOAD = 0;
+  console.log('Bobby: Key vault locked');
+}
+
+// Vault state and, while unlocked, the decrypted keys (the highest-precedence key source)
+async function readVault() {
+  const vault = await getVault();
+  if (!vault) return { state: 'disabled', secrets: {} };
+  const session = await getVaultSession();
+  return session ? { state: 'unlocked', secrets: session.secrets } : { state: 'locked', secrets: {} };
+}
+
+// Billable requests count as activity for the idle timeout
+async function touchVault() {
+  const generation = vaultGeneration;
+  const session = await getVaultSession();
+  if (!session || Date.now() - session.lastActivity < VAULT_ACTIVITY_THROTTLE) return;
+  if (generation !== vaultGeneration) return;
+  session.lastActivity = Date.now();
+  await chrome.storage.session.set({ [VAULT_SESSION_KEY]: session });
+}
+
+function vaultLockedError() {
+  const error = new Error('Bobby\'s API keys are encrypted and the vault is locked. Unlock it from the extension options.');
+  error.code = 'VAULT_LOCKED';
+  return error;
+}
+
+// Persist settings from the options page; secrets go to the vault when it is enabled
+async function storeApiConfig(keys) {
+  const vault = await getVault();
+  if (!vault) {
+    await chrome.storage.local.set({ apiConfig: keys });
+    return;
+  }
+  
+  const session = await getVaultSession();
+  if (!session) {
+    // Locked: the options page cannot show the keys, so blanks mean "unchanged"
+    if (Object.keys(pickSecrets(keys)).length > 0) throw vaultLockedError();
+  } else {
+    const secrets = pickSecrets(keys);
+    const sealed = await sealSecrets(await vaultSessionKey(session), secrets);
+    await chrome.storage.local.set({ [VAULT_STORAGE_KEY]: { ...vault, ...sealed } });
+    await chrome.storage.session.set({ [VAULT_SESSION_KEY]: { ...session, secrets, lastActivity: Date.now() } });
+  }
+  await chrome.storage.local.set({ apiConfig: stripSecrets(keys) });
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== VAULT_LOCK_ALARM) return;
+  const vault = await getVault();
+  const session = await getVaultSession();
+  if (!vault || !session) {
+    await chrome.alarms.clear(VAULT_LOCK_ALARM);
+    return;
+  }
+  const idleMinutes = vault.idleMinutes ?? VAULT_DEFAULT_IDLE_MINUTES;
+  if (idleMinutes > 0 && Date.now() - session.lastActivity >= idleMinutes * 60000) {
+    await lockVault();
+  }
+});
+
+async function handleGetVaultStatus(request, sendResponse) {
+  try {
+    const vault = await getVault();
+    sendResponse({
+      success: true,
+      state: await vaultState(),
+      idleMinutes: vault ? (vault.idleMinutes ?? VAULT_DEFAULT_IDLE_MINUTES) : VAULT_DEFAULT_IDLE_MINUTES
+    });
   } catch (error) {
-    console.error('Error in handleExaAnswer:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-// Synthesize answer from search results using AI
-async function synthesizeAnswer(question, sources) {
-  const sourcesText = sources.map((s, i) => 
-    `[${i + 1}] ${s.title}\n${s.text || s.snippet || ''}\n`
-  ).join('\n');
-
-  const useAnthropic = CONFIG.USE_ANTHROPIC && CONFIG.ANTHROPIC_API_KEY && 
-                      CONFIG.ANTHROPIC_API_KEY !== 'sk-ant-REDACTED';
-
-  try {
-    let response, data, content;
-    
-    if (useAnthropic) {
-      // Use Anthropic API
-      response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': CONFIG.ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: CONFIG.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20240620',
-          messages: [
-            {
-              role: 'user',
-              content: `You are a helpful assistant that answers questions based on provided sources. Always cite your sources using [1], [2], etc.\n\nBased on these sources, answer the question: "${question}"\n\nSources:\n${sourcesText}`
-            }
-          ],
-          max_tokens: 500,
-          temperature: 0.7
-        })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Anthropic API error: ${response.status}`);
-      }
-      
-      data = await response.json();
-      content = data.content[0].text;
-    } else {
-      // Use OpenAI API
-      response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${CONFIG.OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-          model: CONFIG.OPENAI_MODEL || 'gpt-4-turbo-preview',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a helpful assistant that answers questions based on provided sources. Always cite your sources using [1], [2], etc.'
-            },
-            {
-              role: 'user',
-              content: `Based on these sources, answer the question: "${question}"\n\nSources:\n${sourcesText}`
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 500
-        })
-      });
-      
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.status}`);
-      }
-      
-      data = await response.json();
-      content = data.choices[0].message.content;
+// Encrypt the currently stored keys and remove them from apiConfig
+async function handleEnableVault(request, sendResponse) {
+  const { passphrase, idleMinutes = VAULT_DEFAULT_IDLE_MINUTES } = request;
+  
+  try {
+    if (await getVault()) {
+      throw new Error('The key vault is already enabled');
+    }
+    if (!passphrase || passphrase.length < 8) {
+      throw new Error('Use a passphrase of at least 8 characters');
     }
     
-    return {
-      content: content,
-      sources: sources.map((s, i) => ({
-        number: i + 1,
-        title: s.title,
-        url: s.url
-      }))
-    };
+    const stored = await chrome.storage.local.get('apiConfig');
+    const secrets = pickSecrets(stored.apiConfig);
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveVaultKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+    const sealed = await sealSecrets(key, secrets);
+    
+    await chrome.storage.local.set({
+      [VAULT_STORAGE_KEY]: {
+        version: 1,
+        salt: bytesToBase64(salt),
+        iterations: VAULT_PBKDF2_ITERATIONS,
+        idleMinutes: Number(idleMinutes) || 0,
+        ...sealed
+      },
+      apiConfig: stripSecrets(stored.apiConfig || {})
+    });
+    await startVaultSession(key, secrets, Number(idleMinutes) || 0);
+    sendResponse({ success: true, state: 'unlocked' });
   } catch (error) {
-    console.error('Error synthesizing answer:', error);
-    throw error;
+    console.error('Error enabling key vault:', error);
+    sendResponse({ success: false, error: error.message });
   }
 }
 
-// Perplexity API handler
-async function handlePerplexityQuery(request, sendResponse) {
-  const { query } = request;
-  
+async function handleUnlockVault(request, sendResponse) {
   try {
-    // Implementation for Perplexity API
-    // Note: Actual Perplexity API endpoint and format may vary
-    sendResponse({ 
-      success: true, 
-      result: 'Perplexity integration pending API documentation' 
-    });
+    const vault = await getVault();
+    if (!vault) {
+      throw new Error('The key vault is not enabled');
+    }
+    
+    const key = await deriveVaultKey(request.passphrase || '', base64ToBytes(vault.salt), vault.iterations);
+    let secrets;
+    try {
+      secrets = await openSecrets(key, vault);
+    } catch (_) {
+      sendResponse({ success: false, code: 'VAULT_BAD_PASSPHRASE', error: 'Wrong passphrase' });
+      return;
+    }
+    
+    await startVaultSession(key, secrets, vault.idleMinutes ?? VAULT_DEFAULT_IDLE_MINUTES);
+    await loadConfig(true);
+    sendResponse({ success: true, state: 'unlocked' });
   } catch (error) {
-    console.error('Error in handlePerplexityQuery:', error);
+    console.error('Error unlocking key vault:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-// Save API keys handler
-async function handleSaveApiKeys(request, sendResponse) {
-  const { keys } = request;
-  
+async function handleLockVault(request, sendResponse) {
   try {
-    await chrome.storage.local.set({ apiConfig: keys });
-    CONFIG = { ...CONFIG, ...keys };
-    LAST_CONFIG_LOAD = Date.now();
-    sendResponse({ success: true });
+    await lockVault();
+    sendResponse({ success: true, state: await vaultState() });
   } catch (error) {
-    console.error('Error saving API keys:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-// Validate API key handler
-async function handleValidateApiKey(request, sendResponse) {
-  const { provider, apiKey } = request;
-  
+// Decrypt the keys back into apiConfig and delete the vault
+async function handleDisableVault(request, sendResponse) {
   try {
-    let validation;
-    if (provider === 'anthropic') {
-      validation = await validateAnthropicKey(apiKey || CONFIG.ANTHROPIC_API_KEY);
-    } else if (provider === 'openai') {
-      validation = await validateOpenAIKey(apiKey || CONFIG.OPENAI_API_KEY);
-    } else {
-      throw new Error('Invalid provider specified');
+    const vault = await getVault();
+    if (!vault) {
+      throw new Error('The key vault is not enabled');
     }
     
-    sendResponse({ success: true, ...validation });
+    const key = await deriveVaultKey(request.passphrase || '', base64ToBytes(vault.salt), vault.iterations);
+    let secrets;
+    try {
+      secrets = await openSecrets(key, vault);
+    } catch (_) {
+      sendResponse({ success: false, code: 'VAULT_BAD_PASSPHRASE', error: 'Wrong passphrase' });
+      return;
+    }
+    
+    const stored = await chrome.storage.local.get('apiConfig');
+    await chrome.storage.local.set({ apiConfig: { ...(stored.apiConfig || {}), ...secrets } });
+    await chrome.storage.local.remove(VAULT_STORAGE_KEY);
+    await lockVault();
+    sendResponse({ success: true, state: 'disabled' });
   } catch (error) {
-    console.error('Error validating API key:', error);
+    console.error('Error disabling key vault:', error);
     sendResponse({ success: false, error: error.message });
   }
 }
 
-// Generate prompt based on analysis mode
-function generatePrompt(text, mode) {
-  // Check if we're using Anthropic for more direct prompts
-  const useAnthropic = CONFIG?.USE_ANTHROPIC;
-  
-  const prompts = {
-    explain: `Explain in 2-3 short sentences (<=50 words). Start with "It's like ..." then say what it does; optionally give one everyday example. Use only common words a 10-year-old knows.\n\n"${text}"`,
-    summarize: `${useAnthropic ? 'Summarize: ' : 'Provide a concise summary of the following text:\n\n'}"${text}"`,
-    keyPoints: `${useAnthropic ? 'Key points from: ' : 'Extract and list the key points from the following text:\n\n'}"${text}"`,
-    eli5: `${useAnthropic ? 'Using only simple words a 5-year-old would understand, explain: ' : 'Explain the following text as if I\'m 5 years old:\n\n'}"${text}"`,
-    technical: `${useAnthropic ? 'Technical analysis of: ' : 'Provide a detailed technical analysis of the following text:\n\n'}"${text}"`,
-    examples: `${useAnthropic ? 'Examples illustrating: ' : 'Provide relevant examples that illustrate the concepts in the following text:\n\n'}"${text}"`,
-    proscons: `${useAnthropic ? 'Pros and cons in: ' : 'List the pros and cons or advantages and disadvantages discussed in the following text:\n\n'}"${text}"`,
-    factcheck: `${useAnthropic ? 'Factual claims to verify in: ' : 'Identify any factual claims in the following text that should be verified:\n\n'}"${text}"`,
-    extractClaims: `You are a claim extraction system. Your response must be ONLY a JSON array with no other text.
+async function handleSetVaultIdle(request, sendResponse) {
+  try {
+    const vault = await getVault();
+    if (!vault) {
+      throw new Error('The key vault is not enabled');
+    }
+    const idleMinutes = Math.max(0, Number(request.idleMinutes) || 0);
+    await chrome.storage.local.set({ [VAULT_STORAGE_KEY]: { ...vault, idleMinutes } });
+    if (idleMinutes > 0 && await getVaultSession()) {
+      chrome.alarms.create(VAULT_LOCK_ALARM, { periodInMinutes: 1 });
+    } else {
+      await chrome.alarms.clear(VAULT_LOCK_ALARM);
+    }
+    sendResponse({ success: true });
+  } catch (error) {
+    sendResponse({ success: false, error: error.message });
+  }
+}
 
-Extract verifiable factual claims from this text: "${text}"
+// Key health
+// Each provider key is validated once and the verdict is cached under KEY_HEALTH_STORAGE_KEY
+// with a fingerprint of the key and endpoint, so changing either starts over as unchecked.
+// A 401 from a real request drops the verdict and re-validates in the background.
+const KEY_HEALTH_STORAGE_KEY = 'bobby_key_health';
+const KEY_HEALTH_TTL = 24 * 60 * 60 * 1000;
+const KEY_HEALTH_RATE_LIMIT_TTL = 15 * 60 * 1000;
+const keyHealthChecks = new Map();
+let keyHealthWriteQueue = Promise.resolve();
 
-Rules:
-- Each claim must be a complete sentence with subject, verb, and object
-- Include names, numbers, and specific details in the claim
-- Each claim should stand alone without needing external context
-- Focus on statements that can be fact-checked
+async function keyFingerprint(provider) {
+  const hash = await sha256Hex(`${provider.id}|${provider.apiKey(CONFIG) || ''}|${provider.endpoint(CONFIG)}`);
+  return hash.substring(0, 16);
+}
 
-Required JSON structure:
-[{"claim": "complete sentence here.", "original_text": "source text", "type": "category"}]
+async function readKeyHealth() {
+  const stored = await chrome.storage.local.get(KEY_HEALTH_STORAGE_KEY);
+  return stored[KEY_HEALTH_STORAGE_KEY] || {};
+}
 
-Valid types: statistical, historical, scientific, technological, general
+function updateKeyHealth(mutate) {
+  keyHealthWriteQueue = keyHealthWriteQueue.then(async () => {
+    const health = await readKeyHealth();
+    mutate(health);
+    await chrome.storage.local.set({ [KEY_HEALTH_STORAGE_KEY]: health });
+  }).catch(error => {
+    console.error('Bobby: Failed to update key health:', error);
+  });
+  return keyHealthWriteQueue;
+}
 
-Example input: "Ford CEO Jim Farley said AI will eliminate 50% of white-collar jobs by 2030."
-Example output: [{"claim": "Ford CEO Jim Farley said AI will eliminate 50% of white-collar jobs by 2030.", "original_text": "Ford CEO Jim Farley said AI will eliminate 50% of white-collar jobs by 2030.", "type": "statistical"}]
+// Stored verdict for the provider's current key, or null if it has not been checked
+async function cachedKeyHealth(provider) {
+  const record = (await readKeyHealth())[provider.id];
+  if (!record || Date.now() >= record.expiresAt) return null;
+  return record.fingerprint === await keyFingerprint(provider) ? record : null;
+}
 
-CRITICAL: Output ONLY the JSON array. No explanations, no markdown, just the array.`
-  };
+// Validate the provider's current key and store the verdict. Outages and network
+// errors are returned as { status: 'unchecked', retryable: true } and not stored.
+function checkKeyHealth(provider) {
+  if (keyHealthChecks.has(provider.id)) return keyHealthChecks.get(provider.id);
   
-  return prompts[mode] || prompts.explain;
+  const check = (async () => {
+    const fingerprint = await keyFingerprint(provider);
+    const validation = await provider.validateKey(provider.apiKey(CONFIG));
+    if (validation.retryable) {
+      return { status: 'unchecked', error: validation.error, retryable: true };
+    }
+    
+    const status = !validation.valid ? 'invalid' : (validation.rateLimited ? 'rate_limited' : 'valid');
+    const now = Date.now();
+    const record = {
+      status,
+      fingerprint,
+      checkedAt: now,
+      expiresAt: now + (status === 'rate_limited' ? KEY_HEALTH_RATE_LIMIT_TTL : KEY_HEALTH_TTL),
+      error: validation.error,
+      warning: validation.warning
+    };
+    await updateKeyHealth((health) => {
+      health[provider.id] = record;
+    });
+    console.log(`Bobby: ${provider.label} key ${status}`, validation.error || validation.warning || '');
+    return record;
+  })().finally(() => keyHealthChecks.delete(provider.id));
+  
+  keyHealthChecks.set(provider.id, check);
+  return check;
 }
 
-// Cache management
-async function getCachedResponse(key) {
-  const cache = await chrome.storage.local.get(`cache_${key}`);
-  const cached = cache[`cache_${key}`];
-  
-  if (cached && Date.now() - cached.timestamp < CONFIG.CACHE_DURATION) {
-    return cached.data;
+async function getKeyHealth(provider) {
+  return await cachedKeyHealth(provider) || checkKeyHealth(provider);
+}
+
+// Check configured keys that have no current verdict (new key, expired, or after a 401)
+async function refreshKeyHealth() {
+  for (const provider of Object.values(PROVIDERS)) {
+    if (!provider.isConfigured(CONFIG)) continue;
+    try {
+      await getKeyHealth(provider);
+    } catch (error) {
+      console.error(`Bobby: ${provider.label} key check failed:`, error);
+    }
   }
-  
-  return null;
 }
 
-async function cacheResponse(key, data) {
-  await chrome.storage.local.set({
-    [`cache_${key}`]: {
-      data,
-      timestamp: Date.now()
+// Called from sendProviderRequest when a real request comes back 401 or 429
+function noteKeyRejected(provider) {
+  updateKeyHealth((health) => {
+    delete health[provider.id];
+  }).then(() => checkKeyHealth(provider)).catch(error => {
+    console.error(`Bobby: ${provider.label} key re-validation failed:`, error);
+  });
+}
+
+function noteKeyRateLimited(provider) {
+  updateKeyHealth((health) => {
+    const record = health[provider.id];
+    if (record && record.status !== 'invalid') {
+      record.status = 'rate_limited';
+      record.expiresAt = Date.now() + KEY_HEALTH_RATE_LIMIT_TTL;
     }
   });
 }
 
+async function handleGetKeyHealth(request, sendResponse) {
+  try {
+    const selected = resolveProviderId(CONFIG);
+    const providers = await Promise.all(Object.values(PROVIDERS).map(async (provider) => {
+      const configured = provider.isConfigured(CONFIG);
+      const record = configured ? await cachedKeyHealth(provider) : null;
+      return {
+        id: provider.id,
+        label: provider.label,
+        selected: provider.id === selected,
+        configured,
+        status: record ? record.status : 'unchecked',
+        checkedAt: record?.checkedAt || null,
+        error: record?.error || null,
+        warning: record?.warning || null
+      };
+    }));
+    sendResponse({ success: true, providers });
+  } catch (error) {
+    console.error('Error reading key health:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
 // API Key Validation Functions
 async function validateAnthropicKey(apiKey) {
   // Check format
@@ -763,22 +3220,16 @@ async function validateAnthropicKey(apiKey) {
     return { valid: false, error: 'API key appears too short' };
   }
   
-  // Test with a minimal API call
+  // List models: authenticates the key without a billable completion
   try {
     console.log('Bobby: Testing Anthropic API key...');
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
+    const response = await fetch('https://api.anthropic.com/v1/models?limit=1', {
+      method: 'GET',
       headers: {
-        'Content-Type': 'application/json',
         'x-api-key': apiKey,
         'anthropic-version': '2023-06-01',
         'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-5-sonnet-20240620',
-        messages: [{ role: 'user', content: 'Hi' }],
-        max_tokens: 5
-      })
+      }
     });
     
     if (response.status === 401) {
@@ -791,27 +3242,24 @@ async function validateAnthropicKey(apiKey) {
     
     if (response.status === 429) {
       // Rate limit means key is valid but overused
-      return { valid: true, warning: 'API key is valid but rate limited' };
-    }
-    
-    if (response.status === 400) {
-      // Bad request might be due to test message, but key could still be valid
-      console.warn('Bobby: API validation returned 400, assuming key is valid for now');
-      return { valid: true, warning: 'API key validation uncertain, proceeding anyway' };
+      return { valid: true, rateLimited: true, warning: 'API key is valid but rate limited' };
     }
     
     if (response.ok) {
       return { valid: true };
     }
     
-    return { 
-      valid: false, 
-      error: `API test failed with status ${response.status}` 
-    };
+    if (response.status >= 500) {
+      return { valid: false, error: `API test failed with status ${response.status}`, retryable: true };
+    }
+    
+    // Only a 401 proves the key bad; a real request decides the rest
+    return { valid: true, warning: `Key not confirmed: /v1/models returned ${response.status}` };
   } catch (error) {
     return { 
       valid: false, 
-      error: `Network error: ${error.message}` 
+      error: `Network error: ${error.message}`,
+      retryable: true
     };
   }
 }
@@ -841,21 +3289,57 @@ async function validateOpenAIKey(apiKey) {
     }
     
     if (response.status === 429) {
-      return { valid: true, warning: 'API key is valid but rate limited' };
+      return { valid: true, rateLimited: true, warning: 'API key is valid but rate limited' };
     }
     
     if (response.ok) {
       return { valid: true };
     }
     
+    if (response.status >= 500) {
+      return { valid: false, error: `API test failed with status ${response.status}`, retryable: true };
+    }
+    
+    // Restricted keys can be refused /v1/models (403) and still be allowed chat
+    // completions, so anything short of a 401 is left for a real request to decide
+    return { valid: true, warning: `Key not confirmed: /v1/models returned ${response.status}` };
+  } catch (error) {
     return { 
       valid: false, 
-      error: `API test failed with status ${response.status}` 
+      error: `Network error: ${error.message}`,
+      retryable: true
     };
+  }
+}
+
+// OpenAI-compatible servers: reachability check via GET /models (key optional)
+async function validateCompatibleEndpoint(apiKey) {
+  const baseUrl = compatibleBaseUrl(CONFIG || {});
+  if (!baseUrl) {
+    return { valid: false, error: 'Base URL is not configured' };
+  }
+  
+  try {
+    console.log('Bobby: Testing OpenAI-compatible endpoint...');
+    const headers = {};
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+    const response = await fetch(`${baseUrl}/models`, { method: 'GET', headers });
+    
+    if (response.status === 401 || response.status === 403) {
+      return { valid: false, error: 'Server rejected the API key' };
+    }
+    
+    if (response.ok) {
+      return { valid: true };
+    }
+    
+    // Some gateways only expose chat completions; reachable is good enough
+    return { valid: true, warning: `Server reachable but /models returned ${response.status}` };
   } catch (error) {
     return { 
       valid: false, 
-      error: `Network error: ${error.message}` 
+      error: `Network error: ${error.message}`,
+      retryable: true
     };
   }
 }
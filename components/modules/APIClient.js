@@ -1,212 +1,85 @@
 // Bobby Chrome Extension - API Client Module
-// Handles all API communications with caching and error handling
+// Content-side facade over the background worker. Provider keys never reach
+// content scripts, so every call here is a message to background.js, which picks
+// the provider, applies failover and budgets, and caches responses.
 
 class APIClient {
   constructor(config) {
-    this.config = config;
+    // Redacted view from ConfigService (feature flags and capabilities, no keys)
+    this.config = config || {};
+    this.client = new window.BackgroundClient();
     this.cache = new Map();
-    this.requestQueue = [];
-    this.isProcessing = false;
-    
-    // Determine which API to use by default
-    this.useAnthropic = config.USE_ANTHROPIC && 
-                       config.ANTHROPIC_API_KEY && 
-                       config.ANTHROPIC_API_KEY !== 'sk-ant-REDACTED';
   }
-  
+
   /**
-   * Analyze text using the configured AI provider
+   * Analyze chat-style messages with the configured AI provider.
+   * System messages become the system prompt; earlier turns are folded into the user prompt.
    */
   async analyze(messages, options = {}) {
-    if (this.useAnthropic) {
-      return this.analyzeWithAnthropic(messages, options);
-    } else {
-      return this.analyzeWithOpenAI(messages, options);
-    }
-  }
-  
-  /**
-   * Make a request to Anthropic API
-   */
-  async analyzeWithAnthropic(messages, options = {}) {
-    const cacheKey = this.getCacheKey('anthropic', messages);
-    
-    // Check cache first
-    const cached = this.getFromCache(cacheKey);
-    if (cached) {
-      return { result: cached, fromCache: true };
-    }
-    
-    try {
-      // Convert messages format if needed
-      const anthropicMessages = messages.map(msg => ({
-        role: msg.role === 'system' ? 'user' : msg.role,
-        content: msg.content
-      }));
-      
-      // If there's a system message, prepend it to the first user message
-      const systemMessage = messages.find(m => m.role === 'system');
-      if (systemMessage) {
-        anthropicMessages[0].content = `${systemMessage.content}\n\n${anthropicMessages[0].content}`;
-      }
-      
-      const response = await this.makeRequest('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.config.ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: options.model || this.config.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20240620',
-          messages: anthropicMessages.filter(m => m.role !== 'system'),
-          max_tokens: options.maxTokens || 1024,
-          temperature: options.temperature || 0.7
-        })
-      });
-      
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || `Anthropic API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      const result = data.content[0].text;
-      
-      // Cache the result
-      this.addToCache(cacheKey, result);
-      
-      return { result, fromCache: false };
-    } catch (error) {
-      console.error('Anthropic API error:', error);
-      throw new Error(`Failed to analyze text: ${error.message}`);
-    }
-  }
-  
-  /**
-   * Make a request to OpenAI API
-   */
-  async analyzeWithOpenAI(messages, options = {}) {
-    const cacheKey = this.getCacheKey('openai', messages);
-    
+    const cacheKey = this.getCacheKey('analyze', { messages, mode: options.mode });
+
     // Check cache first
     const cached = this.getFromCache(cacheKey);
     if (cached) {
       return { result: cached, fromCache: true };
     }
-    
+
     try {
-      const response = await this.makeRequest('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.config.OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({
-          model: options.model || this.config.OPENAI_MODEL || 'gpt-4-turbo-preview',
-          messages: messages,
-          temperature: options.temperature || 0.7,
-          max_tokens: options.maxTokens || 1000,
-          top_p: options.topP || 1,
-          frequency_penalty: options.frequencyPenalty || 0,
-          presence_penalty: options.presencePenalty || 0
-        })
-      });
-      
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || `OpenAI API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      const result = data.choices[0].message.content;
-      
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+      const turns = messages.filter(m => m.role !== 'system');
+      const question = turns.length > 0 ? turns[turns.length - 1].content : '';
+      const context = turns.slice(0, -1)
+        .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
+        .join('\n\n');
+
+      const response = await this.client.analyzeText({
+        text: question,
+        mode: options.mode || 'explain',
+        systemPrompt: system || undefined,
+        userPrompt: context ? `${context}\n\nUser: ${question}` : question
+      }, { signal: options.signal });
+
       // Cache the result
-      this.addToCache(cacheKey, result);
-      
-      return { result, fromCache: false };
+      this.addToCache(cacheKey, response.result);
+
+      return { result: response.result, fromCache: !!response.fromCache, provider: response.provider };
     } catch (error) {
-      console.error('OpenAI API error:', error);
+      if (error.name === 'AbortError') throw error;
+      console.error('Bobby: Analysis error:', error);
       throw new Error(`Failed to analyze text: ${error.message}`);
     }
   }
-  
+
   /**
-   * Search for sources using Exa API
+   * Search for sources using Exa (via the background worker).
+   * options.mode ('factcheck' | 'followup' | 'search') picks the search profile applied.
    */
   async searchWithExa(query, options = {}) {
-    if (!this.config.EXA_API_KEY) {
+    if (this.config.CAPABILITIES && !this.config.CAPABILITIES.exa) {
       throw new Error('Exa API key not configured');
     }
-    
-    const cacheKey = this.getCacheKey('exa', query);
-    
+
+    const cacheKey = this.getCacheKey('exa', { query, mode: options.mode });
+
     // Check cache
     const cached = this.getFromCache(cacheKey);
     if (cached) {
       return { sources: cached, fromCache: true };
     }
-    
+
     try {
-      // Primary: x-api-key header + camelCase body
-      const body = {
+      const response = await this.client.exaSearch({
         query,
         numResults: options.numResults || 5,
-        useAutoprompt: options.useAutoprompt !== false,
-        type: options.type || 'neural',
-        includeDomains: options.includeDomains,
-        excludeDomains: options.excludeDomains,
-        startPublishedDate: options.startDate,
-        endPublishedDate: options.endDate,
-        contents: { text: true }
-      };
-
-      let response = await this.makeRequest('https://api.exa.ai/search', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.config.EXA_API_KEY
-        },
-        body: JSON.stringify(body)
-      });
-
-      // Fallbacks
-      if (!response.ok && (response.status === 402 || response.status === 400 || response.status === 401 || response.status === 403)) {
-        // Authorization header variant
-        response = await this.makeRequest('https://api.exa.ai/search', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.config.EXA_API_KEY}`
-          },
-          body: JSON.stringify(body)
-        });
-      }
-      if (!response.ok && (response.status === 402 || response.status === 400)) {
-        // keyword type without autoprompt
-        const body2 = { ...body, type: 'keyword', useAutoprompt: false };
-        response = await this.makeRequest('https://api.exa.ai/search', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.config.EXA_API_KEY
-          },
-          body: JSON.stringify(body2)
-        });
-      }
-
-      if (!response.ok) {
-        throw new Error(`Exa API error: ${response.status}`);
-      }
-
-      const data = await response.json();
+        mode: options.mode
+      }, { signal: options.signal });
 
       // Normalize
-      const sources = (data.results || []).map(result => ({
-        title: result.title || result.name || '',
-        url: result.url || result.link || '',
-        snippet: result.snippet || result.text || result.content || (result.contents && (result.contents.text || result.contents.snippet)) || '',
-        publishedDate: result.published_date || result.publishedDate,
+      const sources = (response.results || []).map(result => ({
+        title: result.title || '',
+        url: result.url || '',
+        snippet: result.text || '',
+        publishedDate: result.publishedDate,
         score: result.score,
         author: result.author
       }));
@@ -214,51 +87,28 @@ class APIClient {
       this.addToCache(cacheKey, sources);
       return { sources, fromCache: false };
     } catch (error) {
-      console.error('Exa API error:', error);
+      if (error.name === 'AbortError') throw error;
+      console.error('Bobby: Exa search error:', error);
       throw new Error(`Failed to search sources: ${error.message}`);
     }
   }
-  
+
   /**
-   * Query Perplexity API
+   * Query Perplexity API (via the background worker, which holds the key)
+   * Resolves to { answer, sources } with sources shaped like Exa Answer citations
    */
   async queryPerplexity(query, options = {}) {
-    if (!this.config.PERPLEXITY_API_KEY) {
+    if (this.config.CAPABILITIES && !this.config.CAPABILITIES.perplexity) {
       throw new Error('Perplexity API key not configured');
     }
-    
-    // Note: Perplexity API implementation would go here
-    // This is a placeholder as the actual API format may vary
-    throw new Error('Perplexity integration pending API documentation');
-  }
-  
-  /**
-   * Make a generic HTTP request with retry logic
-   */
-  async makeRequest(url, options, retries = 3) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        const response = await fetch(url, {
-          ...options,
-          signal: AbortSignal.timeout(30000) // 30 second timeout
-        });
-        
-        // Handle rate limiting
-        if (response.status === 429) {
-          const retryAfter = response.headers.get('Retry-After');
-          const delay = retryAfter ? parseInt(retryAfter) * 1000 : (i + 1) * 2000;
-          await this.delay(delay);
-          continue;
-        }
-        
-        return response;
-      } catch (error) {
-        if (i === retries - 1) throw error;
-        await this.delay((i + 1) * 1000);
-      }
-    }
+
+    const response = await this.client.perplexityQuery({
+      query,
+      context: options.context
+    }, { signal: options.signal });
+    return { answer: response.answer, sources: response.sources || [] };
   }
-  
+
   /**
    * Generate cache key
    */
@@ -267,7 +117,7 @@ class APIClient {
     const hash = this.simpleHash(dataStr);
     return `${service}_${hash}`;
   }
-  
+
   /**
    * Simple hash function for cache keys
    */
@@ -280,18 +130,18 @@ class APIClient {
     }
     return Math.abs(hash).toString(36);
   }
-  
+
   /**
    * Get from cache
    */
   getFromCache(key) {
     const cached = this.cache.get(key);
-    if (cached && Date.now() - cached.timestamp < this.config.CACHE_DURATION) {
+    if (cached && Date.now() - cached.timestamp < (this.config.CACHE_DURATION || 3600000)) {
       return cached.data;
     }
     return null;
   }
-  
+
   /**
    * Add to cache
    */
@@ -300,98 +150,42 @@ class APIClient {
       data: data,
       timestamp: Date.now()
     });
-    
+
     // Limit cache size
     if (this.cache.size > 100) {
       const firstKey = this.cache.keys().next().value;
       this.cache.delete(firstKey);
     }
   }
-  
+
   /**
    * Clear cache
    */
   clearCache() {
     this.cache.clear();
   }
-  
-  /**
-   * Delay helper
-   */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-  
-  /**
-   * Validate API keys
-   */
-  async validateApiKeys() {
-    const results = {
-      anthropic: false,
-      openai: false,
-      exa: false,
-      perplexity: false
-    };
-    
-    // Test Anthropic
-    if (this.config.ANTHROPIC_API_KEY && this.config.ANTHROPIC_API_KEY !== 'sk-ant-REDACTED') {
-      try {
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.config.ANTHROPIC_API_KEY,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model: this.config.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20240620',
-            messages: [{ role: 'user', content: 'test' }],
-            max_tokens: 1
-          })
-        });
-        results.anthropic = response.ok || response.status === 400; // 400 might mean valid key but bad request
-      } catch (error) {
-        results.anthropic = false;
-      }
-    }
-    
-    // Test OpenAI
-    if (this.config.OPENAI_API_KEY) {
-      try {
-        const response = await fetch('https://api.openai.com/v1/models', {
-          headers: {
-            'Authorization': `Bearer ${this.config.OPENAI_API_KEY}`
-          }
-        });
-        results.openai = response.ok;
-      } catch (error) {
-        results.openai = false;
-      }
-    }
-    
-    // Test Exa
-    if (this.config.EXA_API_KEY) {
-      try {
-        const response = await this.searchWithExa('test', { numResults: 1 });
-        results.exa = true;
-      } catch (error) {
-        results.exa = false;
-      }
-    }
-    
-    return results;
-  }
-  
+
   /**
-   * Get API usage stats
+   * Get API usage stats: this client's cache counters plus the background
+   * usage ledger (today/month tokens and estimated cost)
    */
-  getUsageStats() {
-    return {
+  async getUsageStats() {
+    const stats = {
       cacheSize: this.cache.size,
       cacheHits: this.cacheHits || 0,
       cacheMisses: this.cacheMisses || 0,
       totalRequests: (this.cacheHits || 0) + (this.cacheMisses || 0)
     };
+
+    try {
+      const usage = await this.client.getUsage();
+      stats.today = usage.today;
+      stats.month = usage.month;
+      stats.caps = usage.caps;
+    } catch (error) {
+      console.warn('Bobby: Usage ledger unavailable:', error.message);
+    }
+    return stats;
   }
 }
 
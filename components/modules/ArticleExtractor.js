@@ -0,0 +1,216 @@
+// ArticleExtractor - the main content of a page, for whole-page fact-checks.
+// A readability-style pass: every paragraph scores its container (by length and
+// commas) and half that to the grandparent, containers are nudged up or down by
+// class/id hints and discounted by how much of their text is links, and the best
+// one (with any siblings scoring close to it) is the article. Its headings split
+// it into sections.
+
+class ArticleExtractor {
+  constructor({ maxLength = ArticleExtractor.MAX_LENGTH } = {}) {
+    this.maxLength = maxLength;
+  }
+
+  /**
+   * { title, url, sections: [{ index, title, text }], text, length, truncated },
+   * or null when the page has no readable text. Text past maxLength is left out.
+   */
+  extract(doc = document) {
+    if (!doc.body) return null;
+    const roots = this.findContent(doc);
+    const sections = this.splitSections(roots);
+    if (sections.length === 0) return null;
+
+    const text = sections.map(section => section.text).join('\n\n');
+    return {
+      title: this.titleOf(doc, roots),
+      url: doc.location ? doc.location.href : '',
+      sections,
+      text,
+      length: text.length,
+      truncated: sections.truncated
+    };
+  }
+
+  // ---- Finding the article ----
+
+  /**
+   * The article's top-level elements in document order: the best-scoring container
+   * and any sibling scoring at least a fifth of it
+   */
+  findContent(doc) {
+    const scores = new Map();
+    const addScore = (element, points) => {
+      if (!element || element === doc.documentElement) return;
+      if (!scores.has(element)) scores.set(element, this.baseScore(element));
+      scores.set(element, scores.get(element) + points);
+    };
+
+    doc.body.querySelectorAll('p, pre, td, blockquote').forEach((paragraph) => {
+      if (this.isUnlikely(paragraph, doc.body, { names: false })) return;
+      const text = this.textOf(paragraph);
+      if (text.length < 25) return;
+      const points = 1 + (text.match(/,/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      addScore(paragraph.parentElement, points);
+      addScore(paragraph.parentElement?.parentElement, points / 2);
+    });
+
+    let top = null;
+    let topScore = 0;
+    scores.forEach((score, element) => {
+      const final = score * (1 - this.linkDensity(element));
+      scores.set(element, final);
+      if (final > topScore) {
+        top = element;
+        topScore = final;
+      }
+    });
+
+    if (!top) return [doc.querySelector('article, main, [role="main"]') || doc.body];
+    if (!top.parentElement || top === doc.body) return [top];
+    const threshold = Math.max(10, topScore * 0.2);
+    return [...top.parentElement.children].filter(sibling =>
+      sibling === top || (scores.get(sibling) || 0) >= threshold);
+  }
+
+  baseScore(element) {
+    const tagScores = {
+      ARTICLE: 10, MAIN: 5, SECTION: 3, DIV: 5, PRE: 3, TD: 3, BLOCKQUOTE: 3,
+      ADDRESS: -3, OL: -3, UL: -3, DL: -3, DD: -3, DT: -3, LI: -3, FORM: -3,
+      H1: -5, H2: -5, H3: -5, H4: -5, H5: -5, H6: -5, TH: -5
+    };
+    return (tagScores[element.tagName] || 0) + this.classWeight(element);
+  }
+
+  // +25 for class/id names that suggest content, -25 for ones that suggest chrome
+  classWeight(element) {
+    const names = `${typeof element.className === 'string' ? element.className : ''} ${element.id || ''}`;
+    let weight = 0;
+    if (ArticleExtractor.NEGATIVE.test(names)) weight -= 25;
+    if (ArticleExtractor.POSITIVE.test(names)) weight += 25;
+    return weight;
+  }
+
+  linkDensity(element) {
+    const length = this.textOf(element).length;
+    if (length === 0) return 0;
+    const linked = [...element.querySelectorAll('a')].reduce((sum, link) => sum + this.textOf(link).length, 0);
+    return Math.min(1, linked / length);
+  }
+
+  // Navigation, asides, hidden text, Bobby's own UI and, with `names`, containers
+  // named like page chrome (unless the name also suggests content), up to `root`.
+  // Scoring skips the names: a wrapper far above the article may be called anything.
+  isUnlikely(element, root, { names = true } = {}) {
+    for (let node = element; node && node !== root; node = node.parentElement) {
+      if (node.matches(ArticleExtractor.UNLIKELY_SELECTOR)) return true;
+      if (!names) continue;
+      const label = `${typeof node.className === 'string' ? node.className : ''} ${node.id || ''}`;
+      if (ArticleExtractor.UNLIKELY_NAMES.test(label) && !ArticleExtractor.MAYBE_CONTENT.test(label)) return true;
+    }
+    return false;
+  }
+
+  textOf(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  titleOf(doc, roots) {
+    const meta = doc.querySelector('meta[property="og:title"], meta[name="twitter:title"]');
+    const heading = roots.map(root => root.querySelector('h1')).find(Boolean) || doc.querySelector('h1');
+    return ((meta && meta.content) || '').trim() || (heading && this.textOf(heading)) || doc.title || 'This page';
+  }
+
+  // ---- Sections ----
+
+  /**
+   * The article's text blocks, grouped under their headings. Blocks are the
+   * innermost of p, li, blockquote, etc., so nested markup isn't read twice.
+   * Sections under 200 characters join the one before; an article that ends up
+   * as one section is cut into parts of about PART_LENGTH characters. The returned
+   * array's `truncated` says whether text past maxLength was dropped.
+   */
+  splitSections(roots) {
+    const sections = [];
+    let current = null;
+    let length = 0;
+    let truncated = false;
+
+    const blocks = roots.flatMap(root => (root.matches(ArticleExtractor.BLOCK_SELECTOR) ? [root] : [])
+      .concat([...root.querySelectorAll(ArticleExtractor.BLOCK_SELECTOR)])
+      .map(block => ({ block, root })));
+    for (const { block, root } of blocks) {
+      if (block.querySelector(ArticleExtractor.BLOCK_SELECTOR)) continue;
+      if (this.isUnlikely(block, root) || block.getClientRects().length === 0) continue;
+      const text = this.textOf(block);
+      if (/^H[1-6]$/.test(block.tagName)) {
+        if (text) {
+          current = { title: text, paragraphs: [] };
+          sections.push(current);
+        }
+        continue;
+      }
+      if (text.length < 20 || this.linkDensity(block) > 0.5) continue;
+      if (length + text.length > this.maxLength) {
+        truncated = true;
+        break;
+      }
+      if (!current) {
+        current = { title: null, paragraphs: [] };
+        sections.push(current);
+      }
+      current.paragraphs.push(text);
+      length += text.length;
+    }
+
+    const merged = [];
+    sections.filter(section => section.paragraphs.length > 0).forEach((section) => {
+      const previous = merged[merged.length - 1];
+      if (previous && section.paragraphs.join(' ').length < 200) {
+        previous.paragraphs.push(...(section.title ? [section.title] : []), ...section.paragraphs);
+      } else {
+        merged.push(section);
+      }
+    });
+
+    const parts = merged.length === 1 ? this.splitParts(merged[0].paragraphs) : merged;
+    const result = parts.map((section, index) => ({
+      index,
+      title: section.title || (parts.length > 1 ? `Part ${index + 1}` : 'Article'),
+      text: section.paragraphs.join('\n\n')
+    }));
+    result.truncated = truncated;
+    return result;
+  }
+
+  splitParts(paragraphs) {
+    const parts = [];
+    let part = null;
+    paragraphs.forEach((paragraph) => {
+      if (!part || part.paragraphs.join(' ').length >= ArticleExtractor.PART_LENGTH) {
+        part = { title: null, paragraphs: [] };
+        parts.push(part);
+      }
+      part.paragraphs.push(paragraph);
+    });
+    return parts;
+  }
+}
+
+// Characters of article text read at most, and the size of a part when the
+// article has no headings
+ArticleExtractor.MAX_LENGTH = 40000;
+ArticleExtractor.PART_LENGTH = 2000;
+
+ArticleExtractor.BLOCK_SELECTOR = 'h1, h2, h3, h4, h5, h6, p, li, blockquote, pre, figcaption, dd, td';
+ArticleExtractor.UNLIKELY_SELECTOR = [
+  'nav', 'aside', 'footer', 'form', 'button', 'script', 'style', 'noscript', 'template',
+  '[hidden]', '[aria-hidden="true"]', '[role="navigation"]', '[role="complementary"]', '[role="contentinfo"]',
+  '.bobby-popup', '.bobby-popup-v2', '.bobby-popup-rauno', '.bobby-annotation-tooltip', '.bobby-annotation-bar'
+].join(', ');
+
+ArticleExtractor.POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+ArticleExtractor.NEGATIVE = /hidden|banner|combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+ArticleExtractor.UNLIKELY_NAMES = /-ad-|\bads?\b|advert|banner|breadcrumbs|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|legends|menu|newsletter|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|yom-remote/i;
+ArticleExtractor.MAYBE_CONTENT = /and|article|body|column|content|main|shadow/i;
+
+window.ArticleExtractor = ArticleExtractor;
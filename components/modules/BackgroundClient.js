@@ -1,58 +1,296 @@
-// BackgroundClient - thin promise-based wrapper around chrome.runtime.sendMessage
-// Avoids scattering string action names and ad-hoc message shapes
+// BackgroundClient - the typed client for the background message protocol
+// Every request is checked against its MessageProtocol shape before it is sent,
+// tagged with a requestId and the protocol version, and every reply is checked
+// before it resolves. Content scripts and extension pages talk to the background
+// only through this class.
 
 (function() {
   'use strict';
 
+  let requestCounter = 0;
+
+  function nextRequestId() {
+    return `${Date.now().toString(36)}-${++requestCounter}`;
+  }
+
+  function abortError() {
+    return new DOMException('Request cancelled', 'AbortError');
+  }
+
+  // Errors keep the background's machine-readable code (e.g. BUDGET_EXCEEDED)
+  // and, for malformed messages, the list of problems
+  function responseError(response) {
+    const error = new Error(response?.error || 'Unknown error');
+    if (response?.code) error.code = response.code;
+    if (response?.details) error.details = response.details;
+    return error;
+  }
+
+  function protocolError(code, message, details) {
+    return responseError({ code, error: message, details });
+  }
+
+  // Reject replies that don't belong to this request or don't match the declared shape
+  function checkReply(action, requestId, reply, event) {
+    const { ErrorCodes } = window.MessageProtocol;
+    if (reply.protocol !== window.MessageProtocol.VERSION) {
+      return protocolError(ErrorCodes.PROTOCOL_MISMATCH, 'Bobby was updated. Reload the page and try again.');
+    }
+    if (reply.requestId !== requestId) {
+      return protocolError(ErrorCodes.BAD_RESPONSE, `Reply to ${reply.requestId} arrived for ${requestId}`);
+    }
+    const problems = window.MessageProtocol.validateResponse(action, reply, event);
+    return problems.length > 0
+      ? protocolError(ErrorCodes.BAD_RESPONSE, `Malformed ${action} reply: ${problems.join('; ')}`, problems)
+      : null;
+  }
+
   class BackgroundClient {
     constructor() {
-      this.actions = window.MessageTypes || {};
+      this.actions = window.MessageTypes;
     }
 
-    send(action, payload = {}) {
+    // Every request carries a requestId the background can abort. Passing an
+    // AbortSignal cancels the background fetch and rejects with an AbortError;
+    // a response that arrives afterwards is dropped.
+    send(action, payload = {}, { signal } = {}) {
+      const requestId = nextRequestId();
+      const message = { ...payload, action, requestId, protocol: window.MessageProtocol.VERSION };
       return new Promise((resolve, reject) => {
+        const invalid = window.MessageProtocol.validateRequest(message);
+        if (invalid) return reject(responseError(invalid));
+        if (signal?.aborted) return reject(abortError());
+        let settled = false;
+
+        const onAbort = () => {
+          if (settled) return;
+          settled = true;
+          try {
+            chrome.runtime.sendMessage({
+              action: this.actions.CANCEL_REQUEST,
+              requestId,
+              protocol: window.MessageProtocol.VERSION
+            }, () => {
+              void chrome.runtime.lastError;
+            });
+          } catch (_) {
+            // Extension context gone; nothing left to cancel
+          }
+          reject(abortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
         try {
-          chrome.runtime.sendMessage({ action, ...payload }, (response) => {
+          chrome.runtime.sendMessage(message, (response) => {
             const lastErr = chrome.runtime.lastError;
+            if (settled) return;
+            settled = true;
+            signal?.removeEventListener('abort', onAbort);
             if (lastErr) return reject(new Error(lastErr.message));
+            if (response?.cancelled) return reject(abortError());
             if (!response || response.success === false) {
-              return reject(new Error(response?.error || 'Unknown error'));
+              return reject(responseError(response));
             }
+            const badReply = checkReply(action, requestId, response);
+            if (badReply) return reject(badReply);
             resolve(response);
           });
         } catch (e) {
+          settled = true;
+          signal?.removeEventListener('abort', onAbort);
           reject(e);
         }
       });
     }
 
-    analyzeText({ text, mode, systemPrompt, userPrompt }) {
-      return this.send(this.actions.ANALYZE_TEXT || 'analyzeText', {
-        text,
-        mode,
-        systemPrompt,
-        userPrompt
+    // Open a streaming port; returns { promise, stop }. onDelta receives text chunks
+    // as they arrive and the promise resolves with the full result (or stopped: true).
+    stream(action, payload = {}, { onDelta, signal } = {}) {
+      const requestId = nextRequestId();
+      const message = { ...payload, action, requestId, protocol: window.MessageProtocol.VERSION };
+      let port;
+      let settled = false;
+      const promise = new Promise((resolve, reject) => {
+        const invalid = window.MessageProtocol.validateRequest(message);
+        if (invalid) {
+          settled = true;
+          return reject(responseError(invalid));
+        }
+        try {
+          port = chrome.runtime.connect({ name: 'bobby-stream' });
+        } catch (e) {
+          settled = true;
+          return reject(e);
+        }
+        const finish = (error, result) => {
+          settled = true;
+          port.disconnect();
+          if (error) reject(error);
+          else resolve(result);
+        };
+        port.onMessage.addListener((event) => {
+          const badEvent = checkReply(action, requestId, event, event.type);
+          if (badEvent && event.type !== 'error') return finish(badEvent);
+          if (event.type === 'delta') {
+            if (onDelta) onDelta(event.text);
+            return;
+          }
+          if (event.type === 'done') {
+            finish(null, {
+              success: true,
+              result: event.result,
+              sources: event.sources || [],
+              fromCache: !!event.fromCache,
+              provider: event.provider,
+              providerLabel: event.providerLabel,
+              failover: event.failover || [],
+              budgetWarning: event.budgetWarning || null
+            });
+          } else if (event.type === 'stopped') {
+            finish(null, { success: true, stopped: true });
+          } else {
+            finish(responseError(event));
+          }
+        });
+        port.onDisconnect.addListener(() => {
+          if (settled) return;
+          settled = true;
+          reject(new Error(chrome.runtime.lastError?.message || 'Stream disconnected'));
+        });
+        port.postMessage(message);
       });
+      const stop = () => {
+        if (settled || !port) return;
+        try { port.postMessage({ action: 'stop' }); } catch (_) {}
+      };
+      signal?.addEventListener('abort', stop, { once: true });
+      if (signal?.aborted) stop();
+      return { promise, stop };
+    }
+
+    analyzeTextStream({ text, mode, systemPrompt, userPrompt }, { onDelta, signal } = {}) {
+      return this.stream(this.actions.ANALYZE_TEXT_STREAM, { text, mode, systemPrompt, userPrompt }, { onDelta, signal });
+    }
+
+    analyzeText({ text, mode, systemPrompt, userPrompt, output }, options = {}) {
+      return this.send(this.actions.ANALYZE_TEXT, { text, mode, systemPrompt, userPrompt, output }, options);
+    }
+
+    exaSearch({ query, numResults = 5, mode }, options = {}) {
+      return this.send(this.actions.EXA_SEARCH, { query, numResults, mode }, options);
+    }
+
+    // Related pages for a page URL or, without one, a passage of text
+    findSimilar({ url, text, numResults }, options = {}) {
+      return this.send(this.actions.FIND_SIMILAR, { url, text, numResults }, options);
+    }
+
+    // Full text of source pages, cut to the passages that best match `query`
+    exaContents({ urls, query, maxPassages }, options = {}) {
+      return this.send(this.actions.EXA_CONTENTS, { urls, query, maxPassages }, options);
+    }
+
+    exaAnswer({ question, context }, options = {}) {
+      return this.send(this.actions.EXA_ANSWER, { question, context }, options);
+    }
+
+    // Rewritten searches, ranked sources and an answer with checked [n] citations
+    research({ question, context }, options = {}) {
+      return this.send(this.actions.RESEARCH, { question, context }, options);
+    }
+
+    // turns: earlier { question, answer, mode } exchanges about `selection`, oldest first
+    followUpAnswer({ question, context, selection, url, turns }, options = {}) {
+      return this.send(this.actions.FOLLOW_UP_ANSWER, { question, context, selection, url, turns }, options);
     }
 
-    exaSearch({ query, num_results = 5 }) {
-      return this.send(this.actions.EXA_SEARCH || 'exaSearch', { query, num_results });
+    perplexityQuery({ query, context }, options = {}) {
+      return this.send(this.actions.PERPLEXITY_QUERY, { query, context }, options);
     }
 
-    exaAnswer({ question, context }) {
-      return this.send(this.actions.EXA_ANSWER || 'exaAnswer', { question, context });
+    perplexityVerify({ claim }, options = {}) {
+      return this.send(this.actions.PERPLEXITY_VERIFY, { claim }, options);
     }
 
-    factCheck({ text }) {
-      return this.send(this.actions.FACT_CHECK || 'factCheck', { text });
+    factCheck({ text }, options = {}) {
+      return this.send(this.actions.FACT_CHECK, { text }, options);
     }
 
+    // Redacted settings: feature flags and which services are configured, never keys
     getConfig() {
-      return this.send(this.actions.GET_CONFIG || 'getConfig');
+      return this.send(this.actions.GET_CONFIG);
+    }
+
+    getUsage() {
+      return this.send(this.actions.GET_USAGE);
+    }
+
+    loadOptionalModules({ files }) {
+      return this.send(this.actions.LOAD_OPTIONAL_MODULES, { files });
+    }
+
+    // Extension pages only (the background rejects these from content scripts)
+
+    saveApiKeys({ keys }) {
+      return this.send(this.actions.SAVE_API_KEYS, { keys });
     }
 
     validateApiKey({ provider, apiKey }) {
-      return this.send(this.actions.VALIDATE_API_KEY || 'validateApiKey', { provider, apiKey });
+      return this.send(this.actions.VALIDATE_API_KEY, { provider, apiKey });
+    }
+
+    getKeyHealth() {
+      return this.send(this.actions.GET_KEY_HEALTH);
+    }
+
+    getConfigReport() {
+      return this.send(this.actions.GET_CONFIG_REPORT);
+    }
+
+    // Starts a whole-page fact-check in the active tab; the results show there
+    factCheckActiveTab() {
+      return this.send(this.actions.FACT_CHECK_ACTIVE_TAB);
+    }
+
+    clearUsage() {
+      return this.send(this.actions.CLEAR_USAGE);
+    }
+
+    getCacheEntries() {
+      return this.send(this.actions.GET_CACHE_ENTRIES);
+    }
+
+    getCacheEntry({ key }) {
+      return this.send(this.actions.GET_CACHE_ENTRY, { key });
+    }
+
+    // Without a key every cached answer is removed
+    purgeCache({ key } = {}) {
+      return this.send(this.actions.PURGE_CACHE, { key });
+    }
+
+    getVaultStatus() {
+      return this.send(this.actions.GET_VAULT_STATUS);
+    }
+
+    enableVault({ passphrase, idleMinutes }) {
+      return this.send(this.actions.ENABLE_VAULT, { passphrase, idleMinutes });
+    }
+
+    unlockVault({ passphrase }) {
+      return this.send(this.actions.UNLOCK_VAULT, { passphrase });
+    }
+
+    lockVault() {
+      return this.send(this.actions.LOCK_VAULT);
+    }
+
+    disableVault({ passphrase }) {
+      return this.send(this.actions.DISABLE_VAULT, { passphrase });
+    }
+
+    setVaultIdle({ idleMinutes }) {
+      return this.send(this.actions.SET_VAULT_IDLE, { idleMinutes });
     }
   }
 
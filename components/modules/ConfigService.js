@@ -1,5 +1,7 @@
 // ConfigService - unified content-side access to window.BOBBY_CONFIG
-// Avoids direct scattered reads and provides safe defaults
+// Avoids direct scattered reads and provides safe defaults. BOBBY_CONFIG is the
+// redacted view the background hands out (feature flags + CAPABILITIES); API
+// keys are never available to content scripts.
 
 (function() {
   'use strict';
@@ -7,6 +9,15 @@
   class ConfigService {
     static get raw() { return window.BOBBY_CONFIG || {}; }
 
+    // Fetch the redacted config from the background and publish it as window.BOBBY_CONFIG
+    static async load() {
+      const response = await new window.BackgroundClient().getConfig();
+      window.BOBBY_CONFIG = response.config || {};
+      return window.BOBBY_CONFIG;
+    }
+
+    static get capabilities() { return (this.raw.CAPABILITIES || {}); }
+
     static get flags() { return (this.raw.FEATURE_FLAGS || {}); }
 
     static isMinimal() {
@@ -17,6 +28,12 @@
 
     static get cacheDuration() { return this.raw.CACHE_DURATION || 3600000; }
     static get maxTextLength() { return this.raw.MAX_TEXT_LENGTH || 5000; }
+    static get theme() { return this.raw.DEFAULT_THEME || 'auto'; }
+    static get historyEnabled() { return this.raw.ENABLE_HISTORY !== false; }
+    static get maxHistoryItems() { return this.raw.MAX_HISTORY_ITEMS || 100; }
+    static get factCheckConcurrency() { return this.raw.FACTCHECK_CONCURRENCY || 3; }
+    static get pageFactCheckMaxClaims() { return this.raw.PAGE_FACTCHECK_MAX_CLAIMS || 8; }
+    static get sourceTiers() { return this.raw.SOURCE_TIERS || {}; }
   }
 
   window.ConfigService = ConfigService;
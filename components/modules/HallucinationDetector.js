@@ -3,14 +3,18 @@
 // Extracts factual claims, searches for sources, and verifies accuracy
 
 class HallucinationDetector {
-  constructor(openaiApiKey, exaApiKey) {
-    this.openaiApiKey = openaiApiKey;
-    this.exaApiKey = exaApiKey;
+  // All provider calls go through the background worker, which holds the keys
+  constructor({ signal } = {}) {
     this.cache = new Map();
+    // Aborting this signal cancels every background request the detector has in flight
+    this.signal = signal || null;
+    this.client = new window.BackgroundClient();
   }
 
   /**
-   * Extract factual claims from text using GPT
+   * Extract factual claims from text. Providers with native structured output
+   * return them validated against the claims schema; for the rest the JSON is
+   * recovered from prose (extractJSON), with retries and a sentence-level fallback.
    */
   async extractClaims(text) {
     const cacheKey = `claims_${this.hashText(text)}`;
@@ -23,22 +27,19 @@ class HallucinationDetector {
 
     while (retries >= 0) {
       try {
-        // Use Chrome runtime messaging to avoid direct API calls
-        const response = await new Promise((resolve, reject) => {
-          chrome.runtime.sendMessage({
-            action: 'analyzeText',
-            text: text,
-            mode: 'extractClaims'
-          }, (response) => {
-            if (chrome.runtime.lastError) {
-              reject(new Error(chrome.runtime.lastError.message));
-            } else if (response.success) {
-              resolve(response);
-            } else {
-              reject(new Error(response.error || 'Unknown error'));
-            }
-          });
-        });
+        // Use background messaging to avoid direct API calls
+        const response = await this.client.analyzeText({
+          text: text,
+          mode: 'extractClaims',
+          output: 'claims'
+        }, { signal: this.signal });
+
+        if (response.data) {
+          const structured = this.normalizeClaims(response.data.claims);
+          const claims = structured.length > 0 ? structured : this.parseClaimsFromText(text);
+          this.cache.set(cacheKey, claims);
+          return claims;
+        }
 
         let content = response.result;
         console.log('Bobby: Raw claim extraction response:', content);
@@ -54,16 +55,7 @@ class HallucinationDetector {
           if (!Array.isArray(claims)) {
             throw new Error('Claims must be an array');
           }
-          // Validate and clean each claim object
-          claims = claims.filter(claim => {
-            return claim && typeof claim === 'object' && 
-                   claim.claim && typeof claim.claim === 'string' &&
-                   claim.claim.trim().length > 10; // Minimum claim length
-          }).map(claim => ({
-            claim: claim.claim.trim(),
-            original_text: claim.original_text || claim.claim,
-            type: claim.type || 'general'
-          }));
+          claims = this.normalizeClaims(claims);
           
           if (claims.length === 0) {
             throw new Error('No valid claims extracted');
@@ -82,6 +74,7 @@ class HallucinationDetector {
         this.cache.set(cacheKey, claims);
         return claims;
       } catch (error) {
+        if (error.name === 'AbortError' || error.code === 'BUDGET_EXCEEDED') throw error;
         console.error('Error extracting claims, retries left:', retries, error);
         lastError = error;
         retries--;
@@ -100,13 +93,34 @@ class HallucinationDetector {
     return fallbackClaims;
   }
 
+  /**
+   * Validate and clean claim objects into the claims schema's shape, dropping fragments
+   */
+  normalizeClaims(claims) {
+    return claims.filter(claim => {
+      return claim && typeof claim === 'object' && 
+             claim.claim && typeof claim.claim === 'string' &&
+             claim.claim.trim().length > 10; // Minimum claim length
+    }).map(claim => ({
+      claim: claim.claim.trim(),
+      original_text: typeof claim.original_text === 'string' && claim.original_text ? claim.original_text : claim.claim,
+      type: window.OutputSchemas.CLAIM_TYPES.includes(claim.type) ? claim.type : 'general'
+    }));
+  }
+
   /**
    * Verify a single claim by searching for sources
    */
   async verifyClaim(claim, originalText) {
     try {
-      // Search for sources about this claim
-      const sources = await this.searchSources(claim.claim || claim);
+      // Search for sources (then read the top ones in full) and ask the second
+      // verifier (if enabled) in parallel
+      const [sources, secondOpinion] = await Promise.all([
+        this.searchSources(claim.claim || claim)
+          .then(found => this.fetchEvidence(claim.claim || claim, found))
+          .then(found => this.rateSources(found, claim.type)),
+        this.getSecondOpinion(claim.claim || claim)
+      ]);
       
       // Evaluate claim against sources
       const evaluation = await this.evaluateClaim(
@@ -115,12 +129,23 @@ class HallucinationDetector {
         originalText
       );
       
-      return {
+      const verification = this.mergeSecondOpinion({
         claim: claim.claim || claim,
         ...evaluation,
+        ...this.checkQuotes(evaluation.quotes, sources),
         sources
+      }, secondOpinion);
+      // Evidence and credibility follow the verdict that was kept, so they come after
+      // the merge, with the second verifier's sources rated too
+      const rated = this.rateSources(verification.sources, claim.type);
+      return {
+        ...verification,
+        sources: rated,
+        evidence: this.pickEvidence(rated, verification.supporting_sources),
+        credibility: window.SourceCredibility.verdictCredibility(rated, verification.supporting_sources)
       };
     } catch (error) {
+      if (error.name === 'AbortError' || error.code === 'BUDGET_EXCEEDED') throw error;
       console.error('Error verifying claim:', error);
       return {
         claim: claim.claim || claim,
@@ -132,49 +157,483 @@ class HallucinationDetector {
     }
   }
 
+  /**
+   * Group near-duplicate claims (the same statistic restated, the same fact worded
+   * twice) so each group is verified once. Returns clusters in order of first
+   * appearance: { representative, members } as indices into `claims`. A claim joins
+   * a cluster only if it matches every member, so clusters can't drift by chaining;
+   * the representative is the tightest wording, so its verdict doesn't rest on
+   * details only one restatement adds.
+   */
+  clusterClaims(claims) {
+    const features = claims.map(claim => this.claimFeatures(claim.claim || claim));
+    const clusters = [];
+
+    features.forEach((feature, index) => {
+      const cluster = clusters.find(c => c.members.every(member => this.claimsMatch(features[member], feature)));
+      if (cluster) {
+        cluster.members.push(index);
+      } else {
+        clusters.push({ representative: index, members: [index] });
+      }
+    });
+
+    clusters.forEach((cluster) => {
+      cluster.representative = cluster.members.reduce((best, index) =>
+        features[index].tokens.size < features[best].tokens.size ? index : best);
+    });
+    return clusters;
+  }
+
+  /**
+   * What claim matching compares: content words (lowercased, plural -s dropped),
+   * figures (with thousand/million/billion folded in, so "1.5 million" equals
+   * "1,500,000") and names (capitalised words after the first)
+   */
+  claimFeatures(text) {
+    const scales = { thousand: 1e3, million: 1e6, billion: 1e9, bn: 1e9, trillion: 1e12 };
+    const numbers = new Set();
+    const numberPattern = /(\d[\d,]*(?:\.\d+)?)(?:\s*(thousand|million|billion|trillion|bn)\b)?/gi;
+    let match;
+    while ((match = numberPattern.exec(text)) !== null) {
+      const value = parseFloat(match[1].replace(/,/g, '')) * (scales[(match[2] || '').toLowerCase()] || 1);
+      numbers.add(String(Math.round(value * 1000) / 1000));
+    }
+
+    const words = text.split(/\s+/).map(word => word.replace(/[^\p{L}\p{N}]/gu, '')).filter(Boolean);
+    const entities = new Set(words.slice(1).filter(word => /^\p{Lu}/u.test(word)).map(word => word.toLowerCase()));
+
+    // Figures count as words in their normalised form, whichever way they were written
+    const tokens = new Set(HallucinationDetector.contentWords(text).filter(token => !scales[token]));
+    numbers.forEach(number => tokens.add(number));
+
+    return { tokens, numbers, entities };
+  }
+
+  /**
+   * Lowercased words of `text` without stopwords, plural -s dropped
+   */
+  static contentWords(text) {
+    return (text.toLowerCase().match(/\p{L}+/gu) || [])
+      .filter(token => token.length > 1 && !HallucinationDetector.CLAIM_STOPWORDS.has(token))
+      .map(token => token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token);
+  }
+
+  /**
+   * Near-duplicates state the same figures and share a name if both mention any.
+   * With figures in common, half the shorter claim's words must recur; without
+   * any, the wording has to overlap by 60% (Jaccard).
+   */
+  claimsMatch(a, b) {
+    const shared = (x, y) => [...x].filter(item => y.has(item)).length;
+
+    if (a.numbers.size !== b.numbers.size || shared(a.numbers, b.numbers) !== a.numbers.size) return false;
+    if (a.entities.size > 0 && b.entities.size > 0 && shared(a.entities, b.entities) === 0) return false;
+
+    const common = shared(a.tokens, b.tokens);
+    if (a.numbers.size > 0) {
+      return common / Math.max(1, Math.min(a.tokens.size, b.tokens.size)) >= 0.5;
+    }
+    return common / Math.max(1, a.tokens.size + b.tokens.size - common) >= 0.6;
+  }
+
+  /**
+   * Hand a representative's verdict to every claim in its cluster. The representative
+   * lists the claims merged into it (`merged`); the others keep their own wording and
+   * point back at it (`mergedInto`). Returns [{ index, verification }].
+   */
+  fanOutVerdict(verification, cluster, claims) {
+    const text = index => claims[index].claim || claims[index];
+    const others = cluster.members.filter(index => index !== cluster.representative);
+    return cluster.members.map((index) => {
+      if (index !== cluster.representative) {
+        return { index, verification: { ...verification, claim: text(index), mergedInto: cluster.representative } };
+      }
+      return { index, verification: others.length > 0 ? { ...verification, merged: others.map(text) } : verification };
+    });
+  }
+
+  /**
+   * Verify claims with at most `concurrency` in flight, one representative per
+   * cluster of near-duplicates (clusterClaims). onResult(index, verification) fires
+   * for every claim as its cluster's verdict arrives; resolves with the verdicts in
+   * claim order. The background paces the requests per provider
+   * (PROVIDER_RATE_LIMITS), so no delay is needed here. An abort or budget stop ends
+   * the run: no new claims are started and the error is rethrown.
+   */
+  async verifyClaims(claims, originalText, { concurrency = 3, onResult, clusters = this.clusterClaims(claims) } = {}) {
+    const verifications = new Array(claims.length);
+    let next = 0;
+    let stopped = false;
+
+    const worker = async () => {
+      while (!stopped && next < clusters.length) {
+        const cluster = clusters[next++];
+        let verification;
+        try {
+          verification = await this.verifyClaim(claims[cluster.representative], originalText);
+        } catch (error) {
+          stopped = true;
+          throw error;
+        }
+        this.fanOutVerdict(verification, cluster, claims).forEach(({ index, verification: fanned }) => {
+          verifications[index] = fanned;
+          if (onResult) onResult(index, fanned);
+        });
+      }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, clusters.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return verifications;
+  }
+
+  /**
+   * Claims from a whole article (ArticleExtractor sections), extracted a batch of
+   * consecutive sections at a time, each batch up to PAGE_BATCH_LENGTH characters.
+   * Each claim gets `section`: the index of the section its original_text is in.
+   * onBatch(done, total) reports progress.
+   */
+  async extractPageClaims(sections, { onBatch } = {}) {
+    const batches = [];
+    sections.forEach((section) => {
+      const last = batches[batches.length - 1];
+      const length = last ? last.reduce((sum, s) => sum + s.text.length, 0) : Infinity;
+      if (length + section.text.length > HallucinationDetector.PAGE_BATCH_LENGTH) batches.push([section]);
+      else last.push(section);
+    });
+
+    let done = 0;
+    const perBatch = await Promise.all(batches.map(async (batch) => {
+      const claims = await this.extractClaims(batch.map(section => section.text).join('\n\n'));
+      if (onBatch) onBatch(++done, batches.length);
+      return claims.map(claim => ({ ...claim, section: this.sectionOf(claim, batch) }));
+    }));
+    return perBatch.flat();
+  }
+
+  /**
+   * Index of the section a claim was taken from: the one containing its
+   * original_text, else the one sharing most of its words
+   */
+  sectionOf(claim, sections) {
+    const fold = text => HallucinationDetector.foldForMatch(text).folded;
+    const passage = fold(claim.original_text || claim.claim).trim();
+    const containing = sections.find(section => fold(section.text).includes(passage));
+    if (containing) return containing.index;
+
+    const words = new Set(HallucinationDetector.contentWords(claim.original_text || claim.claim));
+    const overlap = section => HallucinationDetector.contentWords(section.text).filter(word => words.has(word)).length;
+    return sections.reduce((best, section) => (overlap(section) > overlap(best) ? section : best)).index;
+  }
+
+  /**
+   * Score each claim's importance to the article, 0-100: how central its words are
+   * (the title and the article's 20 most frequent content words), how specific it
+   * is (figures and names), its type (CLAIM_TYPE_WEIGHTS) and how early it comes,
+   * the lede counting most. Returns copies of the claims with `importance`.
+   */
+  rankClaims(claims, { title = '', sections = [] } = {}) {
+    const counts = new Map();
+    sections.forEach((section) => {
+      HallucinationDetector.contentWords(section.text).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+    });
+    const keywords = new Set([
+      ...HallucinationDetector.contentWords(title),
+      ...[...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 20).map(([word]) => word)
+    ]);
+
+    return claims.map((claim) => {
+      const features = this.claimFeatures(claim.claim || claim);
+      const words = [...features.tokens].filter(token => !features.numbers.has(token));
+      const centrality = words.filter(word => keywords.has(word)).length / Math.max(1, words.length);
+      const specificity = Math.min(1, (features.numbers.size + features.entities.size) / 3);
+      const typeWeight = HallucinationDetector.CLAIM_TYPE_WEIGHTS[claim.type] || HallucinationDetector.CLAIM_TYPE_WEIGHTS.general;
+      const position = sections.length > 1 ? 1 - ((claim.section || 0) / (sections.length - 1)) * 0.5 : 1;
+      const importance = 0.4 * Math.min(1, centrality * 2) + 0.25 * specificity + 0.2 * typeWeight + 0.15 * position;
+      return { ...claim, importance: Math.round(importance * 100) };
+    });
+  }
+
+  /**
+   * Split clusters into the `limit` to verify and the rest, most important first.
+   * A cluster counts at its most important member, plus 5 for each restatement
+   * (what an article repeats, it leans on). Returns { selected, skipped }.
+   */
+  pickClusters(clusters, claims, limit) {
+    const weight = cluster => Math.min(100,
+      Math.max(...cluster.members.map(index => claims[index].importance || 0)) + 5 * (cluster.members.length - 1));
+    const ranked = [...clusters].sort((a, b) => weight(b) - weight(a));
+    return { selected: ranked.slice(0, limit), skipped: ranked.slice(limit) };
+  }
+
+  /**
+   * Ask Perplexity for an independent verdict (background returns enabled: false
+   * unless the extra verifier is switched on in options)
+   */
+  async getSecondOpinion(claim) {
+    try {
+      const response = await this.client.perplexityVerify({ claim }, { signal: this.signal });
+      
+      if (!response.enabled) return null;
+      return {
+        verifier: 'perplexity',
+        ...response.verdict,
+        sources: response.sources || []
+      };
+    } catch (error) {
+      if (error.name === 'AbortError' || error.code === 'BUDGET_EXCEEDED') throw error;
+      console.warn('Bobby: Second verifier unavailable:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fold the second verifier into the primary verdict: it fills in when the primary
+   * could not decide, and a direct true/false contradiction downgrades to needs_context
+   */
+  mergeSecondOpinion(verification, opinion) {
+    if (!opinion) return verification;
+    
+    const merged = { ...verification, secondOpinion: opinion };
+    const seen = new Set(verification.sources.map(s => s.url));
+    const extraSources = opinion.sources.filter(s => s.url && !seen.has(s.url));
+    
+    if ((verification.assessment === 'unverifiable' || verification.assessment === 'error') &&
+        opinion.assessment !== 'unverifiable') {
+      merged.assessment = opinion.assessment;
+      merged.confidence = opinion.confidence;
+      merged.summary = opinion.summary || verification.summary;
+      merged.sources = [...opinion.sources, ...verification.sources.filter(s => !opinion.sources.some(o => o.url === s.url))];
+      // The evaluator's source numbers backed its own verdict, and no longer line up
+      merged.supporting_sources = [];
+      return merged;
+    }
+    
+    const contradicts = (verification.assessment === 'true' && opinion.assessment === 'false') ||
+                        (verification.assessment === 'false' && opinion.assessment === 'true');
+    if (contradicts) {
+      merged.assessment = 'needs_context';
+      merged.confidence = Math.min(verification.confidence, opinion.confidence);
+      merged.summary = `Verifiers disagree. ${verification.summary}`;
+    }
+    
+    merged.sources = [...verification.sources, ...extraSources];
+    return merged;
+  }
+
+  /**
+   * Attach `credibility` (SourceCredibility.assess: tier, type, recency, score) to
+   * each source that lacks it, using the SOURCE_TIERS overrides
+   */
+  rateSources(sources, claimType) {
+    const overrides = window.ConfigService ? window.ConfigService.sourceTiers : {};
+    return sources.map(source => source.credibility ? source : {
+      ...source,
+      credibility: window.SourceCredibility.assess(source, { claimType, overrides })
+    });
+  }
+
   /**
    * Search for sources using Exa API
    */
   async searchSources(claim) {
     try {
-      // Use Chrome runtime messaging to avoid CORS issues
-      const response = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: 'exaSearch',
-          query: claim,
-          num_results: 5
-        }, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else if (response.success) {
-            resolve(response);
-          } else {
-            reject(new Error(response.error || 'Unknown error'));
-          }
-        });
-      });
+      // Use background messaging to avoid CORS issues
+      const response = await this.client.exaSearch({
+        query: claim,
+        numResults: 5,
+        mode: 'factcheck'
+      }, { signal: this.signal });
       
       return response.results || [];
     } catch (error) {
+      if (error.name === 'AbortError' || error.code === 'BUDGET_EXCEEDED') throw error;
       console.error('Error searching sources:', error);
       return [];
     }
   }
 
   /**
-   * Evaluate claim against sources using GPT
+   * Read the top search results in full and attach the passages that best match
+   * the claim as `passages` ({ text, score, location }). Search snippets are often
+   * just the opening of a page; the evidence is usually further down. If the
+   * contents call fails the sources are returned as they were.
+   */
+  async fetchEvidence(claim, sources, { maxSources = 3, maxPassages = 6 } = {}) {
+    const urls = sources.slice(0, maxSources).map(s => s.url).filter(Boolean);
+    if (urls.length === 0) return sources;
+
+    try {
+      const response = await this.client.exaContents({ urls, query: claim, maxPassages }, { signal: this.signal });
+      const byUrl = new Map((response.sources || []).map(page => [page.url, page]));
+      return sources.map((source) => {
+        const page = byUrl.get(source.url);
+        return page && page.passages.length > 0 ? { ...source, passages: page.passages } : source;
+      });
+    } catch (error) {
+      if (error.name === 'AbortError' || error.code === 'BUDGET_EXCEEDED') throw error;
+      console.warn('Bobby: Full-text evidence unavailable, using search snippets:', error.message);
+      return sources;
+    }
+  }
+
+  /**
+   * Where a passage sits in its page, e.g. "paragraph 12, about 40% into the page"
+   */
+  static describeLocation(location) {
+    if (!location) return '';
+    const percent = Math.round((location.position || 0) * 100);
+    const where = percent < 5 ? 'at the top of the page' : `about ${percent}% into the page`;
+    return location.paragraph ? `paragraph ${location.paragraph}, ${where}` : where;
+  }
+
+  /**
+   * The passage shown under a verdict: the best-scoring passage from a source the
+   * evaluator cited, else the best passage overall. Null when no source was read in full.
+   */
+  pickEvidence(sources, supportingSources = []) {
+    const candidates = sources.flatMap((source, i) => (source.passages || []).map(passage => ({
+      sourceNumber: i + 1,
+      title: source.title,
+      url: source.url,
+      text: passage.text,
+      score: passage.score,
+      location: passage.location
+    })));
+    if (candidates.length === 0) return null;
+
+    const cited = candidates.filter(c => supportingSources.includes(c.sourceNumber));
+    const pool = cited.length > 0 ? cited : candidates;
+    return pool.reduce((best, c) => (c.score > best.score ? c : best));
+  }
+
+  /**
+   * Hold the evaluator's quotes to the text it was shown: each must appear in its
+   * source word for word, give or take case, whitespace, quote marks and dashes,
+   * and "..." may join pieces that appear in that order. Found quotes come back in
+   * the source's own wording with an "open at quote" link; the rest are dropped
+   * and counted (rejectedQuotes), since a quote the source doesn't contain is
+   * the evaluator's invention. Quotes from a source without an http(s) URL have
+   * nothing safe to link to and are dropped uncounted.
+   */
+  checkQuotes(quotes = [], sources) {
+    const checked = [];
+    let rejectedQuotes = 0;
+
+    quotes.forEach((quote) => {
+      const source = sources[quote.source - 1];
+      const found = source ? this.findQuote(quote.text, this.sourceText(source)) : null;
+      if (!found) {
+        rejectedQuotes++;
+        return;
+      }
+      if (checked.some(q => q.sourceNumber === quote.source && q.text === found)) return;
+      const link = HallucinationDetector.quoteLink(source.url, found);
+      if (!link) return;
+      checked.push({
+        sourceNumber: quote.source,
+        title: source.title,
+        url: source.url,
+        stance: quote.stance,
+        text: found,
+        link
+      });
+    });
+
+    return { quotes: checked, rejectedQuotes };
+  }
+
+  /**
+   * Everything the evaluator saw of a source: its ranked passages and search text
+   */
+  sourceText(source) {
+    return [...(source.passages || []).map(p => p.text), source.text || source.snippet || ''].join('\n');
+  }
+
+  /**
+   * The span of `text` that `quote` reproduces, in text's own characters, or null.
+   * Quotes shorter than 20 characters are too easy to find by accident to count.
+   */
+  findQuote(quote, text) {
+    const pieces = String(quote).split(/\.{3}|…/)
+      .map(piece => HallucinationDetector.foldForMatch(piece).folded.trim())
+      .filter(Boolean);
+    if (pieces.join(' ').length < 20) return null;
+
+    const { folded, map } = HallucinationDetector.foldForMatch(text);
+    let from = 0;
+    let start = -1;
+    for (const piece of pieces) {
+      const at = folded.indexOf(piece, from);
+      if (at === -1) return null;
+      if (start === -1) start = at;
+      from = at + piece.length;
+    }
+    return text.slice(map[start], map[from - 1] + 1);
+  }
+
+  /**
+   * Lowercase `text` with curly quotes straightened, dashes unified and whitespace
+   * collapsed. map[i] is the index in `text` of folded[i].
+   */
+  static foldForMatch(text) {
+    let folded = '';
+    const map = [];
+    for (let i = 0; i < text.length; i++) {
+      let char = text[i];
+      if (/\s/.test(char)) {
+        if (folded.endsWith(' ') || folded.length === 0) continue;
+        char = ' ';
+      } else if (/[‘’‚′]/.test(char)) {
+        char = "'";
+      } else if (/[“”„″]/.test(char)) {
+        char = '"';
+      } else if (/[‐‑‒–—―]/.test(char)) {
+        char = '-';
+      }
+      folded += char.toLowerCase();
+      map.push(i);
+    }
+    return { folded, map };
+  }
+
+  /**
+   * Link that opens `url` scrolled to and highlighting `quote` (a URL text fragment).
+   * Long quotes are matched by their first and last few words. Null unless `url`
+   * is http(s), so a source can't slip a javascript: link onto the card.
+   */
+  static quoteLink(url, quote) {
+    if (!/^https?:\/\//i.test(url || '')) return null;
+    const encode = part => encodeURIComponent(part).replace(/-/g, '%2D');
+    const words = quote.trim().split(/\s+/);
+    const directive = quote.length > 100 && words.length > 12
+      ? `${encode(words.slice(0, 6).join(' '))},${encode(words.slice(-6).join(' '))}`
+      : encode(words.join(' '));
+    return `${url.split('#')[0]}#:~:text=${directive}`;
+  }
+
+  /**
+   * Evaluate claim against sources. Sources read in full contribute their ranked
+   * passages (labelled with where they sit in the page) instead of the snippet.
+   * The verdict comes back as structured output where the provider supports it;
+   * otherwise it is parsed from the text and held to the same verdict schema.
    */
   async evaluateClaim(claim, sources, originalText) {
-    const sourcesText = sources.map((s, i) => 
-      `Source ${i + 1}: ${s.title}\nURL: ${s.url}\nContent: ${s.text || s.snippet || ''}\n`
-    ).join('\n');
+    const sourcesText = sources.map((s, i) => {
+      const content = s.passages && s.passages.length > 0
+        ? s.passages.map(p => `[${HallucinationDetector.describeLocation(p.location)}] ${p.text}`).join('\n')
+        : (s.text || s.snippet || '');
+      const rating = s.credibility
+        ? `Credibility: ${s.credibility.tierLabel} tier, ${s.credibility.type} source${s.publishedDate ? `, published ${String(s.publishedDate).slice(0, 10)}` : ''}\n`
+        : '';
+      return `Source ${i + 1}: ${s.title}\nURL: ${s.url}\n${rating}Content: ${content}\n`;
+    }).join('\n');
 
     try {
-      // Use Chrome runtime messaging for API call
-      const response = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({
-          action: 'analyzeText',
-          text: `RESPOND WITH ONLY JSON:
+      // Use background messaging for API call
+      const response = await this.client.analyzeText({
+        text: `RESPOND WITH ONLY JSON:
 
 Claim to evaluate: "${claim}"
 
@@ -182,14 +641,15 @@ Sources:
 ${sourcesText || 'No sources found'}
 
 TASK: Output a JSON object evaluating this claim.`,
-          mode: 'factcheck',
-          systemPrompt: `You are a JSON-only fact-checking system. You MUST respond with ONLY a JSON object, no other text.
+        mode: 'factcheck',
+        output: 'verdict',
+        systemPrompt: `You are a JSON-only fact-checking system. You MUST respond with ONLY a JSON object, no other text.
 
 Required JSON format:
-{"assessment": "true|false|partially_true|unverifiable|needs_context", "confidence": 0-100, "summary": "One sentence", "supporting_sources": [1,2,3]}
+{"assessment": "true|false|partially_true|unverifiable|needs_context", "confidence": 0-100, "summary": "One sentence", "supporting_sources": [1,2,3], "quotes": [{"source": 1, "text": "Exact sentence from source 1", "stance": "supporting|refuting|contextual"}]}
 
 Example response:
-{"assessment": "true", "confidence": 85, "summary": "The claim is supported by source 1 and 2.", "supporting_sources": [1, 2]}
+{"assessment": "true", "confidence": 85, "summary": "The claim is supported by source 1 and 2.", "supporting_sources": [1, 2], "quotes": [{"source": 1, "text": "The bridge opened to traffic in May 1937.", "stance": "supporting"}, {"source": 2, "text": "It was completed in 1937 after four years of work.", "stance": "supporting"}]}
 
 CRITICAL RULES:
 1. Start your response with { and end with }
@@ -199,18 +659,16 @@ CRITICAL RULES:
 5. confidence must be a number 0-100
 6. summary must be one concise sentence
 7. supporting_sources must be an array of source numbers
+8. Weigh sources by their Credibility line: authoritative and primary sources outweigh opinion pieces and low-credibility sites
+9. quotes: for each source you cite, copy the one or two sentences that matter exactly as written (no paraphrase, no location labels) and mark each supporting, refuting or contextual. Quotes not found word for word in the source are discarded
 
 DO NOT write any other text. Begin with { and end with }.`
-        }, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else if (response.success) {
-            resolve(response);
-          } else {
-            reject(new Error(response.error || 'Unknown error'));
-          }
-        });
-      });
+      }, { signal: this.signal });
+
+      if (response.data) {
+        // Verdicts cached before quotes were part of the schema have none
+        return { ...response.data, quotes: response.data.quotes || [] };
+      }
 
       let content = response.result;
       console.log('Bobby: Raw evaluation response:', content);
@@ -224,10 +682,23 @@ DO NOT write any other text. Begin with { and end with }.`
         // Validate and ensure all required fields
         const evaluation = {
           assessment: result.assessment || 'error',
-          confidence: typeof result.confidence === 'number' ? result.confidence : 0,
+          confidence: typeof result.confidence === 'number' ? Math.round(result.confidence) : 0,
           summary: result.summary || 'Unable to evaluate claim.',
-          supporting_sources: Array.isArray(result.supporting_sources) ? result.supporting_sources : []
+          supporting_sources: Array.isArray(result.supporting_sources)
+            ? result.supporting_sources.map(Number).filter(Number.isInteger)
+            : [],
+          quotes: Array.isArray(result.quotes)
+            ? result.quotes.filter(q => q && typeof q.text === 'string' && Number.isInteger(Number(q.source))).map(q => ({
+              source: Number(q.source),
+              text: q.text,
+              stance: window.OutputSchemas.QUOTE_STANCES.includes(q.stance) ? q.stance : 'contextual'
+            }))
+            : []
         };
+        const problems = window.OutputSchemas.validate(window.OutputSchemas.Schemas.verdict.schema, evaluation);
+        if (problems.length > 0) {
+          throw new Error(`Evaluation does not match the verdict schema: ${problems.join('; ')}`);
+        }
         console.log('Bobby: Parsed evaluation from JSON:', evaluation);
         return evaluation;
       } catch (e) {
@@ -239,6 +710,7 @@ DO NOT write any other text. Begin with { and end with }.`
         return fallbackResult;
       }
     } catch (error) {
+      if (error.name === 'AbortError' || error.code === 'BUDGET_EXCEEDED') throw error;
       console.error('Error evaluating claim:', error);
       // Don't throw - return error result
       return {
@@ -247,7 +719,8 @@ DO NOT write any other text. Begin with { and end with }.`
         summary: error.message.includes('Rate limit') ? 
           'Rate limit reached. Please try again in a moment.' : 
           'Unable to verify this claim due to a technical error.',
-        supporting_sources: []
+        supporting_sources: [],
+        quotes: []
       };
     }
   }
@@ -265,26 +738,72 @@ DO NOT write any other text. Begin with { and end with }.`
       error: 0
     };
 
-    verifications.forEach(v => {
+    // Merged duplicates share their representative's verdict and count once
+    const distinct = verifications.filter(v => v.mergedInto === undefined);
+    distinct.forEach(v => {
       if (summary[v.assessment] !== undefined) {
         summary[v.assessment]++;
       }
     });
 
-    const overallScore = this.calculateOverallScore(summary);
+    const overallScore = this.calculateOverallScore(summary, distinct);
 
     return {
       summary,
       overallScore,
       verifications,
+      merged: verifications.length - distinct.length,
       timestamp: new Date().toISOString()
     };
   }
 
   /**
-   * Calculate overall reliability score
+   * The whole-page report: formatResults over the claims that were verified
+   * (`verifications` is sparse, indexed like `claims`), each verdict tagged with its
+   * claimIndex and section, plus a score per section from the distinct verdicts on
+   * claims in it (null where none were verified). `skipped` counts claims left out
+   * by the claim limit; `stopped` says why the run ended early, if it did.
+   */
+  formatPageReport(article, claims, verifications, { skipped = 0, stopped = null } = {}) {
+    const checked = [];
+    verifications.forEach((verification, index) => {
+      if (verification) checked.push({ ...verification, claimIndex: index, section: claims[index].section || 0 });
+    });
+    const results = this.formatResults(claims, checked);
+
+    const sections = article.sections.map((section) => {
+      const inSection = checked.filter(v => v.section === section.index);
+      // One verdict per cluster, even when several of its members sit in this section
+      const distinct = [...new Map(inSection.map(v => [v.mergedInto ?? v.claimIndex, v])).values()];
+      return {
+        index: section.index,
+        title: section.title,
+        claims: claims.filter(claim => (claim.section || 0) === section.index).length,
+        checked: distinct.length,
+        score: distinct.some(v => v.assessment !== 'error') ? this.calculateOverallScore(null, distinct) : null
+      };
+    });
+
+    return {
+      ...results,
+      title: article.title,
+      url: article.url,
+      truncated: !!article.truncated,
+      claimsFound: claims.length,
+      skipped,
+      stopped,
+      sections
+    };
+  }
+
+  /**
+   * Calculate overall reliability score. With `verifications`, each verdict counts
+   * in proportion to how well it is sourced (its credibility score): the rest of
+   * its weight goes to "unverifiable", so a verdict resting on a lone blog moves the
+   * score less than one backed by several authoritative sites. Verdicts without a
+   * credibility rating (older history entries) count in full.
    */
-  calculateOverallScore(summary) {
+  calculateOverallScore(summary, verifications = null) {
     const weights = {
       true: 1,
       partially_true: 0.5,
@@ -294,6 +813,16 @@ DO NOT write any other text. Begin with { and end with }.`
       error: 0  // Errors don't count toward score
     };
 
+    if (verifications) {
+      const scored = verifications.filter(v => v.assessment !== 'error' && weights[v.assessment] !== undefined);
+      if (scored.length === 0) return 0;
+      const total = scored.reduce((sum, v) => {
+        const credibility = v.credibility ? v.credibility.score / 100 : 1;
+        return sum + weights[v.assessment] * credibility + weights.unverifiable * (1 - credibility);
+      }, 0);
+      return Math.round((total / scored.length) * 100);
+    }
+
     let score = 0;
     let totalWeight = 0;
 
@@ -709,7 +1238,8 @@ DO NOT write any other text. Begin with { and end with }.`
       assessment,
       confidence,
       summary,
-      supporting_sources: []
+      supporting_sources: [],
+      quotes: []
     };
   }
 
@@ -727,5 +1257,25 @@ DO NOT write any other text. Begin with { and end with }.`
   }
 }
 
+// Words that don't distinguish one claim from another (clusterClaims)
+HallucinationDetector.CLAIM_STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'of', 'in', 'on', 'at', 'to', 'for', 'from', 'by', 'with',
+  'as', 'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had', 'it', 'its', 'this', 'that',
+  'these', 'those', 'which', 'who', 'than', 'then', 'there', 'their', 'about', 'into', 'over', 'some',
+  'more', 'most', 'also', 'such', 'not', 'no', 'can', 'will', 'would', 'could', 'per', 'around', 'approximately'
+]);
+
+// How much each kind of claim matters when ranking a page's claims (rankClaims)
+HallucinationDetector.CLAIM_TYPE_WEIGHTS = {
+  statistical: 1,
+  scientific: 1,
+  historical: 0.8,
+  technological: 0.8,
+  general: 0.6
+};
+
+// Characters of article text per claim-extraction request (extractPageClaims)
+HallucinationDetector.PAGE_BATCH_LENGTH = 6000;
+
 // Export for use in content script
 window.HallucinationDetector = HallucinationDetector;
\ No newline at end of file
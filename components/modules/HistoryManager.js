@@ -37,6 +37,8 @@ class HistoryManager {
    * Add a new entry to history
    */
   async addToHistory(text, response, mode, metadata = {}) {
+    // Nothing is recorded when "Enable History Tracking" is turned off
+    if (window.ConfigService && !window.ConfigService.historyEnabled) return null;
     await this.init();
     
     const entry = {
@@ -56,8 +58,9 @@ class HistoryManager {
     this.history.unshift(entry);
 
     // Limit history size
-    if (this.history.length > this.maxItems) {
-      this.history = this.history.slice(0, this.maxItems);
+    const maxItems = window.ConfigService ? window.ConfigService.maxHistoryItems : this.maxItems;
+    if (this.history.length > maxItems) {
+      this.history = this.history.slice(0, maxItems);
     }
 
     // Save to storage
@@ -70,9 +73,9 @@ class HistoryManager {
   }
 
   /**
-   * Add a follow-up question to existing entry
+   * Add a follow-up question to existing entry (metadata: e.g. engine, per-turn sources)
    */
-  async addFollowUp(parentId, question, response) {
+  async addFollowUp(parentId, question, response, metadata = {}) {
     await this.init();
     
     const parentEntry = this.history.find(h => h.id === parentId);
@@ -88,7 +91,8 @@ class HistoryManager {
       id: this.generateId(),
       timestamp: Date.now(),
       question,
-      response
+      response,
+      ...metadata
     };
 
     parentEntry.followUps.push(followUp);
@@ -97,6 +101,24 @@ class HistoryManager {
     return followUp;
   }
 
+  /**
+   * Replace an entry's response and merge in metadata (e.g. a fact-check after a claim is retried)
+   */
+  async updateEntry(id, response, metadata = {}) {
+    await this.init();
+
+    const entry = this.history.find(h => h.id === id);
+    if (!entry) {
+      throw new Error('Entry not found');
+    }
+
+    entry.response = response;
+    entry.metadata = { ...entry.metadata, ...metadata };
+    await this.save();
+
+    return entry;
+  }
+
   /**
    * Get all history entries
    */
@@ -303,7 +325,8 @@ class HistoryManager {
         // Clear cache entries
         const cacheKeys = Object.keys(storageData).filter(key => key.startsWith('cache_'));
         if (cacheKeys.length > 0) {
-          await chrome.storage.local.remove(cacheKeys);
+          // The background rebuilds its cache index once the index key is gone
+          await chrome.storage.local.remove([...cacheKeys, 'bobby_cache_index']);
           console.log(`Bobby: Cleared ${cacheKeys.length} cache entries`);
         }
       }
@@ -1,15 +1,182 @@
-// MessageTypes - central action constants for background messaging
-// Keeps action names consistent across content and background
-
-window.MessageTypes = Object.freeze({
-  ANALYZE_TEXT: 'analyzeText',
-  FACT_CHECK: 'factCheck',
-  EXA_SEARCH: 'exaSearch',
-  EXA_ANSWER: 'exaAnswer',
-  PERPLEXITY_QUERY: 'perplexityQuery',
-  SAVE_API_KEYS: 'saveApiKeys',
-  GET_CONFIG: 'getConfig',
-  VALIDATE_API_KEY: 'validateApiKey',
-  LOAD_OPTIONAL_MODULES: 'loadOptionalModules'
-});
+// MessageTypes - the message protocol between content scripts, extension pages
+// and the background service worker. Loaded by BackgroundClient (the only client)
+// and by background.js via importScripts, so both sides check the same shapes.
+//
+// Every message is { action, requestId, protocol, ...fields }: requestId is the
+// correlation id echoed on the reply (cancelRequest reuses the id of the request
+// it cancels) and protocol is PROTOCOL_VERSION. The remaining fields must match
+// the action's request shape exactly. Replies are { success: true, requestId,
+// protocol, ...response } or a structured error { success: false, requestId,
+// protocol, code, error, details? }.
+//
+// Shapes map field names to 'string' | 'number' | 'boolean' | 'object' | 'array'
+// | 'any'; a trailing '?' marks the field optional. Response shapes list what
+// callers rely on; extra response fields are allowed.
 
+(function(root) {
+  'use strict';
+
+  const PROTOCOL_VERSION = 1;
+
+  // Fields every message carries besides its own shape
+  const ENVELOPE_FIELDS = ['action', 'requestId', 'protocol'];
+
+  // Codes produced by the protocol layer; handlers add their own (e.g. VAULT_BAD_PASSPHRASE)
+  const ErrorCodes = Object.freeze({
+    UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+    BAD_REQUEST: 'BAD_REQUEST',
+    BAD_RESPONSE: 'BAD_RESPONSE',
+    PROTOCOL_MISMATCH: 'PROTOCOL_MISMATCH',
+    FORBIDDEN: 'FORBIDDEN',
+    VAULT_LOCKED: 'VAULT_LOCKED',
+    BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+    CANCELLED: 'CANCELLED',
+    REQUEST_FAILED: 'REQUEST_FAILED'
+  });
+
+  const ANALYZE_REQUEST = { text: 'string', mode: 'string', systemPrompt: 'string?', userPrompt: 'string?' };
+  const ANALYZE_RESULT = { result: 'string', fromCache: 'boolean?', provider: 'string?', providerLabel: 'string?', failover: 'array?', sources: 'array?' };
+  // output: an OutputSchemas schema name; when the provider supports it, `data` is the validated answer
+  const STRUCTURED_ANALYZE_REQUEST = { ...ANALYZE_REQUEST, output: 'string?' };
+  const ANSWER_RESULT = { answer: 'string', sources: 'array' };
+
+  // billable: checked against the vault lock and spending caps before it runs
+  // pageOnly: only extension pages (options, popup, usage) may send it
+  // stream: sent as the first message on a 'bobby-stream' port; replies are `events`
+  // target: 'content' for messages the background sends to a tab
+  const Messages = Object.freeze({
+    analyzeText: { billable: true, request: STRUCTURED_ANALYZE_REQUEST, response: { ...ANALYZE_RESULT, data: 'object?' } },
+    analyzeTextStream: {
+      billable: true,
+      stream: true,
+      request: ANALYZE_REQUEST,
+      events: {
+        delta: { text: 'string' },
+        done: ANALYZE_RESULT,
+        stopped: {},
+        error: { error: 'string', code: 'string?' }
+      }
+    },
+    factCheck: { billable: true, request: { text: 'string' }, response: { sources: 'array' } },
+    exaSearch: { billable: true, request: { query: 'string', numResults: 'number?', mode: 'string?' }, response: { results: 'array' } },
+    findSimilar: { billable: true, request: { url: 'string?', text: 'string?', numResults: 'number?' }, response: { results: 'array', basis: 'string' } },
+    exaContents: { billable: true, request: { urls: 'array', query: 'string', maxPassages: 'number?' }, response: { sources: 'array' } },
+    exaAnswer: { billable: true, request: { question: 'string', context: 'string?' }, response: ANSWER_RESULT },
+    research: { billable: true, request: { question: 'string', context: 'string?' }, response: { ...ANSWER_RESULT, queries: 'array' } },
+    perplexityQuery: { billable: true, request: { query: 'string', context: 'string?' }, response: ANSWER_RESULT },
+    followUpAnswer: {
+      billable: true,
+      request: { question: 'string', context: 'string?', selection: 'string?', url: 'string?', turns: 'array?' },
+      response: { ...ANSWER_RESULT, engine: 'string' }
+    },
+    perplexityVerify: { billable: true, request: { claim: 'string' }, response: { enabled: 'boolean', verdict: 'object?', sources: 'array?' } },
+    cancelRequest: { request: {}, response: { cancelled: 'boolean' } },
+    getConfig: { request: {}, response: { config: 'object' } },
+    getUsage: { request: {}, response: { today: 'object', month: 'object', caps: 'object', breakdown: 'array', recent: 'array' } },
+    loadOptionalModules: { request: { files: 'array' }, response: { injected: 'number' } },
+    // Asks the active tab to fact-check the whole page (toolbar popup)
+    factCheckActiveTab: { pageOnly: true, request: {}, response: {} },
+
+    saveApiKeys: { pageOnly: true, request: { keys: 'object' }, response: {} },
+    validateApiKey: { pageOnly: true, request: { provider: 'string', apiKey: 'string?' }, response: { valid: 'boolean' } },
+    getKeyHealth: { pageOnly: true, request: {}, response: { providers: 'array' } },
+    getConfigReport: { pageOnly: true, request: {}, response: { version: 'number', errors: 'array', settings: 'array' } },
+    clearUsage: { pageOnly: true, request: {}, response: {} },
+    getCacheEntries: { pageOnly: true, request: {}, response: { entries: 'array', totalBytes: 'number', maxBytes: 'number', enabled: 'boolean' } },
+    getCacheEntry: { pageOnly: true, request: { key: 'string' }, response: { entry: 'object' } },
+    purgeCache: { pageOnly: true, request: { key: 'string?' }, response: { removed: 'number' } },
+    getVaultStatus: { pageOnly: true, request: {}, response: { state: 'string', idleMinutes: 'number' } },
+    enableVault: { pageOnly: true, request: { passphrase: 'string', idleMinutes: 'number?' }, response: { state: 'string' } },
+    unlockVault: { pageOnly: true, request: { passphrase: 'string' }, response: { state: 'string' } },
+    lockVault: { pageOnly: true, request: {}, response: { state: 'string' } },
+    disableVault: { pageOnly: true, request: { passphrase: 'string' }, response: { state: 'string' } },
+    setVaultIdle: { pageOnly: true, request: { idleMinutes: 'number' }, response: {} },
+
+    analyzeSelection: { target: 'content', request: { text: 'string' }, response: {} },
+    factCheckPage: { target: 'content', request: {}, response: {} }
+  });
+
+  function matchesType(type, value) {
+    switch (type) {
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+      case 'array': return Array.isArray(value);
+      default: return true;
+    }
+  }
+
+  // Problems with `value` against `shape`; strict shapes also reject unknown fields
+  function checkShape(shape, value, { strict = true } = {}) {
+    if (!matchesType('object', value)) return ['message must be an object'];
+    const problems = [];
+    Object.entries(shape).forEach(([field, declared]) => {
+      const optional = declared.endsWith('?');
+      const type = optional ? declared.slice(0, -1) : declared;
+      if (value[field] === undefined || value[field] === null) {
+        if (!optional) problems.push(`${field} is required`);
+      } else if (!matchesType(type, value[field])) {
+        problems.push(`${field} must be ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`);
+      }
+    });
+    if (strict) {
+      Object.keys(value).forEach((field) => {
+        if (!(field in shape) && !ENVELOPE_FIELDS.includes(field) && value[field] !== undefined) {
+          problems.push(`${field} is not part of this message`);
+        }
+      });
+    }
+    return problems;
+  }
+
+  function protocolError(code, error, details) {
+    return details ? { code, error, details } : { code, error };
+  }
+
+  // null when the message is well-formed, otherwise { code, error, details? }
+  function validateRequest(message) {
+    if (!matchesType('object', message) || typeof message.action !== 'string') {
+      return protocolError(ErrorCodes.BAD_REQUEST, 'Message has no action');
+    }
+    if (message.protocol !== PROTOCOL_VERSION) {
+      return protocolError(ErrorCodes.PROTOCOL_MISMATCH,
+        `Bobby was updated (protocol ${message.protocol ?? 'none'}, expected ${PROTOCOL_VERSION}). Reload the page and try again.`);
+    }
+    const spec = Messages[message.action];
+    if (!spec) {
+      return protocolError(ErrorCodes.UNKNOWN_ACTION, `Unknown action: ${message.action}`);
+    }
+    if (typeof message.requestId !== 'string' || message.requestId === '') {
+      return protocolError(ErrorCodes.BAD_REQUEST, `${message.action} has no requestId`);
+    }
+    const problems = checkShape(spec.request, message);
+    return problems.length > 0
+      ? protocolError(ErrorCodes.BAD_REQUEST, `Malformed ${message.action}: ${problems.join('; ')}`, problems)
+      : null;
+  }
+
+  // Problems with a successful reply (or a stream event) against its declared shape
+  function validateResponse(action, response, event) {
+    const spec = Messages[action];
+    const shape = event ? spec?.events?.[event] : spec?.response;
+    return shape ? checkShape(shape, response, { strict: false }) : [];
+  }
+
+  // Constant names for each action: analyzeText -> ANALYZE_TEXT
+  const MessageTypes = {};
+  Object.keys(Messages).forEach((action) => {
+    MessageTypes[action.replace(/([A-Z])/g, '_$1').toUpperCase()] = action;
+  });
+
+  root.MessageTypes = Object.freeze(MessageTypes);
+  root.MessageProtocol = Object.freeze({
+    VERSION: PROTOCOL_VERSION,
+    ENVELOPE_FIELDS,
+    ErrorCodes,
+    Messages,
+    checkShape,
+    validateRequest,
+    validateResponse
+  });
+})(typeof window !== 'undefined' ? window : self);
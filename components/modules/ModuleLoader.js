@@ -8,15 +8,13 @@
   async function initializeModules() {
     if (window.BOBBY_CONFIG?.DEBUG_MODE) console.log('Bobby: Initializing module system...');
     
-    // Check config is available
-    if (!window.BOBBY_CONFIG) {
-      if (window.BOBBY_CONFIG?.DEBUG_MODE) {
-        console.error('Bobby: Critical error - BOBBY_CONFIG not found');
-        console.error('Bobby: Extension will not function without proper config.js');
-      }
-      
+    // Load the redacted config from the background (keys stay in the service worker)
+    try {
+      await window.ConfigService.load();
+    } catch (error) {
+      console.error('Bobby: Could not load config from the background:', error.message);
       window.dispatchEvent(new CustomEvent('bobby-modules-error', { 
-        detail: { error: 'BOBBY_CONFIG not found' } 
+        detail: { error: 'BOBBY_CONFIG not available' } 
       }));
       return;
     }
@@ -27,7 +25,7 @@
     const requiredModules = [
       'PromptManager', 'APIClient', 'UIComponents', 
       'ButtonManager', 'HistoryManager', 'DragManager', 
-      'HallucinationDetector'
+      'HallucinationDetector', 'PageAnnotator', 'ArticleExtractor'
     ];
     
     // Verify all modules are available
@@ -133,10 +131,8 @@
     }
     if (!files.length) return;
     try {
-      const resp = await chrome.runtime.sendMessage({ action: 'loadOptionalModules', files });
-      if (!resp?.success) {
-        if (window.BOBBY_CONFIG?.DEBUG_MODE) console.warn('Bobby: Optional module injection reported failure:', resp?.error);
-      } else if (window.BOBBY_CONFIG?.DEBUG_MODE) {
+      const resp = await new window.BackgroundClient().loadOptionalModules({ files });
+      if (window.BOBBY_CONFIG?.DEBUG_MODE) {
         console.log(`Bobby: Injected ${resp.injected || files.length} optional modules`);
       }
     } catch (e) {
@@ -162,7 +158,7 @@
       const messages = promptManager.generatePrompt(text, mode);
       
       try {
-        const result = await apiClient.analyzeWithOpenAI(messages);
+        const result = await apiClient.analyze(messages, { mode });
         return {
           choices: [{
             message: {
@@ -176,9 +172,9 @@
       }
     };
 
-    window.sendToPerplexity = async (query) => {
+    window.sendToPerplexity = async (query, context) => {
       try {
-        const result = await apiClient.queryPerplexity(query);
+        const result = await apiClient.queryPerplexity(query, { context });
         return result;
       } catch (error) {
         if (window.BOBBY_CONFIG?.DEBUG_MODE) console.error('Error calling Perplexity:', error);
@@ -188,7 +184,7 @@
 
     window.sendFollowUpQuestion = async (question, context, usePerplexity = false) => {
       if (usePerplexity) {
-        return window.sendToPerplexity(question);
+        return window.sendToPerplexity(question, context);
       } else {
         const messages = [
           {
@@ -205,7 +201,7 @@
           }
         ];
         
-        const result = await apiClient.analyzeWithOpenAI(messages);
+        const result = await apiClient.analyze(messages, { mode: 'followup' });
         return {
           choices: [{
             message: {
@@ -217,10 +213,7 @@
     };
 
     window.factCheck = async (text) => {
-      const detector = new window.HallucinationDetector(
-        window.BOBBY_CONFIG.OPENAI_API_KEY,
-        window.BOBBY_CONFIG.EXA_API_KEY
-      );
+      const detector = new window.HallucinationDetector();
       
       const claims = await detector.extractClaims(text);
       const verifications = await Promise.all(
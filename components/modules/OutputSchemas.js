@@ -0,0 +1,128 @@
+// OutputSchemas - JSON schemas for the structured answers the fact-check flow needs.
+// Loaded by background.js via importScripts, which hands them to the provider as
+// native structured output (Anthropic tool input_schema, OpenAI response_format
+// json_schema) and validates what comes back; HallucinationDetector holds its
+// heuristic fallback parses to the same shapes.
+//
+// Schemas stay inside the subset OpenAI's strict mode accepts: every object lists
+// all its properties as required and sets additionalProperties: false. validate()
+// understands that subset plus minimum/maximum, which are checked locally only.
+
+(function(root) {
+  'use strict';
+
+  const CLAIM_TYPES = ['statistical', 'historical', 'scientific', 'technological', 'general'];
+  const ASSESSMENTS = ['true', 'false', 'partially_true', 'unverifiable', 'needs_context'];
+  const QUOTE_STANCES = ['supporting', 'refuting', 'contextual'];
+
+  const CLAIM = {
+    type: 'object',
+    properties: {
+      claim: { type: 'string', description: 'The claim as a complete, standalone sentence with names, numbers and specifics' },
+      original_text: { type: 'string', description: 'The passage of the source text the claim comes from, verbatim' },
+      type: { type: 'string', enum: CLAIM_TYPES }
+    },
+    required: ['claim', 'original_text', 'type'],
+    additionalProperties: false
+  };
+
+  const QUOTE = {
+    type: 'object',
+    properties: {
+      source: { type: 'integer', description: 'Number of the source quoted' },
+      text: { type: 'string', description: 'One or two sentences copied exactly from that source, no paraphrase' },
+      stance: { type: 'string', enum: QUOTE_STANCES }
+    },
+    required: ['source', 'text', 'stance'],
+    additionalProperties: false
+  };
+
+  // name: the tool / json_schema name sent to the provider
+  const Schemas = Object.freeze({
+    claims: {
+      name: 'record_claims',
+      description: 'Record the verifiable factual claims found in the text.',
+      schema: {
+        type: 'object',
+        properties: {
+          claims: { type: 'array', items: CLAIM }
+        },
+        required: ['claims'],
+        additionalProperties: false
+      }
+    },
+    verdict: {
+      name: 'record_verdict',
+      description: 'Record the verdict on the claim, judged only against the numbered sources.',
+      schema: {
+        type: 'object',
+        properties: {
+          assessment: { type: 'string', enum: ASSESSMENTS },
+          confidence: { type: 'integer', minimum: 0, maximum: 100, description: 'Confidence in the assessment, 0-100' },
+          summary: { type: 'string', description: 'One concise sentence explaining the verdict' },
+          supporting_sources: { type: 'array', items: { type: 'integer' }, description: 'Numbers of the sources the verdict rests on' },
+          quotes: { type: 'array', items: QUOTE, description: 'Verbatim evidence from each cited source' }
+        },
+        required: ['assessment', 'confidence', 'summary', 'supporting_sources', 'quotes'],
+        additionalProperties: false
+      }
+    }
+  });
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  // Problems with `value` against `schema`, each prefixed with its path (empty when valid)
+  function validate(schema, value, path = 'output') {
+    const actual = typeOf(value);
+    const typeMatches = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+    if (!typeMatches) return [`${path} must be ${schema.type === 'array' || schema.type === 'integer' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}`];
+
+    const problems = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+      problems.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path} must be at most ${schema.maximum}`);
+    if (schema.type === 'array' && schema.items) {
+      value.forEach((item, i) => problems.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+    if (schema.type === 'object') {
+      (schema.required || []).forEach((field) => {
+        if (value[field] === undefined) problems.push(`${path}.${field} is required`);
+      });
+      Object.keys(value).forEach((field) => {
+        if (schema.properties[field]) {
+          if (value[field] !== undefined) problems.push(...validate(schema.properties[field], value[field], `${path}.${field}`));
+        } else if (schema.additionalProperties === false) {
+          problems.push(`${path}.${field} is not allowed`);
+        }
+      });
+    }
+    return problems;
+  }
+
+  // The schema as sent to a provider: minimum/maximum removed, since strict modes reject them
+  function providerSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(providerSchema);
+    if (typeOf(schema) !== 'object') return schema;
+    const copy = {};
+    Object.entries(schema).forEach(([key, value]) => {
+      if (key !== 'minimum' && key !== 'maximum') copy[key] = providerSchema(value);
+    });
+    return copy;
+  }
+
+  root.OutputSchemas = Object.freeze({
+    CLAIM_TYPES,
+    ASSESSMENTS,
+    QUOTE_STANCES,
+    Schemas,
+    validate,
+    providerSchema
+  });
+})(typeof window !== 'undefined' ? window : self);
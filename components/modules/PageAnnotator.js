@@ -0,0 +1,342 @@
+// PageAnnotator - fact-check verdicts marked up in the page itself.
+// Each checked claim is found again in the live DOM by its original_text and its
+// text wrapped in <mark> elements underlined in the verdict's colour; hovering one
+// shows the verdict's summary and sources. A MutationObserver re-anchors marks the
+// page has thrown away (re-renders, lazy content), and clear() removes them all.
+
+class PageAnnotator {
+  constructor({ root = document.body } = {}) {
+    this.root = root;
+    // claim index -> { text, verification, marks, misses }
+    this.annotations = new Map();
+    this.observer = null;
+    this.reanchorTimer = null;
+    this.hideTimer = null;
+    this.tooltip = null;
+    this.bar = null;
+    this.onMouseOver = this.onMouseOver.bind(this);
+    this.onMouseOut = this.onMouseOut.bind(this);
+  }
+
+  /**
+   * Mark the claim `index` where `originalText` appears in the page. Errors are
+   * not marked. Returns whether the text was found.
+   */
+  annotate(index, originalText, verification) {
+    this.remove(index);
+    if (!originalText || !verification || verification.assessment === 'error') return false;
+
+    const marks = this.wrap(index, originalText, verification.assessment);
+    if (marks.length === 0) return false;
+    this.annotations.set(index, { text: originalText, verification, marks, misses: 0 });
+    this.watch();
+    this.updateBar();
+    return true;
+  }
+
+  has(index) {
+    return (this.annotations.get(index)?.marks.length || 0) > 0;
+  }
+
+  /**
+   * Scroll the claim's first mark into view and flash it
+   */
+  reveal(index) {
+    const annotation = this.annotations.get(index);
+    const first = annotation?.marks.find(mark => mark.isConnected);
+    if (!first) return false;
+    first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    annotation.marks.forEach(mark => mark.classList.add('bobby-annotation-flash'));
+    setTimeout(() => annotation.marks.forEach(mark => mark.classList.remove('bobby-annotation-flash')), 1600);
+    return true;
+  }
+
+  remove(index) {
+    const annotation = this.annotations.get(index);
+    if (!annotation) return;
+    this.unwrap(annotation.marks);
+    this.annotations.delete(index);
+    this.updateBar();
+  }
+
+  /**
+   * Remove every mark, the tooltip and the page bar, and stop watching the page
+   */
+  clear() {
+    this.annotations.forEach(annotation => this.unwrap(annotation.marks));
+    this.annotations.clear();
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    clearTimeout(this.reanchorTimer);
+    document.removeEventListener('mouseover', this.onMouseOver, true);
+    document.removeEventListener('mouseout', this.onMouseOut, true);
+    this.hideTooltip(true);
+    if (this.tooltip) this.tooltip.remove();
+    if (this.bar) this.bar.remove();
+    this.tooltip = null;
+    this.bar = null;
+  }
+
+  // ---- Anchoring ----
+
+  /**
+   * The page's visible text nodes and their concatenation. Bobby's own UI, form
+   * fields and scripts are skipped; a space stands between text from different
+   * blocks so "</p><p>" reads as a word break, as it does in original_text.
+   */
+  collectText() {
+    const nodes = [];
+    let text = '';
+    let lastBlock = null;
+    const walker = document.createTreeWalker(this.root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        const parent = node.parentElement;
+        if (!parent || !node.data.trim()) return NodeFilter.FILTER_REJECT;
+        if (parent.closest(PageAnnotator.SKIP_SELECTOR)) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const block = node.parentElement.closest(PageAnnotator.BLOCK_SELECTOR);
+      if (lastBlock && block !== lastBlock) text += ' ';
+      lastBlock = block;
+      nodes.push({ node, start: text.length });
+      text += node.data;
+    }
+    return { nodes, text };
+  }
+
+  /**
+   * Where `originalText` sits in the page as [{ node, start, end }] pieces, one per
+   * text node. Falls back to the longest sentence of it (at least 20 characters)
+   * when the model trimmed or rejoined the passage.
+   */
+  locate(originalText) {
+    const { nodes, text } = this.collectText();
+    const { folded, map } = window.HallucinationDetector.foldForMatch(text);
+    const fold = value => window.HallucinationDetector.foldForMatch(value).folded.trim();
+
+    const candidates = [fold(originalText)];
+    const longest = originalText.split(/(?<=[.!?;])\s+/).map(fold).sort((a, b) => b.length - a.length)[0];
+    if (longest && longest.length >= 20 && longest !== candidates[0]) candidates.push(longest);
+
+    for (const needle of candidates) {
+      const at = needle ? folded.indexOf(needle) : -1;
+      if (at === -1) continue;
+      const start = map[at];
+      const end = map[at + needle.length - 1] + 1;
+      return nodes
+        .map(({ node, start: nodeStart }) => ({
+          node,
+          start: Math.max(start - nodeStart, 0),
+          end: Math.min(end - nodeStart, node.data.length)
+        }))
+        .filter(piece => piece.start < piece.end);
+    }
+    return [];
+  }
+
+  wrap(index, originalText, assessment) {
+    const tone = String(assessment).replace(/_/g, '-');
+    const marks = [];
+    this.locate(originalText).forEach(({ node, start, end }) => {
+      if (!node.data.slice(start, end).trim()) return;
+      let target = node;
+      if (start > 0) target = target.splitText(start);
+      if (end - start < target.data.length) target.splitText(end - start);
+      const mark = document.createElement('mark');
+      mark.className = `bobby-annotation bobby-annotation-${tone}`;
+      mark.dataset.bobbyClaim = String(index);
+      target.parentNode.insertBefore(mark, target);
+      mark.appendChild(target);
+      marks.push(mark);
+    });
+    this.discardOwnMutations();
+    return marks;
+  }
+
+  unwrap(marks) {
+    const parents = new Set();
+    marks.forEach((mark) => {
+      const parent = mark.parentNode;
+      if (!parent) return;
+      while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+      mark.remove();
+      parents.add(parent);
+    });
+    parents.forEach(parent => parent.normalize());
+    this.discardOwnMutations();
+  }
+
+  // ---- Surviving page changes ----
+
+  watch() {
+    if (this.observer || typeof MutationObserver === 'undefined') return;
+    this.observer = new MutationObserver(() => {
+      if (!this.needsReanchor()) return;
+      clearTimeout(this.reanchorTimer);
+      this.reanchorTimer = setTimeout(() => this.reanchor(), 400);
+    });
+    this.observer.observe(this.root, { childList: true, subtree: true, characterData: true });
+    document.addEventListener('mouseover', this.onMouseOver, true);
+    document.addEventListener('mouseout', this.onMouseOut, true);
+  }
+
+  // Our own wrapping and unwrapping shouldn't wake the observer
+  discardOwnMutations() {
+    if (this.observer) this.observer.takeRecords();
+  }
+
+  needsReanchor() {
+    for (const annotation of this.annotations.values()) {
+      if (annotation.marks.length === 0 || annotation.marks.some(mark => !mark.isConnected)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Re-find claims whose marks the page removed or replaced. A claim that can't be
+   * found keeps its verdict and is looked for again after later changes, up to
+   * 10 times, before it is dropped.
+   */
+  reanchor() {
+    this.annotations.forEach((annotation, index) => {
+      const intact = annotation.marks.length > 0 && annotation.marks.every(mark => mark.isConnected);
+      if (intact) return;
+      this.unwrap(annotation.marks.filter(mark => mark.isConnected));
+      annotation.marks = this.wrap(index, annotation.text, annotation.verification.assessment);
+      if (annotation.marks.length > 0) {
+        annotation.misses = 0;
+      } else if (++annotation.misses >= 10) {
+        this.annotations.delete(index);
+      }
+    });
+    this.updateBar();
+  }
+
+  // ---- Tooltip ----
+
+  onMouseOver(event) {
+    const target = event.target instanceof Element ? event.target : null;
+    if (!target) return;
+    if (this.tooltip && this.tooltip.contains(target)) {
+      clearTimeout(this.hideTimer);
+      return;
+    }
+    const mark = target.closest('mark.bobby-annotation');
+    if (!mark) return;
+    const annotation = this.annotations.get(Number(mark.dataset.bobbyClaim));
+    if (annotation) this.showTooltip(mark, annotation.verification);
+  }
+
+  onMouseOut(event) {
+    const target = event.target instanceof Element ? event.target : null;
+    if (!target || !(target.closest('mark.bobby-annotation') || (this.tooltip && this.tooltip.contains(target)))) return;
+    this.hideTooltip();
+  }
+
+  showTooltip(mark, verification) {
+    clearTimeout(this.hideTimer);
+    if (!this.tooltip) {
+      this.tooltip = document.createElement('div');
+      this.tooltip.className = 'bobby-annotation-tooltip';
+      this.tooltip.setAttribute('role', 'tooltip');
+      document.body.appendChild(this.tooltip);
+    }
+    const tooltip = this.tooltip;
+    tooltip.textContent = '';
+
+    const status = document.createElement('div');
+    status.className = `bobby-annotation-status bobby-annotation-status-${String(verification.assessment).replace(/_/g, '-')}`;
+    status.textContent = `${PageAnnotator.LABELS[verification.assessment] || 'Checked'} · ${verification.confidence}%`;
+    tooltip.appendChild(status);
+
+    if (verification.summary) {
+      const summary = document.createElement('p');
+      summary.textContent = verification.summary;
+      tooltip.appendChild(summary);
+    }
+
+    const sources = (verification.sources || []).filter(s => /^https?:/i.test(s.url || '')).slice(0, 3);
+    if (sources.length > 0) {
+      const list = document.createElement('ul');
+      sources.forEach((source) => {
+        const link = document.createElement('a');
+        link.href = source.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        let domain = source.url;
+        try { domain = new URL(source.url).hostname.replace(/^www\./, ''); } catch (_) { /* keep the url */ }
+        link.textContent = source.title ? `${source.title} (${domain})` : domain;
+        const item = document.createElement('li');
+        item.appendChild(link);
+        list.appendChild(item);
+      });
+      tooltip.appendChild(list);
+    }
+
+    // Below the mark, or above it when there's no room, kept inside the viewport
+    tooltip.classList.add('bobby-annotation-tooltip-visible');
+    const rect = mark.getBoundingClientRect();
+    const box = tooltip.getBoundingClientRect();
+    const below = rect.bottom + 8 + box.height <= window.innerHeight;
+    tooltip.style.top = `${below ? rect.bottom + 8 : Math.max(8, rect.top - box.height - 8)}px`;
+    tooltip.style.left = `${Math.min(Math.max(8, rect.left), window.innerWidth - box.width - 8)}px`;
+  }
+
+  // A short delay lets the pointer travel from the mark onto the tooltip's links
+  hideTooltip(immediately = false) {
+    clearTimeout(this.hideTimer);
+    const hide = () => this.tooltip && this.tooltip.classList.remove('bobby-annotation-tooltip-visible');
+    if (immediately) hide();
+    else this.hideTimer = setTimeout(hide, 250);
+  }
+
+  // ---- Page bar ----
+
+  // Small floating bar that says how many claims are marked and removes them all
+  updateBar() {
+    const count = [...this.annotations.values()].filter(annotation => annotation.marks.length > 0).length;
+    if (count === 0) {
+      if (this.bar) this.bar.remove();
+      this.bar = null;
+      return;
+    }
+    if (!this.bar) {
+      this.bar = document.createElement('div');
+      this.bar.className = 'bobby-annotation-bar';
+      const label = document.createElement('span');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = 'Remove highlights';
+      button.addEventListener('click', () => this.clear());
+      this.bar.append(label, button);
+      document.body.appendChild(this.bar);
+    }
+    this.bar.firstChild.textContent = `Bobby marked ${count} checked claim${count > 1 ? 's' : ''}`;
+  }
+}
+
+PageAnnotator.LABELS = {
+  true: 'True',
+  false: 'False',
+  partially_true: 'Partially true',
+  needs_context: 'Needs context',
+  unverifiable: 'Unverifiable'
+};
+
+// Bobby's own UI (but not its marks), form fields and non-rendered text
+PageAnnotator.SKIP_SELECTOR = [
+  'script', 'style', 'noscript', 'template', 'textarea', 'input', 'select', '[contenteditable="true"]',
+  '.bobby-popup', '.bobby-popup-v2', '.bobby-popup-rauno', '.bobby-annotation-tooltip', '.bobby-annotation-bar',
+  '[class*="bobby-cmdk"]', '[class*="bobby-focus"]', '[class*="bobby-fab"]'
+].join(', ');
+
+PageAnnotator.BLOCK_SELECTOR = [
+  'p', 'div', 'li', 'dt', 'dd', 'td', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote',
+  'pre', 'figcaption', 'section', 'article', 'header', 'footer', 'aside', 'main', 'nav', 'body'
+].join(', ');
+
+window.PageAnnotator = PageAnnotator;
@@ -63,6 +63,18 @@ class PromptManager {
           <rect x="6" y="4" width="12" height="16" rx="2" fill="none" stroke="currentColor" stroke-width="1.5"/>
           <path d="M9 9h6M9 12h3" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
           <path d="M12 16l1.6 1.6L16.5 14.7" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+        </svg>`,
+      related: `
+        <svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">
+          <rect x="4" y="5" width="10" height="13" rx="2" fill="none" stroke="currentColor" stroke-width="1.5"/>
+          <path d="M17 8v10a2 2 0 0 1-2 2H8" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+          <path d="M7 9h5M7 12h5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+        </svg>`,
+      research: `
+        <svg viewBox="0 0 24 24" width="16" height="16" aria-hidden="true">
+          <circle cx="10.5" cy="10.5" r="5.5" fill="none" stroke="currentColor" stroke-width="1.5"/>
+          <path d="M15 15l4.5 4.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+          <path d="M8 9.5h5M8 12h3" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
         </svg>`
     };
 
@@ -106,6 +118,20 @@ class PromptManager {
         systemPrompt: 'You are a meticulous fact-checker with expertise in identifying claims that require verification. You distinguish between facts, opinions, and speculation. You understand the importance of source credibility and context in evaluating truth claims.',
         userPrompt: (text) => `Analyze this text for factual claims that should be verified:\n\n1. **Extract specific claims** (facts presented as true)\n2. **Categorize each claim** (statistical, historical, scientific, etc.)\n3. **Assess verification priority** (which claims are most important to verify?)\n4. **Suggest verification approach** (what sources or methods would best verify each claim?)\n\nBe specific about numbers, dates, names, and technical assertions.\n\nText to fact-check:\n"${text}"`,
         isSpecial: true  // Flag to indicate this uses Exa API
+      },
+      
+      related: {
+        name: 'Related',
+        icon: ICONS.related,
+        description: 'Find related reading with Exa',
+        isSpecial: true  // No prompt: lists similar pages from Exa
+      },
+      
+      research: {
+        name: 'Research',
+        icon: ICONS.research,
+        description: 'Sourced answer from web research',
+        isSpecial: true  // No prompt: searches Exa, then answers from the sources it found
       }
     };
     
@@ -232,7 +258,7 @@ class PromptManager {
     return {
       key: modeKey,
       html: `
-        <button class="bobby-prompt-btn" data-mode="${modeKey}" title="${mode.description}" ${mode.isSpecial ? 'data-special="true" data-prompt="factcheck"' : ''}>
+        <button class="bobby-prompt-btn" data-mode="${modeKey}" title="${mode.description}" ${mode.isSpecial ? `data-special="true" data-prompt="${modeKey}"` : ''}>
           <span class="bobby-prompt-icon">${mode.icon}</span>
           <span>${mode.name}</span>
         </button>
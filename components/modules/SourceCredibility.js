@@ -0,0 +1,155 @@
+// SourceCredibility - how much a fact-check source should count.
+// Each source is rated on its site's tier (built-in lists plus the SOURCE_TIERS
+// setting), what kind of page it is (primary, secondary, opinion) and how recent
+// it is. A verdict's credibility combines the sources it rests on with how many
+// independent sites agree. Loaded by the content scripts (HallucinationDetector,
+// the fact-check cards) and by background.js, which checks SOURCE_TIERS against TIER_IDS.
+
+(function(root) {
+  'use strict';
+
+  // weight: how far a source from this tier is trusted, 0..1
+  const TIERS = Object.freeze({
+    authoritative: { label: 'Authoritative', weight: 1 },
+    reputable: { label: 'Reputable', weight: 0.8 },
+    unrated: { label: 'Unrated', weight: 0.55 },
+    low: { label: 'Low', weight: 0.25 }
+  });
+  const TIER_IDS = Object.keys(TIERS);
+
+  const TYPE_WEIGHTS = Object.freeze({ primary: 1, secondary: 0.9, opinion: 0.5 });
+
+  // Government, intergovernmental, academic and journal sites
+  const AUTHORITATIVE_SUFFIXES = ['.gov', '.mil', '.edu', '.int', '.europa.eu', '.gov.uk', '.ac.uk', '.gc.ca', '.gov.au', '.edu.au'];
+  const BUILT_IN_TIERS = {
+    authoritative: [
+      'un.org', 'worldbank.org', 'imf.org', 'oecd.org', 'doi.org', 'nature.com', 'science.org',
+      'thelancet.com', 'nejm.org', 'bmj.com', 'cell.com', 'pnas.org', 'jamanetwork.com', 'cochranelibrary.com'
+    ],
+    reputable: [
+      'reuters.com', 'apnews.com', 'bbc.com', 'bbc.co.uk', 'npr.org', 'pbs.org', 'nytimes.com',
+      'washingtonpost.com', 'theguardian.com', 'economist.com', 'ft.com', 'wsj.com', 'bloomberg.com',
+      'britannica.com', 'wikipedia.org', 'ourworldindata.org', 'pewresearch.org', 'arxiv.org',
+      'scientificamerican.com', 'nationalgeographic.com', 'snopes.com', 'factcheck.org',
+      'politifact.com', 'fullfact.org'
+    ],
+    low: [
+      'medium.com', 'blogspot.com', 'wordpress.com', 'substack.com', 'tumblr.com', 'weebly.com',
+      'wixsite.com', 'reddit.com', 'quora.com', 'answers.com', 'facebook.com', 'x.com', 'twitter.com',
+      'tiktok.com', 'pinterest.com'
+    ]
+  };
+
+  // Second-level labels under which sites register (example.co.uk, not co.uk)
+  const SECOND_LEVEL = new Set(['co', 'com', 'org', 'net', 'gov', 'ac', 'edu']);
+
+  const OPINION_PATTERN = /\b(opinion|op-ed|oped|editorials?|commentary|columns?|blogs?|perspectives?|viewpoints?)\b/i;
+  const PRIMARY_PATTERN = /\.pdf(?:$|\?)|\/(?:data|datasets?|statistics|stats|reports?|publications?|press-releases?|abs|fulltext)(?:\/|$)/i;
+
+  function hostnameOf(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (_) {
+      return '';
+    }
+  }
+
+  // The registrable part of a hostname: news.bbc.co.uk -> bbc.co.uk
+  function siteOf(url) {
+    const labels = hostnameOf(url).split('.');
+    if (labels.length <= 2) return labels.join('.');
+    const keep = SECOND_LEVEL.has(labels[labels.length - 2]) && labels[labels.length - 1].length === 2 ? 3 : 2;
+    return labels.slice(-keep).join('.');
+  }
+
+  // `overrides` maps domains to tier ids (SOURCE_TIERS); a domain covers its subdomains
+  function tierFor(url, overrides = {}) {
+    const host = hostnameOf(url);
+    if (!host) return 'unrated';
+    const covers = domain => host === domain || host.endsWith(`.${domain}`);
+
+    const override = Object.keys(overrides)
+      .filter(domain => TIERS[overrides[domain]] && covers(domain.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    if (override) return overrides[override];
+
+    const builtIn = TIER_IDS.find(tier => (BUILT_IN_TIERS[tier] || []).some(covers));
+    if (builtIn) return builtIn;
+    if (AUTHORITATIVE_SUFFIXES.some(suffix => host.endsWith(suffix))) return 'authoritative';
+    return 'unrated';
+  }
+
+  // primary: the data, study or official statement itself; opinion: commentary and
+  // posts; secondary: reporting about either
+  function sourceType(source, tier) {
+    let path = '';
+    try { path = new URL(source.url).pathname; } catch (_) { /* keep empty */ }
+    if (OPINION_PATTERN.test(path) || OPINION_PATTERN.test(source.title || '') || tier === 'low') return 'opinion';
+    if (tier === 'authoritative' || PRIMARY_PATTERN.test(source.url || '')) return 'primary';
+    return 'secondary';
+  }
+
+  // 1 up to two years old, easing to 0.7 at ten; historical claims don't age
+  function recencyWeight(publishedDate, claimType, now = Date.now()) {
+    if (claimType === 'historical') return 1;
+    const published = Date.parse(publishedDate);
+    if (isNaN(published)) return 0.95;
+    const years = (now - published) / (365.25 * 24 * 60 * 60 * 1000);
+    if (years <= 2) return 1;
+    return Math.max(0.7, 1 - (years - 2) * 0.0375);
+  }
+
+  /**
+   * Rate one source: { tier, tierLabel, type, recency, score } with score 0-100
+   */
+  function assess(source, { claimType, overrides } = {}) {
+    const tier = tierFor(source.url, overrides);
+    const type = sourceType(source, tier);
+    const recency = recencyWeight(source.publishedDate, claimType);
+    return {
+      tier,
+      tierLabel: TIERS[tier].label,
+      type,
+      recency: Math.round(recency * 100) / 100,
+      score: Math.round(TIERS[tier].weight * TYPE_WEIGHTS[type] * recency * 100)
+    };
+  }
+
+  /**
+   * How well a verdict is sourced: { score (0-100), sites, basis }. Uses the sources
+   * the verdict cited (basis 'cited'), else the top three retrieved at a 20%
+   * discount ('retrieved'). Each independent site counts once, at its best source,
+   * and the three best combine like independent witnesses: each closes 75% of its
+   * own score's share of the remaining gap. One authoritative site alone reaches
+   * about 70; agreement from a second, reputable one lifts that past 85, while
+   * another blog adds next to nothing.
+   */
+  function verdictCredibility(sources, supportingSources = []) {
+    const rated = sources.filter(s => s.credibility);
+    const cited = rated.filter(s => supportingSources.includes(sources.indexOf(s) + 1));
+    const basis = cited.length > 0 ? 'cited' : 'retrieved';
+    const pool = cited.length > 0 ? cited : rated.slice(0, 3);
+    if (pool.length === 0) return { score: 0, sites: 0, basis };
+
+    const bestBySite = new Map();
+    pool.forEach((source) => {
+      const site = siteOf(source.url) || source.url;
+      bestBySite.set(site, Math.max(bestBySite.get(site) || 0, source.credibility.score));
+    });
+    const best = [...bestBySite.values()].sort((a, b) => b - a).slice(0, 3);
+    const doubt = best.reduce((remaining, score) => remaining * (1 - 0.75 * score / 100), 1);
+    const discount = basis === 'cited' ? 1 : 0.8;
+    return { score: Math.round((1 - doubt) * 100 * discount), sites: bestBySite.size, basis };
+  }
+
+  root.SourceCredibility = Object.freeze({
+    TIERS,
+    TIER_IDS,
+    siteOf,
+    tierFor,
+    sourceType,
+    recencyWeight,
+    assess,
+    verdictCredibility
+  });
+})(typeof window !== 'undefined' ? window : self);
@@ -11,6 +11,10 @@ class UIComponents {
    * Detect current theme preference
    */
   detectTheme() {
+    const preference = window.ConfigService ? window.ConfigService.theme : 'auto';
+    if (preference === 'light' || preference === 'dark') {
+      return preference;
+    }
     if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
       return 'dark';
     }
@@ -11,6 +11,10 @@
 // 4. Replace the placeholder values below with your actual keys
 // 5. Set USE_ANTHROPIC to true for Claude or false for OpenAI
 // 6. Reload the extension in Chrome
+//
+// Values saved in the extension options page take precedence over this file.
+// Every setting is validated against CONFIG_SCHEMA in background.js; invalid
+// values are ignored and listed at the top of the options page.
 
 const CONFIG = {
   // Anthropic API Configuration (Recommended - Higher rate limits)
@@ -25,6 +29,26 @@ const CONFIG = {
   OPENAI_MODEL: 'gpt-4-turbo-preview', // Options: 'gpt-4-turbo-preview', 'gpt-3.5-turbo'
   // Note: Fact-checking automatically uses gpt-3.5-turbo to reduce costs and rate limits
   
+  // Provider selection: 'anthropic', 'openai' or 'openaiCompatible'
+  // Leave unset to follow USE_ANTHROPIC (Anthropic when true, otherwise OpenAI)
+  LLM_PROVIDER: '',
+  
+  // OpenAI-compatible endpoint (self-hosted gateway or local model server)
+  // Any server exposing POST {base}/chat/completions, e.g. 'http://localhost:11434/v1'
+  OPENAI_COMPATIBLE_BASE_URL: '',
+  OPENAI_COMPATIBLE_MODEL: '',     // Model name as the server expects it
+  OPENAI_COMPATIBLE_API_KEY: '',   // Optional; most local servers need none
+  
+  // Failover: on 429/5xx the request is retried with backoff, then handed to the
+  // next configured provider in this order (the selected provider always goes first)
+  PROVIDER_CHAIN: ['anthropic', 'openai', 'openaiCompatible'],
+  FAILOVER_RETRIES: 2,                        // Retries per provider before moving on
+  FAILOVER_DISABLED_MODES: ['extractClaims'], // Modes that never leave the selected provider
+  
+  // Requests per minute per service (0 = unlimited); requests beyond this are queued, not refused.
+  // Services left out keep these defaults.
+  PROVIDER_RATE_LIMITS: { anthropic: 50, openai: 60, openaiCompatible: 0, exa: 300, perplexity: 50 },
+  
   // Exa API Configuration (for fact-checking and web search)
   // Get your API key from: https://exa.ai
   EXA_API_KEY: 'YOUR_EXA_API_KEY_HERE',
@@ -32,18 +56,53 @@ const CONFIG = {
   // Perplexity API Configuration (optional)
   // Get your API key from: https://www.perplexity.ai/settings/api
   PERPLEXITY_API_KEY: '', // Leave empty if not using
+  PERPLEXITY_MODEL: 'sonar', // Options: 'sonar', 'sonar-pro'
+  FOLLOW_UP_ENGINE: 'conversation', // 'conversation' (your AI provider, multi-turn), 'research', 'exa' or 'perplexity'
+  FOLLOW_UP_GROUNDING: true, // Conversation engine: search Exa for each follow-up and cite the results
+  PERPLEXITY_VERIFY: false,  // Ask Perplexity for a second verdict on each fact-checked claim
+  FACTCHECK_CONCURRENCY: 3,  // Claims verified in parallel during a fact-check (1-8)
+  PAGE_FACTCHECK_MAX_CLAIMS: 8, // "Fact-check this page" verifies only this many of the page's most important claims (1-25)
+  // Fact-check source tiers on top of the built-in lists: 'authoritative', 'reputable',
+  // 'unrated' or 'low'. A domain covers its subdomains.
+  SOURCE_TIERS: {}, // e.g. { 'bls.gov': 'authoritative', 'example-blog.com': 'low' }
+  
+  // Exa search profiles: named filters, assigned per search ('factcheck', 'followup', 'search').
+  // Fields (all optional): includeDomains or excludeDomains, startPublishedDate /
+  // endPublishedDate ('YYYY-MM-DD'), maxAgeDays, category ('news', 'research paper', ...)
+  // and type ('auto', 'neural', 'keyword').
+  EXA_SEARCH_PROFILES: {
+    // 'Trusted science': { includeDomains: ['nature.com', 'who.int', 'nih.gov'], category: 'research paper' },
+    // 'Recent news': { maxAgeDays: 30, category: 'news' }
+  },
+  EXA_PROFILE_BY_MODE: {
+    // factcheck: 'Trusted science',
+    // followup: 'Recent news'
+  },
+  
+  // Spending caps (estimated USD; 0 = no cap). See pages/usage.html for the ledger.
+  USAGE_DAILY_CAP: 0,
+  USAGE_MONTHLY_CAP: 0,
+  USAGE_CAP_ACTION: 'warn', // 'warn' shows a notice, 'block' refuses new requests
   
   // Extension Settings
-  MAX_TEXT_LENGTH: 5000, // Maximum characters to analyze
-  CACHE_DURATION: 3600000, // Cache responses for 1 hour (in milliseconds)
+  MAX_TEXT_LENGTH: 5000, // Maximum characters to analyze (options: Maximum Text Length)
+  ENABLE_CACHE: true,    // Cache answers in the background (options: Cache Responses)
+  CACHE_DURATION: 3600000, // Default cache lifetime for modes without a CACHE_TTLS entry (ms)
+  CACHE_TTLS: { // Per-mode cache lifetimes in ms; 0 disables caching for that mode
+    explain: 86400000,
+    summarize: 86400000,
+    extractClaims: 86400000,
+    factcheck: 3600000
+  },
+  CACHE_MAX_BYTES: 2097152, // Response cache budget; least recently used entries are evicted first
   
   // UI Settings
-  DEFAULT_THEME: 'auto', // 'light', 'dark', or 'auto'
+  DEFAULT_THEME: 'auto', // 'light', 'dark', or 'auto' (options: Theme)
   POPUP_WIDTH: 480, // Default popup width in pixels
   ANIMATION_SPEED: 200, // Animation duration in milliseconds
   
   // Feature Flags
-  ENABLE_HISTORY: true,          // Enable conversation history
+  ENABLE_HISTORY: true,          // Enable conversation history (options: Enable History Tracking)
   ENABLE_FACT_CHECK: true,       // Enable fact-checking with Exa
   ENABLE_FOLLOW_UP: true,        // Enable follow-up questions
   MAX_HISTORY_ITEMS: 100,        // Maximum history entries to store
@@ -59,6 +118,7 @@ const CONFIG = {
     USE_LEGACY_UI: true,          // Use original UI (disable for v2)
     USE_ADAPTIVE_THEME: false,    // Enable page-adaptive theming
     USE_WEB_SEARCH: true,         // Use Anthropic Web Search tool for primary modes
+    USE_STREAMING: true,          // Stream answers token-by-token into the popup (with Stop)
     USE_HAPTIC_FEEDBACK: false,   // Enable haptic feedback on mobile
     USE_COMMAND_PALETTE: false,   // Disable Cmd/Ctrl+K command palette by default
     USE_MASCOT: true              // Show Bobby mascot in header + loader
@@ -69,8 +129,5 @@ const CONFIG = {
   LOG_API_CALLS: false
 };
 
-// Make available globally for extension
-window.BOBBY_CONFIG = CONFIG;
-
-// Log confirmation (remove in production)
-console.log('Bobby: config.js loaded (using example template)');
+// config.js is only read by the background service worker. Content scripts
+// receive a redacted copy (feature flags only) through the getConfig message.
@@ -1,19 +1,22 @@
 // Bobby Chrome Extension - Enhanced Content Script
 // Handles text selection, UI injection, fact-checking, and follow-up questions
 
-// Load appropriate styles based on feature flags
-if (window.BOBBY_CONFIG?.FEATURE_FLAGS?.RAUNO_MODE) {
-  // Load Rauno design system CSS
-  const raunoStyles = document.createElement('link');
-  raunoStyles.rel = 'stylesheet';
-  raunoStyles.href = chrome.runtime.getURL('styles-rauno.css');
-  document.head.appendChild(raunoStyles);
-} else if (window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM) {
-  // Load V2 glassmorphism styles
-  const v2Styles = document.createElement('link');
-  v2Styles.rel = 'stylesheet';
-  v2Styles.href = chrome.runtime.getURL('styles-v2.css');
-  document.head.appendChild(v2Styles);
+// Load appropriate styles based on feature flags (called once the background
+// has sent the config, see ModuleLoader)
+function loadFeatureStyles() {
+  if (window.BOBBY_CONFIG?.FEATURE_FLAGS?.RAUNO_MODE) {
+    // Load Rauno design system CSS
+    const raunoStyles = document.createElement('link');
+    raunoStyles.rel = 'stylesheet';
+    raunoStyles.href = chrome.runtime.getURL('styles-rauno.css');
+    document.head.appendChild(raunoStyles);
+  } else if (window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM) {
+    // Load V2 glassmorphism styles
+    const v2Styles = document.createElement('link');
+    v2Styles.rel = 'stylesheet';
+    v2Styles.href = chrome.runtime.getURL('styles-v2.css');
+    document.head.appendChild(v2Styles);
+  }
 }
 
 // Wait for modules to be ready
@@ -31,8 +34,9 @@ function isMinimal() {
   }
 }
 
-// Check if modules are already ready (in case this loads after ModuleLoader)
-if (window.BobbyModules || (window.PromptManager && window.APIClient)) {
+// Check if modules are already ready (in case this loads after ModuleLoader).
+// BobbyModules is only set once the config has arrived from the background.
+if (window.BobbyModules) {
   modulesReady = true;
   if (window.BOBBY_CONFIG?.DEBUG_MODE) console.log('Bobby: Modules already loaded, initializing content script');
   // Initialize after DOM is ready
@@ -54,7 +58,7 @@ if (window.BobbyModules || (window.PromptManager && window.APIClient)) {
 window.addEventListener('bobby-modules-error', (event) => {
   if (window.BOBBY_CONFIG?.DEBUG_MODE) {
     console.error('Bobby: Module loading failed:', event.detail.error);
-    console.error('Bobby: Please check your config.js file exists and is properly formatted');
+    console.error('Bobby: Please check config.js exists and the extension options are saved');
   }
 });
 
@@ -71,6 +75,8 @@ var particleEffects = null;
 var contentAnalyzer = null;
 var interactionEffects = null;
 var themeManager = null;
+var activeStream = null;  // { promise, stop } for the streaming analysis in flight
+var requestController = null;  // AbortController for the popup's current background work
 
 // Conversation threading state
 var conversationThread = {
@@ -148,6 +154,8 @@ function init() {
     // Clean up on page navigation
     window.addEventListener('beforeunload', cleanup);
     
+    loadFeatureStyles();
+    
     // Mark as initialized
     window.bobbyInitialized = true;
     
@@ -162,13 +170,18 @@ function init() {
 
 // Handle messages from background script
 function handleMessage(request, sender, sendResponse) {
-  if (request.action === 'analyzeSelection') {
+  if (window.MessageProtocol.validateRequest(request)) return false;
+  if (request.action === window.MessageTypes.ANALYZE_SELECTION) {
     const selection = window.getSelection();
     const text = selection.toString().trim();
     if (text) {
       selectedText = text;
       showPopup();
     }
+  } else if (request.action === window.MessageTypes.FACT_CHECK_PAGE) {
+    // Answer at once so the sender knows the page heard it; the check runs on
+    factCheckPage();
+    sendResponse({ success: true, requestId: request.requestId, protocol: window.MessageProtocol.VERSION });
   }
   return false;
 }
@@ -214,7 +227,7 @@ function handleTextSelection(event) {
     const selection = window.getSelection();
     const text = selection.toString().trim();
     
-    if (text && text.length > 3 && text.length < 5000) {
+    if (text && text.length > 3 && text.length <= window.ConfigService.maxTextLength) {
       selectedText = text;
       showFAB(event.clientX, event.clientY);
     } else if (!text && fabButton) {
@@ -453,6 +466,10 @@ async function showPopup() {
   const useV2 = window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM;
   const useRauno = window.BOBBY_CONFIG?.FEATURE_FLAGS?.RAUNO_MODE;
   popupWindow.className = useRauno ? 'bobby-popup-rauno' : (useV2 ? 'bobby-popup-v2' : 'bobby-popup');
+  // Theme preference; 'auto' follows the system color scheme
+  if (window.ConfigService.theme !== 'auto') {
+    popupWindow.classList.add(`bobby-theme-${window.ConfigService.theme}`);
+  }
   
   // Set origin point for animations if Rauno mode
   if (useRauno && window.RaunoEffects) {
@@ -608,7 +625,9 @@ async function showPopup() {
         { id: 'summarize', label: 'Summarize', onClick: (mode) => analyzeText(mode) },
         { id: 'keyPoints', label: 'Key Points', onClick: (mode) => analyzeText(mode) },
         { id: 'simplify', label: 'Simplify', onClick: (mode) => analyzeText(mode) },
-        { id: 'factcheck', label: 'Fact Check', onClick: (mode) => analyzeText(mode) }
+        { id: 'factcheck', label: 'Fact Check', onClick: (mode) => analyzeText(mode) },
+        { id: 'related', label: 'Related', onClick: () => showRelatedReading() },
+        { id: 'research', label: 'Research', onClick: () => showResearch() }
       ];
       const modeSelector = buttonManager.createRaunoModeSelector(modes, 'explain');
       modesContainer.appendChild(modeSelector);
@@ -673,7 +692,7 @@ function createPromptButtons() {
   
   // Define primary and secondary actions
   const primaryModes = ['explain', 'summarize', 'keyPoints'];
-  const secondaryModes = ['eli5', 'factcheck'];
+  const secondaryModes = ['eli5', 'factcheck', 'related', 'research'];
   
   let allButtons;
   if (window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_CONTEXT_AWARE && !isMinimal()) {
@@ -838,9 +857,11 @@ function setupPopupEvents() {
       const clickedButton = e.currentTarget;
       clickedButton.classList.add('active', 'loading');
       
-      // Handle fact-check directly (prefer mode, then prompt)
-      if (mode === 'factcheck' || prompt === 'factcheck') {
-        showFactCheckView().finally(() => {
+      // Fact-check, related reading and research have their own views (prefer mode, then prompt)
+      const specialViews = { factcheck: showFactCheckView, related: showRelatedReading, research: showResearch };
+      const specialView = specialViews[mode] || specialViews[prompt] || null;
+      if (specialView) {
+        specialView().finally(() => {
           // Re-enable buttons after processing
           if (allActionButtons && allActionButtons.length > 0) {
             allActionButtons.forEach(b => b.disabled = false);
@@ -916,14 +937,32 @@ function switchMode(mode, prompt = null) {
     btn.classList.toggle('active', btnMode === mode);
   });
   
-  // Special handling for fact check
+  // Special handling for fact check, related reading and research
   if (mode === 'factcheck' || prompt === 'factcheck') {
     showFactCheckView();
+  } else if (mode === 'related' || prompt === 'related') {
+    showRelatedReading();
+  } else if (mode === 'research' || prompt === 'research') {
+    showResearch();
   } else {
     analyzeText(mode, prompt);
   }
 }
 
+// Start a new unit of popup work, cancelling whatever the previous one still has in flight
+function beginRequestScope() {
+  cancelPendingRequests();
+  requestController = new AbortController();
+  return requestController.signal;
+}
+
+function cancelPendingRequests() {
+  if (requestController) {
+    requestController.abort();
+    requestController = null;
+  }
+}
+
 // Analyze text with selected mode
 async function analyzeText(mode, prompt = null) {
   const useV2 = window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM;
@@ -943,7 +982,7 @@ async function analyzeText(mode, prompt = null) {
   }
   
   const ui = new window.UIComponents();
-  
+  const signal = beginRequestScope();
   
   // Show loading state
   if (useRauno) {
@@ -962,12 +1001,14 @@ async function analyzeText(mode, prompt = null) {
     // Send message to background script with error handling
     let response;
     try {
-      // Get prompts from PromptManager
+      // Get prompts from PromptManager; context-aware buttons carry their own prompt id
       const promptManager = new window.PromptManager();
-      const promptMessages = promptManager.generatePrompt(selectedText, mode);
+      const promptMessages = prompt && promptManager.useContextAware
+        ? promptManager.generateContextPrompt(prompt, selectedText)
+        : promptManager.generatePrompt(selectedText, mode);
       
       const message = {
-        action: 'analyzeText',
+        action: window.MessageTypes.ANALYZE_TEXT,
         text: selectedText,
         mode: mode
       };
@@ -986,12 +1027,13 @@ async function analyzeText(mode, prompt = null) {
         }
       }
       
-      // Add context-aware prompt if available
-      if (prompt && window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_CONTEXT_AWARE) {
-        message.prompt = prompt;
+      if (window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_STREAMING !== false) {
+        response = await streamAnalysis(resultDiv, message, signal);
+        // A newer analysis (or closing the popup) took over this pane
+        if (response?.superseded) return;
+      } else {
+        response = await new window.BackgroundClient().analyzeText(message, { signal });
       }
-      
-      response = await chrome.runtime.sendMessage(message);
     } catch (sendError) {
       // Handle cases where extension context is invalidated
       if (sendError.message.includes('Extension context invalidated')) {
@@ -1001,9 +1043,17 @@ async function analyzeText(mode, prompt = null) {
       throw sendError;
     }
     
+    // Mode switched or popup closed while waiting: drop the stale response
+    if (signal.aborted) return;
+    
+    if (response && response.stopped && !response.result) {
+      displayResult('Stopped before any text arrived.', false, true);
+      return;
+    }
+    
     if (response && response.success) {
       currentResponse = response.result;
-      displayResult(response.result, response.fromCache);
+      displayResult(response.result, response.fromCache, response.stopped, response);
       
       // Store in conversation thread
       conversationThread.conversations.push({
@@ -1016,12 +1066,16 @@ async function analyzeText(mode, prompt = null) {
       
       // Save to history (non-blocking)
       try {
+        const metadata = response.stopped ? { stopped: true } : {};
+        if (response.provider) metadata.provider = response.provider;
+        if (response.sources?.length) metadata.sources = response.sources;
         const historyEntry = await window.HistoryManager.addToHistory(
           selectedText,
           response.result,
-          mode
+          mode,
+          metadata
         );
-        window.currentHistoryId = historyEntry.id;
+        if (historyEntry) window.currentHistoryId = historyEntry.id;
       } catch (historyError) {
         console.warn('Bobby: Could not save to history (non-fatal):', historyError);
         // Continue without history - analysis still works
@@ -1031,10 +1085,86 @@ async function analyzeText(mode, prompt = null) {
       displayError(response?.error || 'Unknown error occurred');
     }
   } catch (error) {
+    if (error.name === 'AbortError' || signal.aborted) return;
     displayError(error.message);
   }
 }
 
+// Stream an analysis into the result pane, re-rendering markdown as tokens arrive
+async function streamAnalysis(resultDiv, message, signal) {
+  const useV2 = window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM;
+  const useRauno = window.BOBBY_CONFIG?.FEATURE_FLAGS?.RAUNO_MODE;
+  const ui = new window.UIComponents();
+  const client = new window.BackgroundClient();
+  
+  // Only one stream may own the result pane at a time
+  if (activeStream) {
+    activeStream.stop();
+    activeStream = null;
+  }
+  
+  const analysisClass = useRauno ? 'bobby-analysis-rauno' : (useV2 ? 'bobby-analysis-v2' : 'bobby-analysis');
+  const markdownClass = useRauno ? 'bobby-markdown-rauno' : (useV2 ? 'bobby-markdown-v2' : 'bobby-markdown');
+  const placeholder = useRauno ? `
+      <div class="bobby-skeleton-rauno"></div>
+      <div class="bobby-skeleton-rauno" style="width: 80%;"></div>
+    ` : ui.createLoader('Analyzing text...');
+  
+  resultDiv.innerHTML = `
+    <div class="${analysisClass}">
+      <div class="${markdownClass} bobby-streaming">${placeholder}</div>
+    </div>
+    <div class="bobby-stream-controls">
+      <button class="bobby-stream-stop" type="button" aria-label="Stop generating" title="Stop generating">
+        <span class="bobby-stream-stop-icon">■</span>
+        <span>Stop</span>
+      </button>
+    </div>
+  `;
+  const markdownEl = resultDiv.querySelector('.bobby-streaming');
+  const stopBtn = resultDiv.querySelector('.bobby-stream-stop');
+  
+  let text = '';
+  let frame = null;
+  const render = () => {
+    frame = null;
+    if (markdownEl.isConnected) {
+      markdownEl.innerHTML = ui.markdownToHtml(text);
+    }
+  };
+  
+  const stream = client.analyzeTextStream(message, {
+    onDelta: (chunk) => {
+      text += chunk;
+      // Coalesce bursts of deltas into one render per frame
+      if (!frame) frame = requestAnimationFrame(render);
+    },
+    signal
+  });
+  activeStream = stream;
+  
+  if (stopBtn) {
+    stopBtn.addEventListener('click', () => {
+      stopBtn.disabled = true;
+      stream.stop();
+    });
+  }
+  
+  try {
+    const response = await stream.promise;
+    if (activeStream !== stream) {
+      return { success: false, superseded: true };
+    }
+    if (response.stopped) {
+      return { success: true, result: text, stopped: true };
+    }
+    return response;
+  } finally {
+    if (frame) cancelAnimationFrame(frame);
+    if (activeStream === stream) activeStream = null;
+  }
+}
+
 // Show fact check view
 async function showFactCheckView() {
   const useV2 = window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM;
@@ -1052,8 +1182,10 @@ async function showFactCheckView() {
     </div>
   `;
   
+  const signal = beginRequestScope();
+  
   try {
-    const detector = new window.HallucinationDetector();
+    const detector = new window.HallucinationDetector({ signal });
     
     // Extract claims with better error handling
     let claims;
@@ -1061,7 +1193,12 @@ async function showFactCheckView() {
       claims = await detector.extractClaims(selectedText);
       console.log('Bobby: Extracted claims:', claims);
     } catch (extractError) {
+      if (extractError.name === 'AbortError') return;
       console.error('Bobby: Failed to extract claims:', extractError);
+      if (extractError.code === 'BUDGET_EXCEEDED') {
+        displayError(extractError.message);
+        return;
+      }
       displayError('Unable to extract claims from the selected text. Please try selecting a clearer passage with factual statements.');
       return;
     }
@@ -1071,75 +1208,136 @@ async function showFactCheckView() {
       return;
     }
     
-    // Update UI to show clean progress
+    // Near-duplicates are checked once; each cluster gets a placeholder card now
+    // and its verdict as soon as it lands
+    const clusters = detector.clusterClaims(claims);
+    const mergedCount = claims.length - clusters.length;
     resultDiv.innerHTML = `
-      <div class="bobby-fc-loading">
-        <div class="bobby-fc-loading-icon">🔍</div>
-        <div class="bobby-fc-loading-text">Verifying ${claims.length} claim${claims.length > 1 ? 's' : ''}...</div>
-        <div class="bobby-fc-loading-bar">
-          <div class="bobby-fc-loading-progress" style="width: 0%"></div>
+      <div class="bobby-fc-container">
+        <div class="bobby-fc-loading bobby-fc-progress">
+          <div class="bobby-fc-loading-text">Verifying ${clusters.length} claim${clusters.length > 1 ? 's' : ''}${mergedCount > 0 ? ` (${mergedCount} duplicate${mergedCount > 1 ? 's' : ''} merged)` : ''}...</div>
+          <div class="bobby-fc-loading-bar">
+            <div class="bobby-fc-loading-progress" style="width: 0%"></div>
+          </div>
+          <div class="bobby-fc-loading-counter">0 / ${clusters.length}</div>
+        </div>
+        <div class="bobby-fc-claims">
+          ${clusters.map(cluster => renderPendingClaim(claims[cluster.representative].claim || claims[cluster.representative], cluster.representative, cluster.members.length - 1)).join('')}
         </div>
-        <div class="bobby-fc-loading-counter">0 / ${claims.length}</div>
       </div>
     `;
     
-    // Verify each claim with rate limiting
-    const verifications = [];
-    for (let i = 0; i < claims.length; i++) {
-      const claim = claims[i];
-      const progress = Math.round(((i + 1) / claims.length) * 100);
-      
-      // Update clean progress
-      const progressBar = resultDiv.querySelector('.bobby-fc-loading-progress');
-      const progressCounter = resultDiv.querySelector('.bobby-fc-loading-counter');
-      if (progressBar) {
-        progressBar.style.width = `${progress}%`;
+    const verifications = new Array(claims.length);
+    let finished = false;
+    let historyId = null;
+    
+    // Verdicts are also marked in the page where each claim's original_text sits;
+    // clicking a card scrolls to its mark (or a merged duplicate's)
+    const annotator = getPageAnnotator();
+    annotator.clear();
+    const annotateClaim = (index) => {
+      const claim = claims[index];
+      if (typeof claim === 'object') annotator.annotate(index, claim.original_text, verifications[index]);
+    };
+    const anchoredMember = (index) => {
+      const cluster = clusters.find(c => c.representative === index);
+      return (cluster ? cluster.members : [index]).find(member => annotator.has(member));
+    };
+    const cardActions = {
+      onRetry: (index) => retryClaim(index),
+      onReveal: (index) => {
+        const member = anchoredMember(index);
+        if (member !== undefined) annotator.reveal(member);
+      },
+      isAnchored: index => anchoredMember(index) !== undefined
+    };
+    
+    // Re-check one claim that errored (with its merged duplicates). Mid-run only its
+    // card changes; once the run is done the summary is rebuilt and the run's history
+    // entry updated in place.
+    const retryClaim = async (index) => {
+      const claim = claims[index];
+      const cluster = clusters.find(c => c.representative === index);
+      showClaimCard(index, renderPendingClaim(claim.claim || claim, index, cluster.members.length - 1));
+      let verification;
+      try {
+        verification = await detector.verifyClaim(claim, selectedText);
+      } catch (error) {
+        if (error.name === 'AbortError' || signal.aborted) return;
+        verification = { claim: claim.claim || claim, assessment: 'error', confidence: 0, summary: error.message, sources: [] };
       }
-      if (progressCounter) {
-        progressCounter.textContent = `${i + 1} / ${claims.length}`;
+      if (signal.aborted) return;
+      detector.fanOutVerdict(verification, cluster, claims).forEach((fanned) => {
+        verifications[fanned.index] = fanned.verification;
+        annotateClaim(fanned.index);
+      });
+      if (!finished) {
+        showClaimCard(index, renderFactCheckClaim(verifications[index], index), cardActions);
+        return;
       }
-      
-      // Always await the verification (it now handles errors internally)
-      const verification = await detector.verifyClaim(claim, selectedText);
-      verifications.push(verification);
-      
-      // Update UI to show claim status
-      if (resultDiv.querySelector('.bobby-fact-check-claims')) {
-        updateClaimInUI(i, verification);
+      const results = detector.formatResults(claims, verifications);
+      displayFactCheckResults(results, cardActions);
+      if (historyId) {
+        window.HistoryManager.updateEntry(historyId, JSON.stringify(results), { factCheckData: results })
+          .catch(historyError => console.warn('Bobby: Could not update history (non-fatal):', historyError));
       }
-      
-      // Add a small delay between API calls to avoid rate limits
-      if (i < claims.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 500)); // 500ms delay
+    };
+    
+    let done = 0;
+    await detector.verifyClaims(claims, selectedText, {
+      concurrency: window.ConfigService.factCheckConcurrency,
+      clusters,
+      onResult: (index, verification) => {
+        if (signal.aborted) return;
+        verifications[index] = verification;
+        annotateClaim(index);
+        // Merged duplicates ride along on their representative's card
+        if (verification.mergedInto !== undefined) {
+          refreshAnchoredCard(verification.mergedInto, cardActions);
+          return;
+        }
+        showClaimCard(index, renderFactCheckClaim(verification, index), cardActions);
+        done++;
+        const progressBar = resultDiv.querySelector('.bobby-fc-loading-progress');
+        const progressCounter = resultDiv.querySelector('.bobby-fc-loading-counter');
+        if (progressBar) progressBar.style.width = `${Math.round((done / clusters.length) * 100)}%`;
+        if (progressCounter) progressCounter.textContent = `${done} / ${clusters.length}`;
       }
-    }
+    });
     
-    // Format and display results only if we have verifications
-    if (verifications && verifications.length > 0) {
-      const results = detector.formatResults(claims, verifications);
-      displayFactCheckResults(results);
-      
-      // Save to history (non-blocking)
-      try {
-        const historyEntry = await window.HistoryManager.addToHistory(
-          selectedText,
-          JSON.stringify(results),
-          'factcheck',
-          { factCheckData: results }
-        );
+    if (signal.aborted) return;
+    finished = true;
+    
+    const results = detector.formatResults(claims, verifications);
+    displayFactCheckResults(results, cardActions);
+    
+    // One history entry per run; retries update it rather than adding more
+    try {
+      const historyEntry = await window.HistoryManager.addToHistory(
+        selectedText,
+        JSON.stringify(results),
+        'factcheck',
+        { factCheckData: results }
+      );
+      if (historyEntry) {
+        historyId = historyEntry.id;
         window.currentHistoryId = historyEntry.id;
-      } catch (historyError) {
-        console.warn('Bobby: Could not save to history (non-fatal):', historyError);
-        // Continue without history - don't interrupt the user experience
       }
-    } else {
-      throw new Error('No claims could be verified. Please try again later.');
+    } catch (historyError) {
+      console.warn('Bobby: Could not save to history (non-fatal):', historyError);
+      // Continue without history - don't interrupt the user experience
     }
     
   } catch (error) {
+    if (error.name === 'AbortError' || signal.aborted) {
+      console.log('Bobby: Fact-check cancelled');
+      return;
+    }
     console.error('Error during fact check:', error);
     // Show user-friendly error message
-    if (error.message.includes('Rate limit') || error.message.includes('429')) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      displayError(error.message);
+    } else if (error.message.includes('Rate limit') || error.message.includes('429')) {
       displayError('Rate limit exceeded. Please wait a moment and try again.');
     } else if (error.message.includes('API key') || error.message.includes('401') || error.message.includes('400')) {
       displayError('Invalid API key. Please check your configuration and reload the extension.');
@@ -1155,27 +1353,357 @@ async function showFactCheckView() {
   }
 }
 
-// Update claim status in UI during processing
-function updateClaimInUI(index, verification) {
-  const claimElements = document.querySelectorAll('.bobby-fact-check-claim');
-  if (claimElements[index]) {
-    const element = claimElements[index];
-    element.classList.remove('processing');
-    element.classList.add(verification.assessment);
-    
-    // Update status icon
-    const statusIcon = element.querySelector('.bobby-claim-status-icon');
-    if (statusIcon) {
-      statusIcon.textContent = getStatusIcon(verification.assessment);
+// Whole-page fact-check (toolbar popup, context menu): the article is read with
+// ArticleExtractor, claims are pulled from each section and ranked by importance,
+// and only the top PAGE_FACTCHECK_MAX_CLAIMS (after merging duplicates) are
+// verified. The report scores each section.
+async function factCheckPage() {
+  if (!modulesReady) return;
+  const article = new window.ArticleExtractor().extract(document);
+  selectedText = article ? article.text : (document.title || window.location.href);
+  await showPopup();
+  if (!popupWindow) return;
+  if (!article) {
+    displayError('Bobby could not find any article text on this page to fact-check.');
+    return;
+  }
+  await showPageFactCheckView(article);
+}
+
+async function showPageFactCheckView(article) {
+  const useV2 = window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM;
+  const resultDiv = popupWindow.querySelector(useV2 ? '.bobby-result-v2' : '.bobby-result');
+  const setLoading = (text) => {
+    resultDiv.innerHTML = `
+      <div class="bobby-fc-loading">
+        <div class="bobby-fc-loading-icon">🔍</div>
+        <div class="bobby-fc-loading-text">${escapeHtml(text)}</div>
+        <div class="bobby-fc-loading-bar">
+          <div class="bobby-fc-loading-progress"></div>
+        </div>
+      </div>
+    `;
+  };
+  setLoading(`Reading ${article.sections.length} section${article.sections.length > 1 ? 's' : ''} of “${article.title}”...`);
+  
+  const signal = beginRequestScope();
+  const detector = new window.HallucinationDetector({ signal });
+  
+  let claims;
+  try {
+    const extracted = await detector.extractPageClaims(article.sections, {
+      onBatch: (done, total) => {
+        if (!signal.aborted && total > 1) setLoading(`Finding claims (${done} / ${total} parts of the page read)...`);
+      }
+    });
+    claims = detector.rankClaims(extracted, article);
+  } catch (error) {
+    if (error.name === 'AbortError' || signal.aborted) return;
+    console.error('Bobby: Failed to extract claims from the page:', error);
+    displayError(error.code === 'BUDGET_EXCEEDED' ? error.message : 'Unable to extract claims from this page.');
+    return;
+  }
+  if (claims.length === 0) {
+    displayError('No verifiable claims found on this page.');
+    return;
+  }
+  
+  const clusters = detector.clusterClaims(claims);
+  const { selected, skipped } = detector.pickClusters(clusters, claims, window.ConfigService.pageFactCheckMaxClaims);
+  const skippedClaims = skipped.reduce((sum, cluster) => sum + cluster.members.length, 0);
+  const verifications = new Array(claims.length);
+  const sectionOfCluster = cluster => claims[cluster.representative].section || 0;
+  
+  resultDiv.innerHTML = `
+    <div class="bobby-fc-container">
+      <div class="bobby-fc-loading bobby-fc-progress">
+        <div class="bobby-fc-loading-text">Verifying the ${selected.length} most important of ${clusters.length} claim${clusters.length > 1 ? 's' : ''}...</div>
+        <div class="bobby-fc-loading-bar">
+          <div class="bobby-fc-loading-progress" style="width: 0%"></div>
+        </div>
+        <div class="bobby-fc-loading-counter">0 / ${selected.length}</div>
+      </div>
+      ${article.sections.filter(section => selected.some(cluster => sectionOfCluster(cluster) === section.index)).map(section => `
+        <section class="bobby-fc-section">
+          <div class="bobby-fc-section-head">
+            <span class="bobby-fc-section-title">${escapeHtml(section.title)}</span>
+          </div>
+          <div class="bobby-fc-claims">
+            ${selected.filter(cluster => sectionOfCluster(cluster) === section.index).map(cluster =>
+              renderPendingClaim(claims[cluster.representative].claim, cluster.representative, cluster.members.length - 1)).join('')}
+          </div>
+        </section>
+      `).join('')}
+    </div>
+  `;
+  
+  let finished = false;
+  let stopped = null;
+  let historyId = null;
+  let report = null;
+  
+  const annotator = getPageAnnotator();
+  annotator.clear();
+  const annotateClaim = index => annotator.annotate(index, claims[index].original_text, verifications[index]);
+  const clusterOf = index => selected.find(cluster => cluster.members.includes(index));
+  const anchoredMember = index => (clusterOf(index)?.members || [index]).find(member => annotator.has(member));
+  const buildReport = () => detector.formatPageReport(article, claims, verifications, { skipped: skippedClaims, stopped });
+  
+  // A section's card may stand for a merged duplicate whose representative sits
+  // elsewhere, so retries go by cluster
+  const retryClaim = async (index) => {
+    const cluster = clusterOf(index);
+    if (!cluster) return;
+    const claim = claims[cluster.representative];
+    showClaimCard(index, renderPendingClaim(claim.claim, index, cluster.members.length - 1));
+    let verification;
+    try {
+      verification = await detector.verifyClaim(claim, article.text);
+    } catch (error) {
+      if (error.name === 'AbortError' || signal.aborted) return;
+      verification = { claim: claim.claim, assessment: 'error', confidence: 0, summary: error.message, sources: [] };
     }
+    if (signal.aborted) return;
+    detector.fanOutVerdict(verification, cluster, claims).forEach((fanned) => {
+      verifications[fanned.index] = fanned.verification;
+      annotateClaim(fanned.index);
+    });
+    if (!finished) {
+      showClaimCard(index, renderFactCheckClaim(verifications[cluster.representative], index), cardActions);
+      return;
+    }
+    report = buildReport();
+    displayFactCheckResults(report, cardActions);
+    if (historyId) {
+      window.HistoryManager.updateEntry(historyId, JSON.stringify(report), { factCheckData: report })
+        .catch(historyError => console.warn('Bobby: Could not update history (non-fatal):', historyError));
+    }
+  };
+  const cardActions = {
+    onRetry: retryClaim,
+    onReveal: (index) => {
+      const member = anchoredMember(index);
+      if (member !== undefined) annotator.reveal(member);
+    },
+    isAnchored: index => anchoredMember(index) !== undefined
+  };
+  
+  let done = 0;
+  try {
+    await detector.verifyClaims(claims, article.text, {
+      concurrency: window.ConfigService.factCheckConcurrency,
+      clusters: selected,
+      onResult: (index, verification) => {
+        if (signal.aborted) return;
+        verifications[index] = verification;
+        annotateClaim(index);
+        if (verification.mergedInto !== undefined) {
+          refreshAnchoredCard(verification.mergedInto, cardActions);
+          return;
+        }
+        showClaimCard(index, renderFactCheckClaim(verification, index), cardActions);
+        done++;
+        const progressBar = resultDiv.querySelector('.bobby-fc-loading-progress');
+        const progressCounter = resultDiv.querySelector('.bobby-fc-loading-counter');
+        if (progressBar) progressBar.style.width = `${Math.round((done / selected.length) * 100)}%`;
+        if (progressCounter) progressCounter.textContent = `${done} / ${selected.length}`;
+      }
+    });
+  } catch (error) {
+    if (error.name === 'AbortError' || signal.aborted) return;
+    // A spending cap ends the run; what was verified before it still makes a report
+    if (error.code !== 'BUDGET_EXCEEDED' || done === 0) {
+      console.error('Bobby: Page fact-check failed:', error);
+      displayError(error.code === 'BUDGET_EXCEEDED' ? error.message : 'Unable to complete the page fact-check.');
+      return;
+    }
+    stopped = error.message;
+  }
+  
+  if (signal.aborted) return;
+  finished = true;
+  report = buildReport();
+  displayFactCheckResults(report, cardActions);
+  
+  try {
+    const historyEntry = await window.HistoryManager.addToHistory(
+      `${article.title}\n${article.url}`,
+      JSON.stringify(report),
+      'factcheck',
+      { factCheckData: report, page: { title: article.title, url: article.url } }
+    );
+    if (historyEntry) {
+      historyId = historyEntry.id;
+      window.currentHistoryId = historyEntry.id;
+    }
+  } catch (historyError) {
+    console.warn('Bobby: Could not save to history (non-fatal):', historyError);
+  }
+}
+
+// Placeholder card for a claim whose verdict hasn't arrived yet
+function renderPendingClaim(claim, index, mergedCount = 0) {
+  return `
+    <div class="bobby-fc-claim bobby-fc-claim-pending" data-claim-index="${index}">
+      <div class="bobby-fc-claim-row">
+        <span class="bobby-fc-claim-icon">…</span>
+        <span class="bobby-fc-claim-status">CHECKING</span>
+        ${mergedCount > 0 ? `<span class="bobby-fc-claim-confidence">+${mergedCount} similar</span>` : ''}
+      </div>
+      <p class="bobby-fc-claim-text">${escapeHtml(claim)}</p>
+    </div>
+  `;
+}
+
+// Card for one verdict; claims that errored get a retry button. Claims merged into
+// another get no card of their own: the representative lists them.
+function renderFactCheckClaim(v, index) {
+  if (v.mergedInto !== undefined) return '';
+  const statusIcon = getStatusIcon(v.assessment);
+  const statusLabel = getStatusLabel(v.assessment);
+  const statusClass = v.assessment === 'true' ? 'success' :
+                      v.assessment === 'false' || v.assessment === 'misleading' ? 'error' :
+                      'warning';
+
+  // Clean, short summary
+  let cleanSummary = v.summary || '';
+  if (cleanSummary && (cleanSummary.includes('JSON') || cleanSummary.includes('extracted claims'))) {
+    const reasonMatch = cleanSummary.match(/The claim is (.*?)(?:\.|$)/i);
+    cleanSummary = reasonMatch ? reasonMatch[0] : '';
+  }
+
+  // Source chips (max 4), each with its credibility tier
+  let sourcesHtml = '';
+  if (v.sources && v.sources.length > 0) {
+    const chips = v.sources.slice(0, 4).map((s) => {
+      let domain = '';
+      try { domain = new URL(s.url).hostname.replace('www.', ''); } catch (e) { domain = 'source'; }
+      const rating = s.credibility;
+      const title = rating ? `${s.title || domain} · ${rating.tierLabel} tier, ${rating.type} source` : (s.title || domain);
+      return `
+        <a href="${s.url}" target="_blank" rel="noopener" class="bobby-fc-source-chip" title="${escapeHtml(title)}">
+          <img src="https://www.google.com/s2/favicons?domain=${domain}&sz=16" alt="${domain}" onerror="this.style.display='none'" />
+          <span>${domain}</span>
+          ${rating ? `<span class="bobby-fc-tier bobby-fc-tier-${rating.tier}">${escapeHtml(rating.tierLabel)}</span>` : ''}
+        </a>
+      `;
+    }).join('');
+    const more = v.sources.length > 4 ? `<span class="bobby-source-more-v3">+${v.sources.length - 4}</span>` : '';
+    sourcesHtml = `<div class="bobby-fc-sources">${chips}${more}</div>`;
+  }
+
+  // Verbatim quotes the evaluator cited, each checked against its source and linked
+  // to the spot on the page; without any, the best passage read in full stands in
+  let evidenceHtml = '';
+  const quotes = (v.quotes || []).filter(q => /^https?:\/\//i.test(q.link || ''));
+  if (quotes.length > 0) {
+    const stanceLabels = { supporting: 'Supports', refuting: 'Refutes', contextual: 'Context' };
+    evidenceHtml = `
+      <ul class="bobby-fc-quotes">
+        ${quotes.slice(0, 3).map((q) => {
+          let domain = '';
+          try { domain = new URL(q.url).hostname.replace('www.', ''); } catch (e) { domain = 'source'; }
+          const quote = q.text.length > 240 ? `${q.text.substring(0, 240).trim()}…` : q.text;
+          return `
+            <li class="bobby-fc-quote bobby-fc-quote-${q.stance}">
+              <span class="bobby-fc-quote-stance">${stanceLabels[q.stance] || 'Context'}</span>
+              <q>${escapeHtml(quote)}</q>
+              <a href="${escapeHtml(q.link)}" target="_blank" rel="noopener">${escapeHtml(domain)} · open at quote ↗</a>
+            </li>
+          `;
+        }).join('')}
+      </ul>
+    `;
+  } else if (v.evidence) {
+    let domain = '';
+    try { domain = new URL(v.evidence.url).hostname.replace('www.', ''); } catch (e) { domain = 'source'; }
+    const passage = v.evidence.text.length > 280 ? `${v.evidence.text.substring(0, 280).trim()}…` : v.evidence.text;
+    const where = window.HallucinationDetector.describeLocation(v.evidence.location);
+    const safeHref = /^https?:\/\//i.test(v.evidence.url || '') ? v.evidence.url : '#';
+    evidenceHtml = `
+      <blockquote class="bobby-fc-evidence">
+        <p>“${escapeHtml(passage)}”</p>
+        <cite><a href="${escapeHtml(safeHref)}" target="_blank" rel="noopener">${escapeHtml(domain)}</a>${where ? ` · ${escapeHtml(where)}` : ''}</cite>
+      </blockquote>
+    `;
   }
+
+  return `
+    <div class="bobby-fc-claim bobby-fc-claim-${statusClass}" data-claim-index="${index}">
+      <div class="bobby-fc-claim-row">
+        <span class="bobby-fc-claim-icon">${statusIcon}</span>
+        <span class="bobby-fc-claim-status">${statusLabel.toUpperCase()}</span>
+        <span class="bobby-fc-claim-confidence">${v.confidence}%</span>
+      </div>
+      <p class="bobby-fc-claim-text">${escapeHtml(v.claim)}</p>
+      ${cleanSummary ? `<p class="bobby-fc-claim-summary">${escapeHtml(cleanSummary)}</p>` : ''}
+      ${v.secondOpinion ? `<p class="bobby-fc-claim-second">Perplexity: ${getStatusLabel(v.secondOpinion.assessment)} · ${v.secondOpinion.confidence}%</p>` : ''}
+      ${v.merged && v.merged.length > 0 ? `
+        <details class="bobby-fc-merged">
+          <summary>Also covers ${v.merged.length} similar claim${v.merged.length > 1 ? 's' : ''}</summary>
+          <ul>${v.merged.map(text => `<li>${escapeHtml(text)}</li>`).join('')}</ul>
+        </details>
+      ` : ''}
+      ${evidenceHtml}
+      ${v.rejectedQuotes ? `<p class="bobby-fc-quote-note">${v.rejectedQuotes} quote${v.rejectedQuotes > 1 ? 's' : ''} the evaluator gave could not be found in ${v.rejectedQuotes > 1 ? 'their sources' : 'its source'} and ${v.rejectedQuotes > 1 ? 'were' : 'was'} left out</p>` : ''}
+      ${sourcesHtml}
+      ${v.assessment === 'error' ? `<button type="button" class="bobby-fc-retry" data-claim-index="${index}">↻ Retry this claim</button>` : ''}
+    </div>
+  `;
+}
+
+// The one PageAnnotator for this page; it outlives the popup so marks stay put
+let pageAnnotator = null;
+function getPageAnnotator() {
+  if (!pageAnnotator) pageAnnotator = new window.PageAnnotator();
+  return pageAnnotator;
+}
+
+// Hook the claim cards under `container` (or the card itself) up to the run:
+// onRetry(claimIndex) from retry buttons, onReveal(claimIndex) from clicks on a card
+// whose claim isAnchored in the page
+function bindClaimCards(container, { onRetry, onReveal, isAnchored } = {}) {
+  if (onRetry) {
+    container.querySelectorAll('.bobby-fc-retry').forEach((button) => {
+      button.addEventListener('click', () => onRetry(Number(button.dataset.claimIndex)), { once: true });
+    });
+  }
+  if (!onReveal) return;
+  const cards = container.matches('.bobby-fc-claim') ? [container] : [...container.querySelectorAll('.bobby-fc-claim')];
+  cards.filter(card => !card.classList.contains('bobby-fc-claim-pending')).forEach((card) => {
+    const index = Number(card.dataset.claimIndex);
+    card.classList.toggle('bobby-fc-claim-anchored', !!isAnchored?.(index));
+    card.addEventListener('click', (event) => {
+      if (event.target.closest('a, button, details')) return;
+      onReveal(index);
+    });
+  });
+}
+
+// A merged duplicate may be the only one of its cluster found in the page
+function refreshAnchoredCard(index, { isAnchored } = {}) {
+  const card = popupWindow?.querySelector(`.bobby-fc-claims .bobby-fc-claim[data-claim-index="${index}"]`);
+  if (card && !card.classList.contains('bobby-fc-claim-pending')) {
+    card.classList.toggle('bobby-fc-claim-anchored', !!isAnchored?.(index));
+  }
+}
+
+// Swap one claim's card in place while a fact-check is running
+function showClaimCard(index, html, actions) {
+  if (!popupWindow) return;
+  const card = popupWindow.querySelector(`.bobby-fc-claims .bobby-fc-claim[data-claim-index="${index}"]`);
+  if (!card) return;
+  const template = document.createElement('template');
+  template.innerHTML = html.trim();
+  const replacement = template.content.firstElementChild;
+  card.replaceWith(replacement);
+  bindClaimCards(replacement, actions);
 }
 
-// Display fact check results
-function displayFactCheckResults(results) {
+// Display fact check results; `actions` are the card hooks (see bindClaimCards)
+function displayFactCheckResults(results, actions = {}) {
   const useV2 = window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM;
   const resultDiv = popupWindow.querySelector(useV2 ? '.bobby-result-v2' : '.bobby-result');
-  const ui = new window.UIComponents();
   
   // Determine verdict based on results
   const hasIssues = results.summary.false > 0 || results.summary.misleading > 0;
@@ -1215,53 +1743,12 @@ function displayFactCheckResults(results) {
         <div class="bobby-fc-confidence">${results.overallScore}% confidence</div>
       </div>
       
+      ${results.sections ? renderPageReport(results) : `
       <!-- Claims List -->
       <div class="bobby-fc-claims">
-        ${results.verifications.map((v) => {
-          const statusIcon = getStatusIcon(v.assessment);
-          const statusLabel = getStatusLabel(v.assessment);
-          const statusClass = v.assessment === 'true' ? 'success' :
-                              v.assessment === 'false' || v.assessment === 'misleading' ? 'error' :
-                              'warning';
-
-          // Clean, short summary
-          let cleanSummary = v.summary || '';
-          if (cleanSummary && (cleanSummary.includes('JSON') || cleanSummary.includes('extracted claims'))) {
-            const reasonMatch = cleanSummary.match(/The claim is (.*?)(?:\.|$)/i);
-            cleanSummary = reasonMatch ? reasonMatch[0] : '';
-          }
-
-          // Source chips (max 4)
-          let sourcesHtml = '';
-          if (v.sources && v.sources.length > 0) {
-            const chips = v.sources.slice(0, 4).map((s) => {
-              let domain = '';
-              try { domain = new URL(s.url).hostname.replace('www.', ''); } catch (e) { domain = 'source'; }
-              return `
-                <a href="${s.url}" target="_blank" rel="noopener" class="bobby-fc-source-chip" title="${escapeHtml(s.title || domain)}">
-                  <img src="https://www.google.com/s2/favicons?domain=${domain}&sz=16" alt="${domain}" onerror="this.style.display='none'" />
-                  <span>${domain}</span>
-                </a>
-              `;
-            }).join('');
-            const more = v.sources.length > 4 ? `<span class="bobby-source-more-v3">+${v.sources.length - 4}</span>` : '';
-            sourcesHtml = `<div class="bobby-fc-sources">${chips}${more}</div>`;
-          }
-
-          return `
-            <div class="bobby-fc-claim bobby-fc-claim-${statusClass}">
-              <div class="bobby-fc-claim-row">
-                <span class="bobby-fc-claim-icon">${statusIcon}</span>
-                <span class="bobby-fc-claim-status">${statusLabel.toUpperCase()}</span>
-                <span class="bobby-fc-claim-confidence">${v.confidence}%</span>
-              </div>
-              <p class="bobby-fc-claim-text">${escapeHtml(v.claim)}</p>
-              ${cleanSummary ? `<p class="bobby-fc-claim-summary">${escapeHtml(cleanSummary)}</p>` : ''}
-              ${sourcesHtml}
-            </div>
-          `;
-        }).join('')}
+        ${results.verifications.map((v, index) => renderFactCheckClaim(v, index)).join('')}
       </div>
+      `}
       
       <!-- Disclaimer -->
       <div class="bobby-fc-note">
@@ -1270,64 +1757,14 @@ function displayFactCheckResults(results) {
       </div>
       
       <div class="bobby-fc-meta">
-        Based on ${results.verifications.reduce((acc, v) => acc + (v.sources?.length || 0), 0)} web sources
+        Based on ${results.verifications.filter(v => v.mergedInto === undefined).reduce((acc, v) => acc + (v.sources?.length || 0), 0)} web sources${results.merged ? ` · ${results.merged} duplicate claim${results.merged > 1 ? 's' : ''} merged` : ''}
       </div>
     </div>
   `;
   
-  const claimsHtml = results.verifications.map((v, index) => {
-    console.log(`Bobby: Rendering claim ${index}:`, v);
-    const statusClass = `bobby-claim-${v.assessment}`;
-    const statusIcon = getStatusIcon(v.assessment);
-    const statusLabel = getStatusLabel(v.assessment);
-    
-    // Clean up summary - remove JSON references and technical language
-    let cleanSummary = v.summary;
-    if (cleanSummary && (cleanSummary.includes('JSON') || cleanSummary.includes('extracted claims'))) {
-      // Extract only the verification reasoning
-      const reasonMatch = cleanSummary.match(/The claim is (.*?)(?:\.|$)/i);
-      cleanSummary = reasonMatch ? reasonMatch[0] : 'Verified based on available sources.';
-    }
-    
-    return `
-      <div class="bobby-fc-claim bobby-fc-claim-${v.assessment}">
-        <div class="bobby-fc-claim-strip"></div>
-        <div class="bobby-fc-claim-content">
-          <div class="bobby-fc-claim-header">
-            <span class="bobby-fc-claim-icon">${statusIcon}</span>
-            <span class="bobby-fc-claim-status">${statusLabel.toUpperCase()}</span>
-            <span class="bobby-fc-claim-confidence">${v.confidence}%</span>
-          </div>
-          <p class="bobby-fc-claim-text">${escapeHtml(v.claim)}</p>
-          <p class="bobby-fc-claim-summary">${escapeHtml(cleanSummary || '')}</p>
-        </div>
-        ${v.sources && v.sources.length > 0 ?
-          `<div class="bobby-sources-v3">
-            ${v.sources.slice(0, 4).map((s, i) => {
-              let domain = '';
-              try {
-                domain = new URL(s.url).hostname.replace('www.', '');
-              } catch (e) {
-                domain = 'source';
-              }
-              return `
-                <a href="${s.url}" target="_blank" rel="noopener" class="bobby-source-icon-v3" 
-                   title="${escapeHtml(s.title || domain)}">
-                  <img src="https://www.google.com/s2/favicons?domain=${domain}&sz=16" 
-                       alt="${domain}" onerror="this.style.display='none'" />
-                </a>
-              `;
-            }).join('')}
-            ${v.sources.length > 4 ? `
-              <span class="bobby-source-more-v3">+${v.sources.length - 4}</span>
-            ` : ''}
-          </div>` : ''}
-      </div>
-    `;
-  }).join('');
-  
   // Display simplified fact-check results
   resultDiv.innerHTML = summaryHtml;
+  bindClaimCards(resultDiv, actions);
   // Animate reliability ring
   try {
     const progress = resultDiv.querySelector('.bobby-fc-ring-progress');
@@ -1346,16 +1783,46 @@ function displayFactCheckResults(results) {
       });
     }
   } catch (_) { /* noop */ }
-  
-  // Save fact check results to history
-  window.HistoryManager.addToHistory(
-    selectedText,
-    JSON.stringify(results),
-    'factcheck',
-    { factCheckData: results }
-  ).then(entry => {
-    window.currentHistoryId = entry.id;
-  });
+}
+
+// Page report body: what was read and checked, then each section with its score
+// and cards. A section shows one card per cluster: the representative's, or a
+// member's own when the representative sits in another section.
+function renderPageReport(report) {
+  const distinct = report.verifications.filter(v => v.mergedInto === undefined).length;
+  const notes = [
+    `Checked the ${distinct} most important claim${distinct === 1 ? '' : 's'} of ${report.claimsFound} found on “${escapeHtml(report.title)}”.`,
+    report.skipped ? `${report.skipped} lower-ranked claim${report.skipped > 1 ? 's were' : ' was'} left unchecked by the claim limit.` : '',
+    report.stopped ? `Stopped early: ${escapeHtml(report.stopped)}` : '',
+    report.truncated ? 'The page was too long to read in full; its end was not checked.' : ''
+  ].filter(Boolean);
+
+  const sectionsHtml = report.sections.map((section) => {
+    const cards = new Map();
+    report.verifications.filter(v => v.section === section.index).forEach((v) => {
+      const cluster = v.mergedInto ?? v.claimIndex;
+      if (v.mergedInto === undefined || !report.verifications.some(r => r.claimIndex === cluster && r.section === section.index)) {
+        if (!cards.has(cluster)) cards.set(cluster, renderFactCheckClaim({ ...v, mergedInto: undefined }, v.claimIndex));
+      }
+    });
+    const tone = section.score === null ? 'none' : section.score >= 75 ? 'success' : section.score >= 45 ? 'warning' : 'error';
+    return `
+      <section class="bobby-fc-section">
+        <div class="bobby-fc-section-head">
+          <span class="bobby-fc-section-title">${escapeHtml(section.title)}</span>
+          <span class="bobby-fc-section-score bobby-fc-section-score-${tone}">${section.score === null ? 'Not checked' : `${section.score}%`}</span>
+        </div>
+        ${section.score === null ? '' : `<div class="bobby-fc-section-bar"><div class="bobby-fc-section-bar-fill bobby-fc-section-score-${tone}" style="width: ${section.score}%"></div></div>`}
+        <div class="bobby-fc-section-meta">${section.claims} claim${section.claims === 1 ? '' : 's'} found · ${section.checked} checked</div>
+        ${cards.size > 0 ? `<div class="bobby-fc-claims">${[...cards.values()].join('')}</div>` : ''}
+      </section>
+    `;
+  }).join('');
+
+  return `
+    <div class="bobby-fc-page-notes">${notes.map(note => `<p>${note}</p>`).join('')}</div>
+    ${sectionsHtml}
+  `;
 }
 
 // Get status icon for assessment - using simpler icons
@@ -1519,6 +1986,7 @@ async function handleFollowUp(question) {
   const ui = new window.UIComponents();
   
   resultDiv.innerHTML = ui.createLoader('Finding answer...');
+  const signal = beginRequestScope();
   
   // Ensure conversationThread is initialized
   if (!conversationThread || !conversationThread.originalText) {
@@ -1533,17 +2001,24 @@ async function handleFollowUp(question) {
   }
   
   try {
-    // Fallback-friendly context string (kept for future engines that accept context)
+    // Context string for the standalone engines (Perplexity reads it; Exa Answer can't)
     const contextPrompt = `Original Text: "${conversationThread.originalText}"\nSource: ${conversationThread.originalUrl}`;
 
-    // Use grounded follow-up via Exa Answer for high-quality citations
+    // Follow-up via the engine picked in options; the conversational engine answers
+    // with the selection and every earlier turn in view
     let response;
     try {
-      response = await chrome.runtime.sendMessage({
-        action: 'exaAnswer',
+      response = await new window.BackgroundClient().followUpAnswer({
         question: question,
-        context: contextPrompt
-      });
+        context: contextPrompt,
+        selection: conversationThread.originalText,
+        url: conversationThread.originalUrl,
+        turns: conversationThread.conversations.map(turn => ({
+          question: turn.question,
+          answer: String(turn.answer || ''),
+          mode: turn.mode
+        }))
+      }, { signal });
     } catch (sendError) {
       // Handle cases where extension context is invalidated
       if (sendError.message.includes('Extension context invalidated')) {
@@ -1553,12 +2028,17 @@ async function handleFollowUp(question) {
       throw sendError;
     }
     
+    if (signal.aborted) return;
+    
     if (response && response.success) {
       // Store in conversation thread
+      // Each turn keeps its own sources: [n] markers are numbered per answer
       conversationThread.conversations.push({
         question: question,
         answer: response.answer || response.result,
         mode: 'followup',
+        engine: response.engine,
+        sources: response.sources || [],
         timestamp: Date.now()
       });
       conversationThread.lastActivity = Date.now();
@@ -1572,7 +2052,8 @@ async function handleFollowUp(question) {
           await window.HistoryManager.addFollowUp(
             window.currentHistoryId,
             question,
-            response.answer || response.result
+            response.answer || response.result,
+            { engine: response.engine, sources: response.sources || [] }
           );
         } catch (historyError) {
           console.warn('Bobby: Could not save follow-up to history:', historyError);
@@ -1582,7 +2063,159 @@ async function handleFollowUp(question) {
       displayError(response?.error || 'Unknown error occurred');
     }
   } catch (error) {
+    if (error.name === 'AbortError' || signal.aborted) return;
+    displayError(error.message);
+  }
+}
+
+// Related reading: pages covering the same thing as the selection or the whole page,
+// ranked by Exa. Each result can be saved to history on its own.
+async function showRelatedReading(basis = 'text') {
+  const useV2 = window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM;
+  const useRauno = window.BOBBY_CONFIG?.FEATURE_FLAGS?.RAUNO_MODE;
+  const resultDiv = useRauno
+    ? popupWindow.querySelector('.bobby-content-rauno')
+    : popupWindow.querySelector(useV2 ? '.bobby-result-v2' : '.bobby-result');
+  if (!resultDiv) return;
+  
+  const ui = new window.UIComponents();
+  const signal = beginRequestScope();
+  resultDiv.innerHTML = ui.createLoader('Finding related reading...');
+  
+  let response;
+  try {
+    const request = basis === 'url' ? { url: window.location.href } : { text: selectedText };
+    response = await new window.BackgroundClient().findSimilar({ ...request, numResults: 8 }, { signal });
+  } catch (error) {
+    if (error.name === 'AbortError' || signal.aborted) return;
+    displayError(error.message);
+    return;
+  }
+  if (signal.aborted) return;
+  
+  const sources = (response.results || []).map((r, i) => ({
+    number: i + 1,
+    title: r.title || r.url,
+    url: r.url,
+    snippet: r.text || '',
+    publishedDate: r.publishedDate || null,
+    score: r.score
+  }));
+  
+  const items = sources.map((s, idx) => {
+    const date = s.publishedDate ? new Date(s.publishedDate) : null;
+    const dateText = date && !isNaN(date) ? date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) : '';
+    const snippet = s.snippet.length > 220 ? s.snippet.substring(0, 217) + '…' : s.snippet;
+    return `
+      <li class="bobby-related-item">
+        <span class="bobby-related-rank">${idx + 1}</span>
+        <div class="bobby-related-body">
+          ${renderSourceChip(s, idx)}
+          ${dateText ? `<span class="bobby-related-date">${dateText}</span>` : ''}
+          ${snippet ? `<p class="bobby-related-snippet">${ui.escapeHtml(snippet)}</p>` : ''}
+        </div>
+        <button class="bobby-related-save" type="button" data-index="${idx}" title="Save to history">Save</button>
+      </li>`;
+  }).join('');
+  
+  const analysisClass = useRauno ? 'bobby-analysis-rauno' : (useV2 ? 'bobby-analysis-v2' : 'bobby-analysis');
+  resultDiv.innerHTML = `
+    <div class="${analysisClass} bobby-related">
+      <div class="bobby-sources-title">Related reading
+        <div class="bobby-sort-toggle" role="tablist" aria-label="Find pages related to">
+          <button class="bobby-sort-btn ${basis === 'text' ? 'active' : ''}" data-basis="text" role="tab" aria-selected="${basis === 'text'}">This passage</button>
+          <button class="bobby-sort-btn ${basis === 'url' ? 'active' : ''}" data-basis="url" role="tab" aria-selected="${basis === 'url'}">This page</button>
+        </div>
+      </div>
+      ${sources.length > 0
+        ? `<ol class="bobby-related-list">${items}</ol>`
+        : '<p class="bobby-cache-notice">No related pages found.</p>'}
+    </div>
+  `;
+  
+  attachSourceTooltips(resultDiv, sources);
+  
+  resultDiv.querySelectorAll('.bobby-sort-btn[data-basis]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.basis !== basis) showRelatedReading(btn.dataset.basis);
+    });
+  });
+  
+  resultDiv.querySelectorAll('.bobby-related-save').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      const s = sources[parseInt(btn.dataset.index, 10)];
+      btn.disabled = true;
+      try {
+        const entry = await window.HistoryManager.addToHistory(
+          selectedText,
+          `**${s.title}**\n${s.url}${s.snippet ? `\n\n${s.snippet}` : ''}`,
+          'related',
+          { relatedTo: basis === 'url' ? 'page' : 'passage', source: { title: s.title, url: s.url, publishedDate: s.publishedDate } }
+        );
+        btn.textContent = entry ? 'Saved' : 'History off';
+      } catch (historyError) {
+        console.warn('Bobby: Could not save related page to history:', historyError);
+        btn.textContent = 'Not saved';
+        btn.disabled = false;
+      }
+    });
+  });
+}
+
+// Research: the background rewrites the passage into web searches, ranks what they
+// find and answers only from those sources; the answer is a normal grounded result
+async function showResearch() {
+  const useV2 = window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM;
+  const useRauno = window.BOBBY_CONFIG?.FEATURE_FLAGS?.RAUNO_MODE;
+  const resultDiv = useRauno
+    ? popupWindow.querySelector('.bobby-content-rauno')
+    : popupWindow.querySelector(useV2 ? '.bobby-result-v2' : '.bobby-result');
+  if (!resultDiv) return;
+  
+  const ui = new window.UIComponents();
+  const signal = beginRequestScope();
+  resultDiv.innerHTML = ui.createLoader('Researching...');
+  
+  const passage = selectedText.length > 1000 ? `${selectedText.substring(0, 1000)}…` : selectedText;
+  let response;
+  try {
+    response = await new window.BackgroundClient().research({
+      question: `What do reliable sources say about this passage? "${passage}"`,
+      context: `The passage was selected on ${window.location.href}`
+    }, { signal });
+  } catch (error) {
+    if (error.name === 'AbortError' || signal.aborted) return;
     displayError(error.message);
+    return;
+  }
+  if (signal.aborted) return;
+  
+  currentResponse = response.answer;
+  displayResult(response.answer, false, false, {
+    sources: response.sources,
+    queries: response.queries,
+    budgetWarning: response.budgetWarning
+  });
+  
+  conversationThread.conversations.push({
+    question: null,
+    answer: response.answer,
+    mode: 'research',
+    sources: response.sources,
+    timestamp: Date.now()
+  });
+  conversationThread.lastActivity = Date.now();
+  
+  try {
+    const historyEntry = await window.HistoryManager.addToHistory(
+      selectedText,
+      response.answer,
+      'research',
+      { sources: response.sources, queries: response.queries }
+    );
+    if (historyEntry) window.currentHistoryId = historyEntry.id;
+  } catch (historyError) {
+    console.warn('Bobby: Could not save research to history (non-fatal):', historyError);
   }
 }
 
@@ -1597,17 +2230,7 @@ function displayFollowUpAnswer(question, answer, sources = []) {
   let formattedAnswer = ui.markdownToHtml(answerContent || 'No answer provided');
 
   // Replace [n] markers with inline citation links when sources provided
-  if (Array.isArray(sources) && sources.length > 0) {
-    for (let i = 0; i < sources.length; i++) {
-      const n = i + 1;
-      const s = sources[i];
-      const pattern = new RegExp(`\\[${n}\\]`, 'g');
-      const safeHref = s.url && s.url.startsWith('http') ? s.url : '#';
-      const title = (s.title || s.url || `Source ${n}`).replace(/"/g, '&quot;');
-      const link = `[<a href="${safeHref}" target="_blank" rel="noopener" class="bobby-inline-citation" data-citation="${n}" title="${title}">${n}</a>]`;
-      formattedAnswer = formattedAnswer.replace(pattern, link);
-    }
-  }
+  formattedAnswer = linkCitations(formattedAnswer, sources);
   
   // Display in a clean, styled format similar to regular analysis
   const analysisClass = useV2 ? 'bobby-analysis-v2' : 'bobby-analysis';
@@ -1620,56 +2243,34 @@ function displayFollowUpAnswer(question, answer, sources = []) {
       <span class="bobby-thread-count">💬 Conversation (${threadCount} messages)</span>
     </div>
   ` : '';
-  
-  // Build sources rail HTML
-  const sourcesRail = (Array.isArray(sources) && sources.length)
-    ? `
-      <div class="bobby-sources-rail">
-        <div class="bobby-sources-title">Sources
-          <div class="bobby-sources-controls">
-            <div class="bobby-sort-toggle" role="tablist" aria-label="Sort sources">
-              <button class="bobby-sort-btn active" data-sort="used" role="tab" aria-selected="true">Used</button>
-              <button class="bobby-sort-btn" data-sort="confidence" role="tab" aria-selected="false">Confidence</button>
-              <button class="bobby-sort-btn" data-sort="date" role="tab" aria-selected="false">Date</button>
-            </div>
-            <button class="bobby-sources-menu-btn" title="More"></button>
-          </div>
-        </div>
-        <div class="bobby-sources-chips">
-          ${sources.slice(0, 5).map((s, idx) => {
-            let domain = '';
-            try { domain = new URL(s.url).hostname.replace('www.', ''); } catch (_) { domain = 'source'; }
-            const title = s.title || domain || `Source ${idx + 1}`;
-            const truncated = title.length > 60 ? title.substring(0, 57) + '…' : title;
-            const pct = (typeof s.score === 'number') ? Math.round((s.score <= 1 ? s.score * 100 : s.score)) : null;
-            const date = (s.publishedDate ? new Date(s.publishedDate) : null);
-            const dateBadge = date ? `${date.toLocaleString(undefined,{month:'short'})} ${date.getFullYear()}` : '';
-            const confBadge = (pct !== null && !Number.isNaN(pct)) ? `${pct}%` : '';
-            return `
-              <a href="${s.url}" target="_blank" rel="noopener" 
-                 class="bobby-source-chip-v2" data-index="${idx}" title="${ui.escapeHtml(title)}">
-                <span class="bobby-source-favicon">
-                  <img src="https://www.google.com/s2/favicons?domain=${domain}&sz=16" alt="" onerror="this.style.display='none'" />
-                </span>
-                <span class="bobby-source-title">${ui.escapeHtml(truncated)}</span>
-                ${dateBadge || confBadge ? `<span class="bobby-source-badges">${dateBadge ? `<span class="bobby-badge bobby-badge-date">${dateBadge}</span>` : ''}${confBadge ? `<span class="bobby-badge bobby-badge-conf">${confBadge}</span>` : ''}</span>` : ''}
-              </a>`;
-          }).join('')}
-          ${sources.length > 5 ? `<span class="bobby-source-more">+${sources.length - 5}</span>` : ''}
+
+  // Earlier follow-ups (not the one shown below), each linked to its own sources
+  const earlierTurns = (conversationThread?.conversations || []).slice(0, -1).filter(turn => turn.question);
+  const earlierHtml = earlierTurns.length > 0 ? `
+    <details class="bobby-thread-history">
+      <summary>Earlier questions (${earlierTurns.length})</summary>
+      ${earlierTurns.map(turn => `
+        <div class="bobby-thread-turn">
+          <p class="bobby-thread-question">${escapeHtml(turn.question)}</p>
+          <div class="${useV2 ? 'bobby-markdown-v2' : 'bobby-markdown'}">${linkCitations(ui.markdownToHtml(String(turn.answer || '')), turn.sources)}</div>
         </div>
-      </div>
-    ` : '';
+      `).join('')}
+    </details>
+  ` : '';
+  
+  const sourcesRail = renderSourcesRail(sources);
 
-  // Answer meta (grounding badge)
-  const metaHtml = `
+  // Answer meta (grounding badge); conversational answers may have no web sources
+  const metaHtml = sources.length > 0 ? `
     <div class="bobby-answer-meta">
-      <span class="bobby-grounded-badge" title="Answer grounded by web sources via Exa">Grounded</span>
+      <span class="bobby-grounded-badge" title="Answer grounded by web sources">Grounded</span>
     </div>
-  `;
+  ` : '';
 
   resultDiv.innerHTML = `
     <div class="${analysisClass}">
       ${threadIndicator}
+      ${earlierHtml}
       ${metaHtml}
       <div class="bobby-followup-question">
         <strong>Q${threadCount + 1}:</strong> ${escapeHtml(question)}
@@ -1695,6 +2296,79 @@ function displayFollowUpAnswer(question, answer, sources = []) {
     });
   }
 
+  bindSourcesRail(resultDiv, sources);
+}
+
+// Replace [n] markers in rendered answer HTML with links to the numbered sources
+function linkCitations(html, sources = []) {
+  if (!Array.isArray(sources) || sources.length === 0) return html;
+  let linked = html;
+  for (let i = 0; i < sources.length; i++) {
+    const s = sources[i];
+    const n = s.number || i + 1;
+    const pattern = new RegExp(`\\[${n}\\]`, 'g');
+    const safeHref = s.url && s.url.startsWith('http') ? s.url : '#';
+    const title = (s.title || s.url || `Source ${n}`).replace(/"/g, '&quot;');
+    const link = `[<a href="${safeHref}" target="_blank" rel="noopener" class="bobby-inline-citation" data-citation="${n}" title="${title}">${n}</a>]`;
+    linked = linked.replace(pattern, link);
+  }
+  return linked;
+}
+
+// One source chip; data-index points into the array given to attachSourceTooltips
+function renderSourceChip(s, idx) {
+  const ui = new window.UIComponents();
+  let domain = '';
+  try { domain = new URL(s.url).hostname.replace('www.', ''); } catch (_) { domain = 'source'; }
+  const title = s.title || domain || `Source ${idx + 1}`;
+  const truncated = title.length > 60 ? title.substring(0, 57) + '…' : title;
+  const pct = (typeof s.score === 'number') ? Math.round((s.score <= 1 ? s.score * 100 : s.score)) : null;
+  const date = (s.publishedDate ? new Date(s.publishedDate) : null);
+  const dateBadge = date && !isNaN(date) ? `${date.toLocaleString(undefined,{month:'short'})} ${date.getFullYear()}` : '';
+  const confBadge = (pct !== null && !Number.isNaN(pct)) ? `${pct}%` : '';
+  return `
+    <a href="${s.url}" target="_blank" rel="noopener" 
+       class="bobby-source-chip-v2" data-index="${idx}" title="${ui.escapeHtml(title)}">
+      <span class="bobby-source-favicon">
+        <img src="https://www.google.com/s2/favicons?domain=${domain}&sz=16" alt="" onerror="this.style.display='none'" />
+      </span>
+      <span class="bobby-source-title">${ui.escapeHtml(truncated)}</span>
+      ${dateBadge || confBadge ? `<span class="bobby-source-badges">${dateBadge ? `<span class="bobby-badge bobby-badge-date">${dateBadge}</span>` : ''}${confBadge ? `<span class="bobby-badge bobby-badge-conf">${confBadge}</span>` : ''}</span>` : ''}
+    </a>`;
+}
+
+// Source chip markup shared by the initial rail and its re-sorts
+function renderSourceChips(sources) {
+  return sources.slice(0, 5).map(renderSourceChip).join('') +
+    (sources.length > 5 ? `<span class="bobby-source-more">+${sources.length - 5}</span>` : '');
+}
+
+// Sources rail (chips, sort toggle, "more" menu); empty when there are no sources
+function renderSourcesRail(sources = []) {
+  if (!Array.isArray(sources) || sources.length === 0) return '';
+  return `
+      <div class="bobby-sources-rail">
+        <div class="bobby-sources-title">Sources
+          <div class="bobby-sources-controls">
+            <div class="bobby-sort-toggle" role="tablist" aria-label="Sort sources">
+              <button class="bobby-sort-btn active" data-sort="used" role="tab" aria-selected="true">Used</button>
+              <button class="bobby-sort-btn" data-sort="confidence" role="tab" aria-selected="false">Confidence</button>
+              <button class="bobby-sort-btn" data-sort="date" role="tab" aria-selected="false">Date</button>
+            </div>
+            <button class="bobby-sources-menu-btn" title="More"></button>
+          </div>
+        </div>
+        <div class="bobby-sources-chips">
+          ${renderSourceChips(sources)}
+        </div>
+      </div>
+    `;
+}
+
+// Tooltips, sorting and the "more" menu for a rendered sources rail
+function bindSourcesRail(resultDiv, sources = []) {
+  if (!Array.isArray(sources) || sources.length === 0) return;
+
   // Attach hover previews for source chips
   attachSourceTooltips(resultDiv, sources);
 
@@ -1712,28 +2386,14 @@ function displayFollowUpAnswer(question, answer, sources = []) {
       } else if (mode === 'date') {
         sorted.sort((a,b) => new Date(b.publishedDate||0) - new Date(a.publishedDate||0));
       } // 'used' = original order
-      chipContainer.innerHTML = sorted.slice(0,5).map((s, idx) => {
-        let domain = ''; try { domain = new URL(s.url).hostname.replace('www.',''); } catch(_) {}
-        const title = s.title || domain || `Source ${idx+1}`;
-        const truncated = title.length > 60 ? title.substring(0,57) + '…' : title;
-        const pct = (typeof s.score === 'number') ? Math.round((s.score <= 1 ? s.score * 100 : s.score)) : null;
-        const date = (s.publishedDate ? new Date(s.publishedDate) : null);
-        const dateBadge = date ? `${date.toLocaleString(undefined,{month:'short'})} ${date.getFullYear()}` : '';
-        const confBadge = (pct !== null && !Number.isNaN(pct)) ? `${pct}%` : '';
-        return `
-          <a href="${s.url}" target="_blank" rel="noopener" class="bobby-source-chip-v2" title="${ui.escapeHtml(title)}">
-            <span class="bobby-source-favicon"><img src="https://www.google.com/s2/favicons?domain=${domain}&sz=16" alt="" onerror="this.style.display='none'" /></span>
-            <span class="bobby-source-title">${ui.escapeHtml(truncated)}</span>
-            ${dateBadge || confBadge ? `<span class="bobby-source-badges">${dateBadge ? `<span class=\"bobby-badge bobby-badge-date\">${dateBadge}</span>` : ''}${confBadge ? `<span class=\"bobby-badge bobby-badge-conf\">${confBadge}</span>` : ''}</span>` : ''}
-          </a>`;
-      }).join('') + (sorted.length > 5 ? `<span class="bobby-source-more">+${sorted.length - 5}</span>` : '');
+      chipContainer.innerHTML = renderSourceChips(sorted);
       attachSourceTooltips(resultDiv, sorted);
     }));
   }
 
   // Sources “more” menu: Open all / Copy links
   const sourcesMenuBtn = resultDiv.querySelector('.bobby-sources-menu-btn');
-  if (sourcesMenuBtn && Array.isArray(sources) && sources.length) {
+  if (sourcesMenuBtn) {
     sourcesMenuBtn.addEventListener('click', (e) => {
       e.stopPropagation();
       const menu = document.createElement('div');
@@ -1799,7 +2459,7 @@ function attachSourceTooltips(container, sources = []) {
 
 
 // Display analysis result
-function displayResult(result, fromCache = false) {
+function displayResult(result, fromCache = false, stopped = false, answeredBy = null) {
   const useV2 = window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_GLASSMORPHISM;
   const useRauno = window.BOBBY_CONFIG?.FEATURE_FLAGS?.RAUNO_MODE;
   
@@ -1829,13 +2489,32 @@ function displayResult(result, fromCache = false) {
     }
   }
   const cleanResult = normalizeEnding(result);
+  const providerNotice = formatProviderNotice(answeredBy);
+  
+  // Web-search answers carry numbered sources for their [n] markers
+  const sources = Array.isArray(answeredBy?.sources) ? answeredBy.sources : [];
+  const answerHtml = linkCitations(ui.markdownToHtml(cleanResult), sources);
+  const groundedNotice = sources.length > 0 ? `
+        <div class="bobby-answer-meta">
+          <span class="bobby-grounded-badge" title="Answer grounded by web search results">Grounded</span>
+        </div>` : '';
+  const queries = Array.isArray(answeredBy?.queries) ? answeredBy.queries : [];
+  const queriesNotice = queries.length > 0
+    ? `<p class="bobby-cache-notice bobby-research-queries">🔎 Searched: ${queries.map(q => escapeHtml(q)).join(' · ')}</p>`
+    : '';
+  const sourcesRail = renderSourcesRail(sources);
   
   if (useRauno) {
     resultDiv.innerHTML = `
       <div class="bobby-analysis-rauno">
         ${fromCache ? '<p class="bobby-cache-notice">📦 From cache</p>' : ''}
-        <div class="bobby-markdown-rauno">${ui.markdownToHtml(cleanResult)}</div>
+        ${stopped ? '<p class="bobby-cache-notice">⏹ Stopped early</p>' : ''}
+        ${providerNotice}
+        ${groundedNotice}
+        ${queriesNotice}
+        <div class="bobby-markdown-rauno">${answerHtml}</div>
       </div>
+      ${sourcesRail}
       <div class="bobby-followup-section">
         <button class="bobby-followup-inline-btn" aria-label="Ask follow-up question">
           <span class="bobby-followup-icon">→</span>
@@ -1850,8 +2529,13 @@ function displayResult(result, fromCache = false) {
     resultDiv.innerHTML = `
       <div class="${analysisClass}">
         ${fromCache ? '<p class="bobby-cache-notice">📦 From cache</p>' : ''}
-        <div class="${markdownClass}">${ui.markdownToHtml(cleanResult)}</div>
+        ${stopped ? '<p class="bobby-cache-notice">⏹ Stopped early</p>' : ''}
+        ${providerNotice}
+        ${groundedNotice}
+        ${queriesNotice}
+        <div class="${markdownClass}">${answerHtml}</div>
       </div>
+      ${sourcesRail}
       <div class="bobby-followup-section">
         <button class="bobby-followup-inline-btn" aria-label="Ask follow-up question">
           <span class="bobby-followup-icon">→</span>
@@ -1868,6 +2552,23 @@ function displayResult(result, fromCache = false) {
       showFollowUpInput();
     });
   }
+
+  bindSourcesRail(resultDiv, sources);
+}
+
+// Which provider answered; calls out failover so a slower/different answer isn't a surprise.
+// Also surfaces the spending-cap warning the background attaches in "warn" mode.
+function formatProviderNotice(answeredBy) {
+  const budgetNotice = answeredBy?.budgetWarning
+    ? `<p class="bobby-cache-notice bobby-budget-notice">💸 ${escapeHtml(answeredBy.budgetWarning)}</p>`
+    : '';
+  if (!answeredBy || !answeredBy.providerLabel) return budgetNotice;
+  const skipped = (answeredBy.failover || []).map(f => f.label);
+  const text = skipped.length > 0
+    ? `↪ Answered by ${answeredBy.providerLabel} (${skipped.join(', ')} unavailable)`
+    : `Answered by ${answeredBy.providerLabel}`;
+  const title = (answeredBy.failover || []).map(f => `${f.label}: ${f.error}`).join('\n');
+  return `${budgetNotice}<p class="bobby-cache-notice bobby-provider-notice"${title ? ` title="${escapeHtml(title).replace(/"/g, '&quot;')}"` : ''}>${escapeHtml(text)}</p>`;
 }
 
 // Display error message
@@ -1910,6 +2611,14 @@ function displayError(error) {
 
 // Close popup
 function closePopup() {
+  // Abort any streaming analysis still writing into this popup
+  if (activeStream) {
+    activeStream.stop();
+    activeStream = null;
+  }
+  // ...and any other background requests (fact-check loop, follow-ups)
+  cancelPendingRequests();
+  
   if (popupWindow) {
     const useSpring = window.BOBBY_CONFIG?.FEATURE_FLAGS?.USE_SPRING_ANIMATIONS;
     
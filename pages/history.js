@@ -141,7 +141,7 @@ function applyFiltersAndRender() {
       (item.response || '').toLowerCase().includes(query) ||
       (item.followUps && item.followUps.some(f => 
         f.question.toLowerCase().includes(query) ||
-        f.answer.toLowerCase().includes(query)
+        followUpAnswer(f).toLowerCase().includes(query)
       ))
     );
   }
@@ -212,7 +212,9 @@ function createHistoryItem(item) {
     technical: '#10b981',
     examples: '#3b82f6',
     proscons: '#ef4444',
-    factcheck: '#06b6d4'
+    factcheck: '#06b6d4',
+    related: '#84cc16',
+    research: '#0ea5e9'
   };
   
   const modeColor = modeColors[item.mode] || '#6366f1';
@@ -303,6 +305,35 @@ function showDetails(item) {
             </div>
           </div>
         </div>
+        ${data.merged ? `<p class="factcheck-merged">${data.merged} near-duplicate claim${data.merged > 1 ? 's were' : ' was'} merged and counted once</p>` : ''}
+      </div>
+    `;
+  }
+  
+  // Saved related-reading page
+  if (item.mode === 'related' && item.metadata && item.metadata.source) {
+    const source = item.metadata.source;
+    const safeHref = /^https?:\/\//.test(source.url || '') ? source.url : '#';
+    content += `
+      <div class="modal-section">
+        <div class="modal-section-title">Related Page</div>
+        <div class="bobby-card">
+          <p><a href="${escapeHtml(safeHref).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${escapeHtml(source.title || source.url)}</a></p>
+          ${source.publishedDate ? `<p>Published ${escapeHtml(new Date(source.publishedDate).toLocaleDateString())}</p>` : ''}
+          <p>Related to the selected ${item.metadata.relatedTo === 'page' ? 'page' : 'passage'}</p>
+        </div>
+      </div>
+    `;
+  }
+  
+  // Searches a research answer was built from
+  if (item.mode === 'research' && item.metadata && Array.isArray(item.metadata.queries) && item.metadata.queries.length > 0) {
+    content += `
+      <div class="modal-section">
+        <div class="modal-section-title">Searched For</div>
+        <div class="bobby-card">
+          ${item.metadata.queries.map(q => `<p>${escapeHtml(q)}</p>`).join('')}
+        </div>
       </div>
     `;
   }
@@ -315,7 +346,15 @@ function showDetails(item) {
         ${item.followUps.map(f => `
           <div class="followup-item">
             <div class="followup-question">Q: ${escapeHtml(f.question)}</div>
-            <div class="followup-answer">${markdownToHtml(f.answer)}</div>
+            <div class="followup-answer">${markdownToHtml(followUpAnswer(f))}</div>
+            ${f.sources && f.sources.length > 0 ? `
+              <ol class="followup-sources">
+                ${f.sources.map(s => {
+                  const safeHref = /^https?:\/\//.test(s.url || '') ? s.url : '#';
+                  return `<li${Number(s.number) ? ` value="${Number(s.number)}"` : ''}><a href="${escapeHtml(safeHref).replace(/"/g, '&quot;')}" target="_blank" rel="noopener">${escapeHtml(s.title || s.url)}</a></li>`;
+                }).join('')}
+              </ol>
+            ` : ''}
           </div>
         `).join('')}
       </div>
@@ -452,6 +491,11 @@ async function handleClearAll() {
 }
 
 // Utility functions
+// HistoryManager stores a follow-up's answer as `response`; older entries used `answer`
+function followUpAnswer(followUp) {
+  return followUp.response || followUp.answer || '';
+}
+
 function getModeLabel(mode) {
   const labels = {
     explain: 'Explain',
@@ -461,7 +505,9 @@ function getModeLabel(mode) {
     technical: 'Technical',
     examples: 'Examples',
     proscons: 'Pros & Cons',
-    factcheck: 'Fact Check'
+    factcheck: 'Fact Check',
+    related: 'Related Reading',
+    research: 'Research'
   };
   return labels[mode] || mode;
 }
@@ -1,15 +1,100 @@
 // Bobby Chrome Extension - Options Page Script
 
+const PROVIDER_LABELS = {
+  anthropic: 'Anthropic Claude',
+  openai: 'OpenAI',
+  openaiCompatible: 'OpenAI-compatible'
+};
+const DEFAULT_PROVIDER_CHAIN = ['anthropic', 'openai', 'openaiCompatible'];
+
+// Modes that can fail over; extractClaims stays pinned by default so claim JSON
+// always comes from the same model
+const FAILOVER_MODES = {
+  explain: 'Explain',
+  summarize: 'Summarize',
+  keyPoints: 'Key Points',
+  eli5: 'Simplify',
+  technical: 'Technical',
+  proscons: 'Pros & Cons',
+  factcheck: 'Fact-check verdicts',
+  extractClaims: 'Claim extraction',
+  synthesize: 'Research answers',
+  rewrite: 'Research query rewriting',
+  followup: 'Conversational follow-ups'
+};
+const DEFAULT_FAILOVER_DISABLED_MODES = ['extractClaims'];
+
+// Searches a search profile can be assigned to (EXA_PROFILE_BY_MODE)
+const SEARCH_PROFILE_MODES = {
+  factcheck: 'Fact-check sources',
+  followup: 'Follow-up answers',
+  search: 'Related reading and other searches'
+};
+const EXA_CATEGORIES = ['company', 'research paper', 'news', 'pdf', 'github', 'tweet', 'personal site', 'linkedin profile', 'financial report'];
+
+// Key fields that move into the vault when encryption is enabled
+const SECRET_INPUTS = {
+  ANTHROPIC_API_KEY: 'anthropic-key',
+  OPENAI_API_KEY: 'openai-key',
+  OPENAI_COMPATIBLE_API_KEY: 'compatible-key',
+  EXA_API_KEY: 'exa-key',
+  PERPLEXITY_API_KEY: 'perplexity-key'
+};
+
+// Typed client for the background message protocol
+const background = new BackgroundClient();
+
+// 'disabled' | 'locked' | 'unlocked', refreshed by loadVaultStatus()
+let vaultState = 'disabled';
+
+const CONFIG_SOURCE_LABELS = {
+  vault: 'key vault',
+  options: 'options page',
+  preference: 'options page',
+  file: 'config.js'
+};
+
+const KEY_STATUS_LABELS = {
+  valid: 'Valid',
+  rate_limited: 'Valid, but rate limited',
+  invalid: 'Invalid',
+  unchecked: 'Not checked yet'
+};
+
 // Load saved settings on page load
 document.addEventListener('DOMContentLoaded', async () => {
+  renderProviderChain(DEFAULT_PROVIDER_CHAIN);
+  renderFailoverModes(DEFAULT_FAILOVER_DISABLED_MODES);
+  renderSearchProfiles({}, {});
   await loadSettings();
+  await loadVaultStatus();
+  await loadCacheEntries();
+  loadKeyHealth();
+  loadConfigReport();
   
   // Setup event listeners
   document.getElementById('settings-form').addEventListener('submit', saveSettings);
   document.getElementById('reset-btn').addEventListener('click', resetSettings);
+  document.getElementById('key-health-check').addEventListener('click', (e) => {
+    e.preventDefault();
+    checkKeys();
+  });
+  document.getElementById('cache-refresh-btn').addEventListener('click', loadCacheEntries);
+  document.getElementById('cache-purge-btn').addEventListener('click', purgeCache);
+  document.getElementById('add-search-profile').addEventListener('click', () => {
+    addSearchProfileCard('', {});
+    renderSearchProfileModes(readProfileModes());
+  });
+  
+  // Key vault controls
+  document.getElementById('vault-enable-btn').addEventListener('click', enableVault);
+  document.getElementById('vault-unlock-btn').addEventListener('click', unlockVault);
+  document.getElementById('vault-lock-btn').addEventListener('click', lockVault);
+  document.getElementById('vault-disable-btn').addEventListener('click', disableVault);
+  document.getElementById('vault-idle').addEventListener('change', updateVaultIdle);
   
-  // Show/hide API key on click
-  document.querySelectorAll('input[type="password"]').forEach(input => {
+  // Show/hide API key on click (never for vault passphrases)
+  document.querySelectorAll('input[type="password"]:not(.vault-passphrase)').forEach(input => {
     input.addEventListener('click', function() {
       if (this.type === 'password' && this.value) {
         this.type = 'text';
@@ -34,8 +119,11 @@ async function loadSettings() {
     
     // Load API keys
     if (settings.apiConfig) {
+      // Provider selection (legacy configs only have USE_ANTHROPIC)
+      document.getElementById('llm-provider').value = settings.apiConfig.LLM_PROVIDER ||
+        (settings.apiConfig.USE_ANTHROPIC ? 'anthropic' : 'openai');
+      
       // Anthropic settings
-      document.getElementById('use-anthropic').checked = settings.apiConfig.USE_ANTHROPIC || false;
       document.getElementById('anthropic-key').value = settings.apiConfig.ANTHROPIC_API_KEY || '';
       document.getElementById('anthropic-model').value = settings.apiConfig.ANTHROPIC_MODEL || 'claude-3-5-sonnet-20240620';
       
@@ -43,9 +131,51 @@ async function loadSettings() {
       document.getElementById('openai-key').value = settings.apiConfig.OPENAI_API_KEY || '';
       document.getElementById('openai-model').value = settings.apiConfig.OPENAI_MODEL || 'gpt-4-turbo-preview';
       
+      // OpenAI-compatible endpoint
+      document.getElementById('compatible-base-url').value = settings.apiConfig.OPENAI_COMPATIBLE_BASE_URL || '';
+      document.getElementById('compatible-model').value = settings.apiConfig.OPENAI_COMPATIBLE_MODEL || '';
+      document.getElementById('compatible-key').value = settings.apiConfig.OPENAI_COMPATIBLE_API_KEY || '';
+      
+      // Failover chain
+      if (Array.isArray(settings.apiConfig.PROVIDER_CHAIN)) {
+        renderProviderChain(settings.apiConfig.PROVIDER_CHAIN);
+      }
+      if (Array.isArray(settings.apiConfig.FAILOVER_DISABLED_MODES)) {
+        renderFailoverModes(settings.apiConfig.FAILOVER_DISABLED_MODES);
+      }
+      if (Number.isInteger(settings.apiConfig.FAILOVER_RETRIES)) {
+        document.getElementById('failover-retries').value = settings.apiConfig.FAILOVER_RETRIES;
+      }
+      Object.entries(settings.apiConfig.PROVIDER_RATE_LIMITS || {}).forEach(([service, limit]) => {
+        const input = document.getElementById(`rate-limit-${service}`);
+        if (input) input.value = limit;
+      });
+      
+      // Budget caps
+      document.getElementById('usage-daily-cap').value = settings.apiConfig.USAGE_DAILY_CAP || '';
+      document.getElementById('usage-monthly-cap').value = settings.apiConfig.USAGE_MONTHLY_CAP || '';
+      document.getElementById('usage-cap-action').value = settings.apiConfig.USAGE_CAP_ACTION || 'warn';
+      
+      // Response cache budget
+      if (settings.apiConfig.CACHE_MAX_BYTES) {
+        document.getElementById('cache-max-mb').value = settings.apiConfig.CACHE_MAX_BYTES / (1024 * 1024);
+      }
+      
       // Other API keys
       document.getElementById('exa-key').value = settings.apiConfig.EXA_API_KEY || '';
       document.getElementById('perplexity-key').value = settings.apiConfig.PERPLEXITY_API_KEY || '';
+      document.getElementById('perplexity-model').value = settings.apiConfig.PERPLEXITY_MODEL || 'sonar';
+      document.getElementById('follow-up-engine').value = settings.apiConfig.FOLLOW_UP_ENGINE || 'conversation';
+      document.getElementById('follow-up-grounding').checked = settings.apiConfig.FOLLOW_UP_GROUNDING !== false;
+      document.getElementById('perplexity-verify').checked = !!settings.apiConfig.PERPLEXITY_VERIFY;
+      if (Number.isInteger(settings.apiConfig.FACTCHECK_CONCURRENCY)) {
+        document.getElementById('factcheck-concurrency').value = settings.apiConfig.FACTCHECK_CONCURRENCY;
+      }
+      if (Number.isInteger(settings.apiConfig.PAGE_FACTCHECK_MAX_CLAIMS)) {
+        document.getElementById('page-factcheck-max-claims').value = settings.apiConfig.PAGE_FACTCHECK_MAX_CLAIMS;
+      }
+      renderSourceTiers(settings.apiConfig.SOURCE_TIERS || {});
+      renderSearchProfiles(settings.apiConfig.EXA_SEARCH_PROFILES || {}, settings.apiConfig.EXA_PROFILE_BY_MODE || {});
     }
     
     // Load preferences
@@ -65,30 +195,82 @@ async function saveSettings(e) {
   e.preventDefault();
   
   try {
-    const useAnthropic = document.getElementById('use-anthropic').checked;
+    const provider = document.getElementById('llm-provider').value;
     const anthropicKey = document.getElementById('anthropic-key').value.trim();
     const openaiKey = document.getElementById('openai-key').value.trim();
+    const compatibleBaseUrl = document.getElementById('compatible-base-url').value.trim().replace(/\/+$/, '');
     
-    // Validate required fields based on selection
-    if (useAnthropic && !anthropicKey) {
+    // Validate required fields based on selection (locked vault keys can't be shown, so skip)
+    const keysLocked = vaultState === 'locked';
+    if (provider === 'anthropic' && !anthropicKey && !keysLocked) {
       showStatus('Anthropic API key is required when using Claude', 'error');
       return;
     }
-    if (!useAnthropic && !openaiKey) {
-      showStatus('OpenAI API key is required when not using Claude', 'error');
+    if (provider === 'openai' && !openaiKey && !keysLocked) {
+      showStatus('OpenAI API key is required when using OpenAI', 'error');
       return;
     }
+    if (provider === 'openaiCompatible' && !compatibleBaseUrl) {
+      showStatus('Base URL is required for an OpenAI-compatible provider', 'error');
+      return;
+    }
+    
+    const perplexityKey = document.getElementById('perplexity-key').value.trim();
+    const followUpEngine = document.getElementById('follow-up-engine').value;
+    const perplexityVerify = document.getElementById('perplexity-verify').checked;
+    if ((followUpEngine === 'perplexity' || perplexityVerify) && !perplexityKey && !keysLocked) {
+      showStatus('Perplexity API key is required for the selected Perplexity features', 'error');
+      return;
+    }
+    
+    let searchProfiles;
+    try {
+      searchProfiles = readSearchProfiles();
+    } catch (error) {
+      showStatus(error.message, 'error');
+      return;
+    }
+    
+    // Custom endpoints need a host permission before the service worker can call them
+    if (compatibleBaseUrl) {
+      const granted = await requestHostAccess(compatibleBaseUrl);
+      if (!granted) {
+        showStatus('Bobby needs permission to reach the OpenAI-compatible server', 'error');
+        return;
+      }
+    }
     
     // Prepare settings object
     const settings = {
       apiConfig: {
-        USE_ANTHROPIC: useAnthropic,
+        LLM_PROVIDER: provider,
+        USE_ANTHROPIC: provider === 'anthropic',
         ANTHROPIC_API_KEY: anthropicKey,
         ANTHROPIC_MODEL: document.getElementById('anthropic-model').value,
         OPENAI_API_KEY: openaiKey,
         OPENAI_MODEL: document.getElementById('openai-model').value,
+        OPENAI_COMPATIBLE_BASE_URL: compatibleBaseUrl,
+        OPENAI_COMPATIBLE_MODEL: document.getElementById('compatible-model').value.trim(),
+        OPENAI_COMPATIBLE_API_KEY: document.getElementById('compatible-key').value.trim(),
         EXA_API_KEY: document.getElementById('exa-key').value.trim(),
-        PERPLEXITY_API_KEY: document.getElementById('perplexity-key').value.trim()
+        PERPLEXITY_API_KEY: perplexityKey,
+        PERPLEXITY_MODEL: document.getElementById('perplexity-model').value,
+        FOLLOW_UP_ENGINE: followUpEngine,
+        FOLLOW_UP_GROUNDING: document.getElementById('follow-up-grounding').checked,
+        PERPLEXITY_VERIFY: perplexityVerify,
+        FACTCHECK_CONCURRENCY: Math.max(1, Math.min(8, parseInt(document.getElementById('factcheck-concurrency').value) || 3)),
+        PAGE_FACTCHECK_MAX_CLAIMS: Math.max(1, Math.min(25, parseInt(document.getElementById('page-factcheck-max-claims').value) || 8)),
+        SOURCE_TIERS: readSourceTiers(),
+        EXA_SEARCH_PROFILES: searchProfiles.profiles,
+        EXA_PROFILE_BY_MODE: searchProfiles.byMode,
+        PROVIDER_CHAIN: readProviderChain(),
+        FAILOVER_DISABLED_MODES: readDisabledModes(),
+        FAILOVER_RETRIES: Math.max(0, Math.min(5, parseInt(document.getElementById('failover-retries').value) || 0)),
+        PROVIDER_RATE_LIMITS: readRateLimits(),
+        USAGE_DAILY_CAP: Math.max(0, parseFloat(document.getElementById('usage-daily-cap').value) || 0),
+        USAGE_MONTHLY_CAP: Math.max(0, parseFloat(document.getElementById('usage-monthly-cap').value) || 0),
+        USAGE_CAP_ACTION: document.getElementById('usage-cap-action').value,
+        CACHE_MAX_BYTES: Math.round((parseFloat(document.getElementById('cache-max-mb').value) || 2) * 1024 * 1024)
       },
       theme: document.getElementById('theme').value,
       maxTextLength: parseInt(document.getElementById('max-text').value),
@@ -96,16 +278,21 @@ async function saveSettings(e) {
       enableCache: document.getElementById('enable-cache').checked
     };
     
-    // Save to storage
-    await chrome.storage.local.set(settings);
+    // Save preferences; apiConfig is written by the background, which moves
+    // keys into the vault when it is enabled
+    const { apiConfig, ...preferences } = settings;
+    await chrome.storage.local.set(preferences);
     
-    // Notify background script
-    await chrome.runtime.sendMessage({
-      action: 'saveApiKeys',
-      keys: settings.apiConfig
-    });
+    try {
+      await background.saveApiKeys({ keys: apiConfig });
+    } catch (error) {
+      showStatus(error.message || 'Error saving settings', 'error');
+      return;
+    }
     
     showStatus('Settings saved successfully!', 'success');
+    checkKeys();
+    loadConfigReport();
     
   } catch (error) {
     console.error('Error saving settings:', error);
@@ -120,18 +307,29 @@ async function resetSettings() {
   }
   
   try {
+    // Lock first so no unlocked keys outlive the vault being cleared
+    await background.lockVault();
+    
     // Clear storage
     await chrome.storage.local.clear();
     
     // Reset form
     document.getElementById('settings-form').reset();
-    document.getElementById('use-anthropic').checked = false;
+    document.getElementById('llm-provider').value = 'anthropic';
     document.getElementById('anthropic-model').value = 'claude-3-5-sonnet-20240620';
     document.getElementById('openai-model').value = 'gpt-4-turbo-preview';
     document.getElementById('theme').value = 'auto';
     document.getElementById('max-text').value = '5000';
     document.getElementById('enable-history').checked = true;
     document.getElementById('enable-cache').checked = true;
+    document.getElementById('cache-max-mb').value = '2';
+    document.getElementById('failover-retries').value = '2';
+    renderProviderChain(DEFAULT_PROVIDER_CHAIN);
+    renderFailoverModes(DEFAULT_FAILOVER_DISABLED_MODES);
+    renderSearchProfiles({}, {});
+    
+    await loadCacheEntries();
+    await loadVaultStatus();
     
     showStatus('Settings reset to defaults', 'success');
     
@@ -141,9 +339,508 @@ async function resetSettings() {
   }
 }
 
+// Render the fallback order; providers missing from the saved chain are listed unchecked at the end
+function renderProviderChain(chain) {
+  const list = document.getElementById('provider-chain');
+  const enabled = chain.filter(id => PROVIDER_LABELS[id]);
+  const order = [...enabled, ...Object.keys(PROVIDER_LABELS).filter(id => !enabled.includes(id))];
+  
+  list.innerHTML = '';
+  order.forEach((id) => {
+    const item = document.createElement('li');
+    item.className = 'chain-item';
+    item.dataset.provider = id;
+    item.innerHTML = `
+      <input type="checkbox" id="chain-${id}" ${enabled.includes(id) ? 'checked' : ''}>
+      <label for="chain-${id}">${PROVIDER_LABELS[id]}</label>
+      <button type="button" class="chain-move" data-dir="-1" aria-label="Move up">↑</button>
+      <button type="button" class="chain-move" data-dir="1" aria-label="Move down">↓</button>
+    `;
+    list.appendChild(item);
+  });
+  
+  list.querySelectorAll('.chain-move').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const item = btn.closest('.chain-item');
+      if (btn.dataset.dir === '-1' && item.previousElementSibling) {
+        list.insertBefore(item, item.previousElementSibling);
+      } else if (btn.dataset.dir === '1' && item.nextElementSibling) {
+        list.insertBefore(item.nextElementSibling, item);
+      }
+      updateChainButtons();
+    });
+  });
+  updateChainButtons();
+}
+
+function updateChainButtons() {
+  const items = document.querySelectorAll('#provider-chain .chain-item');
+  items.forEach((item, index) => {
+    item.querySelector('[data-dir="-1"]').disabled = index === 0;
+    item.querySelector('[data-dir="1"]').disabled = index === items.length - 1;
+  });
+}
+
+function readProviderChain() {
+  return Array.from(document.querySelectorAll('#provider-chain .chain-item'))
+    .filter(item => item.querySelector('input[type="checkbox"]').checked)
+    .map(item => item.dataset.provider);
+}
+
+function renderFailoverModes(disabledModes) {
+  const container = document.getElementById('failover-modes');
+  container.innerHTML = Object.entries(FAILOVER_MODES).map(([mode, label]) => `
+    <div class="checkbox-group">
+      <input type="checkbox" id="failover-${mode}" data-mode="${mode}" ${disabledModes.includes(mode) ? '' : 'checked'}>
+      <label for="failover-${mode}">${label}</label>
+    </div>
+  `).join('');
+}
+
+function readDisabledModes() {
+  return Array.from(document.querySelectorAll('#failover-modes input[type="checkbox"]'))
+    .filter(input => !input.checked)
+    .map(input => input.dataset.mode);
+}
+
+// Blank fields are left out so the service keeps its default limit
+function readRateLimits() {
+  const limits = {};
+  document.querySelectorAll('#rate-limits input').forEach((input) => {
+    const limit = parseFloat(input.value);
+    if (Number.isFinite(limit)) limits[input.dataset.service] = Math.max(0, limit);
+  });
+  return limits;
+}
+
+// Render one editable card per saved search profile plus the per-search pickers
+function renderSearchProfiles(profiles, byMode) {
+  document.getElementById('search-profiles').innerHTML = '';
+  Object.entries(profiles).forEach(([name, profile]) => addSearchProfileCard(name, profile));
+  renderSearchProfileModes(byMode);
+}
+
+function addSearchProfileCard(name, profile) {
+  const card = document.createElement('div');
+  card.className = 'profile-card';
+  const option = (value, label, selected) => `<option value="${escapeAttr(value)}" ${selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+  card.innerHTML = `
+    <div class="profile-header">
+      <input type="text" class="profile-name" placeholder="Profile name, e.g. Trusted science" value="${escapeAttr(name)}">
+      <button type="button" class="btn btn-secondary profile-remove">Remove</button>
+    </div>
+    <div class="profile-grid">
+      <div>
+        <label>Only these domains</label>
+        <input type="text" class="profile-include" placeholder="nature.com, who.int" value="${escapeAttr((profile.includeDomains || []).join(', '))}">
+      </div>
+      <div>
+        <label>Never these domains</label>
+        <input type="text" class="profile-exclude" placeholder="example-blog.com" value="${escapeAttr((profile.excludeDomains || []).join(', '))}">
+      </div>
+      <div>
+        <label>Published after</label>
+        <input type="date" class="profile-start" value="${escapeAttr(profile.startPublishedDate || '')}">
+      </div>
+      <div>
+        <label>Published before</label>
+        <input type="date" class="profile-end" value="${escapeAttr(profile.endPublishedDate || '')}">
+      </div>
+      <div>
+        <label>Max age (days)</label>
+        <input type="number" class="profile-max-age" min="1" placeholder="Any age" value="${profile.maxAgeDays || ''}">
+      </div>
+      <div>
+        <label>Category</label>
+        <select class="profile-category">
+          ${option('', 'Any', !profile.category)}
+          ${EXA_CATEGORIES.map(category => option(category, category, profile.category === category)).join('')}
+        </select>
+      </div>
+      <div>
+        <label>Search type</label>
+        <select class="profile-type">
+          ${option('', 'Default', !profile.type)}
+          ${['auto', 'neural', 'keyword'].map(type => option(type, type, profile.type === type)).join('')}
+        </select>
+      </div>
+    </div>
+  `;
+  card.querySelector('.profile-remove').addEventListener('click', () => {
+    card.remove();
+    renderSearchProfileModes(readProfileModes());
+  });
+  // Keep the per-search pickers in step with renamed profiles
+  card.querySelector('.profile-name').addEventListener('change', () => renderSearchProfileModes(readProfileModes()));
+  document.getElementById('search-profiles').appendChild(card);
+}
+
+function renderSearchProfileModes(byMode) {
+  const names = Array.from(document.querySelectorAll('#search-profiles .profile-name'))
+    .map(input => input.value.trim())
+    .filter(Boolean);
+  document.getElementById('search-profile-modes').innerHTML = Object.entries(SEARCH_PROFILE_MODES).map(([mode, label]) => `
+    <div>
+      <label for="search-profile-${mode}">${label}</label>
+      <select id="search-profile-${mode}" data-mode="${mode}">
+        <option value="">No filters</option>
+        ${names.map(name => `<option value="${escapeAttr(name)}" ${byMode[mode] === name ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+      </select>
+    </div>
+  `).join('');
+}
+
+function readProfileModes() {
+  const byMode = {};
+  document.querySelectorAll('#search-profile-modes select').forEach((select) => {
+    if (select.value) byMode[select.dataset.mode] = select.value;
+  });
+  return byMode;
+}
+
+// "https://www.nature.com/, who.int" -> ['www.nature.com', 'who.int']
+function parseDomains(value) {
+  return value.split(/[\s,]+/)
+    .map(domain => domain.trim().replace(/^https?:\/\//, '').replace(/\/.*$/, ''))
+    .filter(Boolean);
+}
+
+// SOURCE_TIERS maps each domain to its tier; the form lists domains per tier
+function renderSourceTiers(tiers) {
+  document.querySelectorAll('#source-tiers input').forEach((input) => {
+    input.value = Object.keys(tiers).filter(domain => tiers[domain] === input.dataset.tier).join(', ');
+  });
+}
+
+function readSourceTiers() {
+  const tiers = {};
+  document.querySelectorAll('#source-tiers input').forEach((input) => {
+    parseDomains(input.value).forEach((domain) => {
+      tiers[domain.toLowerCase()] = input.dataset.tier;
+    });
+  });
+  return tiers;
+}
+
+// Profiles from the cards as { profiles, byMode }; throws with a message for the status line
+function readSearchProfiles() {
+  const profiles = {};
+  document.querySelectorAll('#search-profiles .profile-card').forEach((card) => {
+    const name = card.querySelector('.profile-name').value.trim();
+    if (!name) throw new Error('Every search profile needs a name');
+    if (profiles[name]) throw new Error(`There are two search profiles named "${name}"`);
+    
+    const profile = {};
+    const includeDomains = parseDomains(card.querySelector('.profile-include').value);
+    const excludeDomains = parseDomains(card.querySelector('.profile-exclude').value);
+    if (includeDomains.length && excludeDomains.length) {
+      throw new Error(`Search profile "${name}" can either limit or block domains, not both`);
+    }
+    if (includeDomains.length) profile.includeDomains = includeDomains;
+    if (excludeDomains.length) profile.excludeDomains = excludeDomains;
+    
+    const start = card.querySelector('.profile-start').value;
+    const end = card.querySelector('.profile-end').value;
+    if (start && end && start > end) throw new Error(`Search profile "${name}" ends before it starts`);
+    if (start) profile.startPublishedDate = start;
+    if (end) profile.endPublishedDate = end;
+    const maxAgeDays = parseInt(card.querySelector('.profile-max-age').value, 10);
+    if (maxAgeDays > 0) profile.maxAgeDays = maxAgeDays;
+    
+    const category = card.querySelector('.profile-category').value;
+    const type = card.querySelector('.profile-type').value;
+    if (category) profile.category = category;
+    if (type) profile.type = type;
+    profiles[name] = profile;
+  });
+  
+  const byMode = readProfileModes();
+  Object.keys(byMode).forEach((mode) => {
+    if (!profiles[byMode[mode]]) delete byMode[mode];
+  });
+  return { profiles, byMode };
+}
+
+// Ask Chrome for access to a user-supplied API host (optional_host_permissions)
+async function requestHostAccess(baseUrl) {
+  let origin;
+  try {
+    const url = new URL(baseUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+    origin = `${url.origin}/*`;
+  } catch (_) {
+    return false;
+  }
+  
+  const origins = [origin];
+  if (await chrome.permissions.contains({ origins })) return true;
+  return chrome.permissions.request({ origins });
+}
+
+// Key vault
+async function loadVaultStatus() {
+  const status = await background.getVaultStatus().catch(() => null);
+  if (!status) return;
+  
+  vaultState = status.state;
+  document.getElementById('vault-idle').value = String(status.idleMinutes);
+  ['disabled', 'locked', 'unlocked'].forEach((state) => {
+    document.getElementById(`vault-${state}`).hidden = state !== vaultState;
+  });
+  
+  // Unlocked keys live in session storage; the options page is a trusted context
+  let secrets = {};
+  if (vaultState === 'unlocked') {
+    const session = await chrome.storage.session.get('bobby_vault_session');
+    secrets = session.bobby_vault_session?.secrets || {};
+  }
+  
+  Object.entries(SECRET_INPUTS).forEach(([field, id]) => {
+    const input = document.getElementById(id);
+    if (input.dataset.placeholder === undefined) input.dataset.placeholder = input.placeholder;
+    input.disabled = vaultState === 'locked';
+    input.placeholder = vaultState === 'locked' ? 'Locked — unlock the key vault to view or change' : input.dataset.placeholder;
+    if (vaultState === 'locked') {
+      input.value = '';
+    } else if (vaultState === 'unlocked') {
+      input.value = secrets[field] || '';
+    }
+  });
+}
+
+async function enableVault() {
+  const passphrase = document.getElementById('vault-new-passphrase').value;
+  const confirmation = document.getElementById('vault-confirm-passphrase').value;
+  if (passphrase.length < 8) {
+    showStatus('Use a passphrase of at least 8 characters', 'error', 'vault-status');
+    return;
+  }
+  if (passphrase !== confirmation) {
+    showStatus('Passphrases do not match', 'error', 'vault-status');
+    return;
+  }
+  
+  try {
+    await background.enableVault({
+      passphrase,
+      idleMinutes: parseInt(document.getElementById('vault-idle').value, 10)
+    });
+    showStatus('API keys are now encrypted', 'success', 'vault-status');
+  } catch (error) {
+    showStatus(error.message || 'Could not enable the key vault', 'error', 'vault-status');
+  }
+  document.getElementById('vault-new-passphrase').value = '';
+  document.getElementById('vault-confirm-passphrase').value = '';
+  await loadVaultStatus();
+}
+
+async function unlockVault() {
+  const input = document.getElementById('vault-passphrase');
+  const passphrase = input.value;
+  input.value = '';
+  try {
+    await background.unlockVault({ passphrase });
+  } catch (error) {
+    showStatus(error.message || 'Could not unlock the key vault', 'error', 'vault-status');
+    return;
+  }
+  showStatus('Key vault unlocked', 'success', 'vault-status');
+  await loadVaultStatus();
+  loadKeyHealth();
+}
+
+async function lockVault() {
+  await background.lockVault();
+  showStatus('Key vault locked', 'success', 'vault-status');
+  await loadVaultStatus();
+}
+
+async function disableVault() {
+  const input = document.getElementById('vault-remove-passphrase');
+  if (!confirm('Store your API keys unencrypted again?')) {
+    return;
+  }
+  
+  const passphrase = input.value;
+  input.value = '';
+  try {
+    await background.disableVault({ passphrase });
+  } catch (error) {
+    showStatus(error.message || 'Could not remove encryption', 'error', 'vault-status');
+    return;
+  }
+  showStatus('Encryption removed; keys are stored in plain text', 'success', 'vault-status');
+  await loadSettings();
+  await loadVaultStatus();
+}
+
+async function updateVaultIdle() {
+  if (vaultState === 'disabled') return;
+  const idleMinutes = parseInt(document.getElementById('vault-idle').value, 10);
+  await background.setVaultIdle({ idleMinutes });
+}
+
+// Key status list; providers without a key are shown as not configured
+async function loadKeyHealth() {
+  const list = document.getElementById('key-health');
+  const response = await background.getKeyHealth().catch(() => null);
+  if (!response) {
+    list.textContent = 'Key status unavailable';
+    return [];
+  }
+  
+  list.innerHTML = '';
+  response.providers.forEach((provider) => {
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <span class="key-dot ${provider.configured ? provider.status : ''}"></span>
+      <span class="key-name"></span>
+      <span class="key-status"></span>
+    `;
+    const detail = provider.error || provider.warning;
+    const checked = provider.checkedAt ? ` · checked ${new Date(provider.checkedAt).toLocaleString()}` : '';
+    item.querySelector('.key-name').textContent = provider.label + (provider.selected ? ' (selected)' : '');
+    item.querySelector('.key-status').textContent = provider.configured
+      ? `${KEY_STATUS_LABELS[provider.status]}${detail ? ` — ${detail}` : ''}${checked}`
+      : 'Not configured';
+    list.appendChild(item);
+  });
+  return response.providers;
+}
+
+// Re-validate every configured key, then refresh the list
+async function checkKeys() {
+  const providers = await loadKeyHealth();
+  await Promise.all(providers
+    .filter(provider => provider.configured)
+    .map(provider => background.validateApiKey({ provider: provider.id }).catch(() => null)));
+  await loadKeyHealth();
+}
+
+// Settings the background rejected while validating against its config schema
+async function loadConfigReport() {
+  const section = document.getElementById('config-problems');
+  const list = document.getElementById('config-errors');
+  const report = await background.getConfigReport().catch(() => null);
+  if (!report || report.errors.length === 0) {
+    section.hidden = true;
+    return;
+  }
+
+  list.innerHTML = '';
+  report.errors.forEach((error) => {
+    const item = document.createElement('li');
+    item.innerHTML = '<code></code> <span></span>';
+    item.querySelector('code').textContent = error.key;
+    item.querySelector('span').textContent = `from ${CONFIG_SOURCE_LABELS[error.source] || error.source}: ${error.message}`;
+    list.appendChild(item);
+  });
+  section.hidden = false;
+}
+
+// Response cache inspector
+async function loadCacheEntries() {
+  const body = document.getElementById('cache-body');
+  const summary = document.getElementById('cache-summary');
+  document.getElementById('cache-detail').hidden = true;
+  
+  try {
+    const cache = await background.getCacheEntries();
+    
+    summary.textContent = `${cache.entries.length} cached ${cache.entries.length === 1 ? 'answer' : 'answers'} · ` +
+      `${formatBytes(cache.totalBytes)} of ${formatBytes(cache.maxBytes)}` +
+      (cache.enabled ? '' : ' · caching is turned off');
+    
+    body.innerHTML = '';
+    cache.entries.forEach((entry) => {
+      const row = document.createElement('tr');
+      row.classList.toggle('expired', entry.expired);
+      row.innerHTML = `
+        <td class="cache-preview"></td>
+        <td>${escapeHtml(entry.mode)}</td>
+        <td>${escapeHtml(entry.model)}</td>
+        <td>${formatBytes(entry.size)}</td>
+        <td>${formatRelative(entry.lastAccess)}${entry.hits ? ` · ${entry.hits} ${entry.hits === 1 ? 'hit' : 'hits'}` : ''}</td>
+        <td>${entry.expired ? 'Expired' : formatRelative(entry.expiresAt)}</td>
+        <td class="cache-row-actions">
+          <button type="button" data-action="inspect">Inspect</button>
+          <button type="button" data-action="delete">Delete</button>
+        </td>
+      `;
+      const preview = row.querySelector('.cache-preview');
+      preview.textContent = entry.preview || '(no preview)';
+      preview.title = entry.preview || '';
+      row.querySelector('[data-action="inspect"]').addEventListener('click', () => inspectCacheEntry(entry.key));
+      row.querySelector('[data-action="delete"]').addEventListener('click', () => purgeCache(entry.key));
+      body.appendChild(row);
+    });
+  } catch (error) {
+    console.error('Error loading cache entries:', error);
+    summary.textContent = 'Could not load the response cache';
+  }
+}
+
+async function inspectCacheEntry(key) {
+  const detail = document.getElementById('cache-detail');
+  let entry;
+  try {
+    ({ entry } = await background.getCacheEntry({ key }));
+  } catch (error) {
+    showStatus(error.message || 'Cache entry not found', 'error');
+    await loadCacheEntries();
+    return;
+  }
+  
+  detail.textContent = `${entry.provider} · ${entry.model} · ${entry.mode}\n` +
+    `Cached ${new Date(entry.createdAt).toLocaleString()}\n\n` +
+    (typeof entry.data === 'string' ? entry.data : JSON.stringify(entry.data, null, 2));
+  detail.hidden = false;
+}
+
+// Purge a single entry, or everything when no key is given
+async function purgeCache(key) {
+  const single = typeof key === 'string';
+  if (!single && !confirm('Delete all cached answers?')) {
+    return;
+  }
+  
+  try {
+    const response = await background.purgeCache({ key: single ? key : undefined });
+    showStatus(single ? 'Cache entry deleted' : `Removed ${response.removed} cached answers`, 'success');
+  } catch (error) {
+    showStatus(error.message || 'Error purging cache', 'error');
+  }
+  await loadCacheEntries();
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes || 0} B`;
+}
+
+// "5m ago" / "in 3h"
+function formatRelative(timestamp) {
+  const diff = timestamp - Date.now();
+  const minutes = Math.round(Math.abs(diff) / 60000);
+  const span = minutes < 60 ? `${minutes}m` : minutes < 2880 ? `${Math.round(minutes / 60)}h` : `${Math.round(minutes / 1440)}d`;
+  return diff < 0 ? `${span} ago` : `in ${span}`;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+// escapeHtml for attribute values, which also need quotes escaped
+function escapeAttr(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 // Show status message
-function showStatus(message, type) {
-  const statusEl = document.getElementById('status');
+function showStatus(message, type, elementId = 'status') {
+  const statusEl = document.getElementById(elementId);
   statusEl.textContent = message;
   statusEl.className = `status ${type}`;
   
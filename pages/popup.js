@@ -4,6 +4,7 @@
 document.addEventListener('DOMContentLoaded', async () => {
   // Load stats
   loadStats();
+  loadKeyHealth();
   
   // Setup event listeners
   document.getElementById('options-btn').addEventListener('click', (e) => {
@@ -16,12 +17,35 @@ document.addEventListener('DOMContentLoaded', async () => {
     chrome.tabs.create({ url: chrome.runtime.getURL('pages/history.html') });
   });
   
+  document.getElementById('usage-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('pages/usage.html') });
+  });
+  
   document.getElementById('shortcuts-btn').addEventListener('click', (e) => {
     e.preventDefault();
     showShortcuts();
   });
+  
+  document.getElementById('factcheck-page-btn').addEventListener('click', (e) => {
+    e.preventDefault();
+    factCheckPage();
+  });
 });
 
+// Start a whole-page fact-check in the current tab; the report opens on the page
+async function factCheckPage() {
+  const errorLine = document.getElementById('factcheck-page-error');
+  errorLine.hidden = true;
+  try {
+    await new BackgroundClient().factCheckActiveTab();
+    window.close();
+  } catch (error) {
+    errorLine.textContent = error.message;
+    errorLine.hidden = false;
+  }
+}
+
 // Load usage statistics
 async function loadStats() {
   try {
@@ -39,6 +63,40 @@ async function loadStats() {
   }
 }
 
+const KEY_STATUS_LABELS = {
+  valid: 'Valid',
+  rate_limited: 'Rate limited',
+  invalid: 'Invalid',
+  unchecked: 'Not checked'
+};
+
+// Show the cached key verdicts from the background (no validation calls are made here)
+async function loadKeyHealth() {
+  const list = document.getElementById('key-health');
+  try {
+    const response = await new BackgroundClient().getKeyHealth();
+    
+    const providers = response.providers.filter(provider => provider.configured || provider.selected);
+    list.innerHTML = '';
+    providers.forEach((provider) => {
+      const status = provider.configured ? provider.status : 'invalid';
+      const item = document.createElement('li');
+      item.innerHTML = `
+        <span class="key-dot ${status}"></span>
+        <span class="key-name"></span>
+        <span class="key-status"></span>
+      `;
+      item.querySelector('.key-name').textContent = provider.label + (provider.selected ? ' (selected)' : '');
+      item.querySelector('.key-status').textContent = provider.configured ? KEY_STATUS_LABELS[status] : 'Not configured';
+      item.title = provider.error || provider.warning || '';
+      list.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Error loading key health:', error);
+    list.textContent = 'Key status unavailable';
+  }
+}
+
 // Format time in minutes to human readable
 function formatTime(minutes) {
   if (minutes < 60) {
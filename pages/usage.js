@@ -0,0 +1,122 @@
+// Bobby Chrome Extension - Usage Page Script
+// Shows the background usage ledger: spend against caps, per-model breakdown and recent calls
+
+const PROVIDER_NAMES = {
+  anthropic: 'Anthropic',
+  openai: 'OpenAI',
+  openaiCompatible: 'OpenAI-compatible',
+  perplexity: 'Perplexity',
+  exa: 'Exa'
+};
+
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadUsage();
+  
+  document.getElementById('caps-btn').addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+  document.getElementById('clear-btn').addEventListener('click', handleClear);
+});
+
+async function loadUsage() {
+  try {
+    const usage = await new BackgroundClient().getUsage();
+    
+    document.getElementById('today-cost').textContent = formatCost(usage.today.cost);
+    document.getElementById('month-cost').textContent = formatCost(usage.month.cost);
+    document.getElementById('month-requests').textContent = usage.month.requests.toLocaleString();
+    document.getElementById('month-tokens').textContent = formatTokens(usage.month.inputTokens + usage.month.outputTokens);
+    
+    renderCap('daily', usage.today.cost, usage.caps.daily, usage.caps.action);
+    renderCap('monthly', usage.month.cost, usage.caps.monthly, usage.caps.action);
+    renderBreakdown(usage.breakdown);
+    renderRecent(usage.recent);
+  } catch (error) {
+    console.error('Error loading usage:', error);
+    document.getElementById('recent-body').innerHTML = emptyRow(6, 'Could not load usage data');
+  }
+}
+
+function renderCap(period, spent, cap, action) {
+  const fill = document.getElementById(`${period}-cap-fill`);
+  const label = document.getElementById(`${period}-cap-label`);
+  if (!cap) {
+    fill.style.width = '0';
+    label.textContent = `No ${period} cap`;
+    return;
+  }
+  
+  const ratio = spent / cap;
+  fill.style.width = `${Math.min(100, ratio * 100)}%`;
+  fill.classList.toggle('near', ratio >= 0.8 && ratio < 1);
+  fill.classList.toggle('over', ratio >= 1);
+  label.textContent = `${formatCost(spent)} of ${formatCost(cap)} · ${action === 'block' ? 'blocks' : 'warns'} when reached`;
+}
+
+function renderBreakdown(rows) {
+  const body = document.getElementById('breakdown-body');
+  if (!rows.length) {
+    body.innerHTML = emptyRow(6, 'No calls this month');
+    return;
+  }
+  body.innerHTML = rows.map(row => `
+    <tr>
+      <td>${escapeHtml(PROVIDER_NAMES[row.provider] || row.provider)}</td>
+      <td>${escapeHtml(row.model || '—')}</td>
+      <td class="num">${row.requests.toLocaleString()}</td>
+      <td class="num">${formatTokens(row.inputTokens)}</td>
+      <td class="num">${formatTokens(row.outputTokens)}</td>
+      <td class="num">${formatCost(row.cost)}</td>
+    </tr>
+  `).join('');
+}
+
+function renderRecent(entries) {
+  const body = document.getElementById('recent-body');
+  if (!entries.length) {
+    body.innerHTML = emptyRow(6, 'No calls recorded yet');
+    return;
+  }
+  body.innerHTML = entries.map(entry => `
+    <tr>
+      <td>${new Date(entry.timestamp).toLocaleString()}</td>
+      <td>${escapeHtml(PROVIDER_NAMES[entry.provider] || entry.provider)}</td>
+      <td>${escapeHtml(entry.model || '—')}</td>
+      <td>${escapeHtml(entry.mode)}</td>
+      <td class="num">${formatTokens((entry.inputTokens || 0) + (entry.outputTokens || 0))}</td>
+      <td class="num">${formatCost(entry.cost)}</td>
+    </tr>
+  `).join('');
+}
+
+async function handleClear() {
+  if (!confirm('Clear the usage ledger? Spend toward today\'s and this month\'s caps resets too.')) {
+    return;
+  }
+  await new BackgroundClient().clearUsage();
+  await loadUsage();
+}
+
+// Sub-cent costs are common (single searches), so show more precision below $1
+function formatCost(value) {
+  const cost = value || 0;
+  return cost > 0 && cost < 1 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+function formatTokens(count) {
+  if (!count) return '0';
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count);
+}
+
+function emptyRow(columns, text) {
+  return `<tr class="empty-row"><td colspan="${columns}">${text}</td></tr>`;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}